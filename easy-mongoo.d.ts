@@ -1,44 +1,1297 @@
 // Type definitions for easy-mongoo
+import mongoose = require('mongoose');
+import { EventEmitter } from 'events';
+import { Readable, Writable } from 'stream';
+import { IncomingMessage, ServerResponse } from 'http';
+
 export = easyMongoo;
 
-declare const easyMongoo: EasyMongoo;
-
-interface EasyMongoo {
-  connect(uri: string, options?: object): Promise<any>;
-  disconnect(): Promise<void>;
-  schema(definition: object, options?: object): any;
-  model(name: string, schema: object | any): any;
-  create(modelName: string, data: object): Promise<any>;
-  find(modelName: string, filter?: object, options?: object): Promise<any[]>;
-  findOne(modelName: string, filter?: object, options?: object): Promise<any>;
-  findById(modelName: string, id: string, options?: object): Promise<any>;
-  update(modelName: string, filter: object, data: object, options?: object): Promise<any>;
-  updateById(modelName: string, id: string, data: object, options?: object): Promise<any>;
-  delete(modelName: string, filter: object, options?: object): Promise<any>;
-  deleteById(modelName: string, id: string): Promise<any>;
-  count(modelName: string, filter?: object): Promise<number>;
-  aggregate(modelName: string, pipeline: any[]): Promise<any[]>;
-  populate(modelName: string, docs: any, paths: string | string[]): Promise<any>;
-  startSession(): Promise<any>;
-  transaction(callback: Function): Promise<any>;
-  createIndex(modelName: string, index: object, options?: object): Promise<void>;
-  pre(modelName: string, hook: string, callback: Function): void;
-  post(modelName: string, hook: string, callback: Function): void;
-  virtual(modelName: string, field: string, getter?: Function, setter?: Function): void;
-  static(modelName: string, name: string, method: Function): void;
-  method(modelName: string, name: string, method: Function): void;
-  query(modelName: string, name: string, helper: Function): void;
-  validate(modelName: string, path: string, validator: Function, message: string): void;
-  plugin(modelName: string, plugin: Function, options?: object): void;
-  dropDatabase(): Promise<void>;
-  clearAll(): Promise<void>;
-  status(): object;
-  isReady(): boolean;
-  readonly mongoose: any;
-  collection(name: string): any;
-  readonly schemasTemplates: {
-    user: object;
-    product: object;
-    post: object;
-  };
-}
\ No newline at end of file
+declare const easyMongoo: easyMongoo.UltraMongo;
+
+declare namespace easyMongoo {
+  // ==================== MODEL REGISTRY ====================
+
+  /**
+   * Registry of model names to document types. Add your models with declaration
+   * merging to get typed results from the name-based helpers:
+   *
+   *   const User = mongoo.model('User', { name: 'string!', age: 'number?' });
+   *   declare module 'easy-mongoo' {
+   *     interface Models { User: typeof User }
+   *   }
+   *   const users = await mongoo.find<'User'>('User'); // ModelDocument<'User'>[]
+   *
+   * Entries may be a model type or a plain document interface.
+   */
+  interface Models {}
+
+  /**
+   * TypeScript types of shortcut type names. Types added with registerType() can be
+   * declared here so shortcuts using them are inferred too.
+   */
+  interface ShortcutTypes {
+    string: string;
+    number: number;
+    boolean: boolean;
+    date: Date;
+    array: any[];
+    object: Record<string, any>;
+    buffer: Buffer;
+    decimal: mongoose.Types.Decimal128;
+    map: Map<string, any>;
+    mixed: any;
+    objectid: mongoose.Types.ObjectId;
+    email: string;
+    url: string;
+    password: string;
+    phone: string;
+    color: string;
+    userRef: mongoose.Types.ObjectId;
+    postRef: mongoose.Types.ObjectId;
+    productRef: mongoose.Types.ObjectId;
+    orderRef: mongoose.Types.ObjectId;
+    categoryRef: mongoose.Types.ObjectId;
+    point: { type: 'Point'; coordinates: number[] };
+    location: { address?: string; city?: string; country?: string; coordinates?: number[] };
+  }
+
+  /** Document fields of a registered model, `any` for unregistered names. */
+  type Shape<K extends string> = K extends keyof Models
+    ? Models[K] extends mongoose.Model<infer T, any, any, any, any> ? T : Models[K]
+    : any;
+
+  /** Hydrated document returned by the helpers for a model name. */
+  type ModelDocument<K extends string> = K extends keyof Models ? HydratedModelDocument<Shape<K>> : any;
+
+  /** Plain object returned by lean and cached reads for a model name. */
+  type LeanDocument<K extends string> = K extends keyof Models ? mongoose.Require_id<Shape<K>> : any;
+
+  /** Model class for a model name. */
+  type ModelOf<K extends string> = K extends keyof Models ? EasyModel<Shape<K>> : mongoose.Model<any>;
+
+  type DocumentInput<K extends string> = K extends keyof Models ? mongoose.AnyKeys<Shape<K>> : mongoose.AnyObject;
+  type Filter<K extends string> = mongoose.FilterQuery<Shape<K>>;
+  type Update<K extends string> = mongoose.UpdateQuery<Shape<K>>;
+
+  // ==================== SCHEMA INFERENCE ====================
+
+  /** Schema definition: shortcut strings, mongoose field options, nested objects and arrays. */
+  type SchemaDefinitionInput = { [path: string]: any };
+
+  /** Document type of a schema definition, including _id and timestamps. */
+  type InferSchema<D, O = {}> = Simplify<
+    InferDefinition<D>
+    & { _id: mongoose.Types.ObjectId }
+    & (O extends { timestamps: false } ? {} : { createdAt: Date; updatedAt: Date })
+    & (O extends { softDelete: true | SoftDeleteOptions } ? SoftDeleteFields : {})
+  >;
+
+  /** Fields of a schema definition. Required and defaulted fields are non-optional. */
+  type InferDefinition<D> = Simplify<
+    { -readonly [K in keyof D as IsPresent<D[K]> extends true ? K : never]: InferField<D[K]> }
+    & { -readonly [K in keyof D as IsPresent<D[K]> extends true ? never : K]?: InferField<D[K]> }
+  >;
+
+  /** Type of one field definition. */
+  type InferField<F> =
+    F extends string ? ParseShortcut<F>
+    : F extends mongoose.Schema<infer T, any, any, any, any, any, any, any> ? T
+    : F extends readonly [] ? any[]
+    : F extends readonly (infer Item)[] ? InferArrayItem<Item>[]
+    : F extends { type: infer T } ? (T extends { type: any } ? InferDefinition<F> : InferFieldConfig<F>)
+    : F extends Function ? InferConstructor<F>
+    : F extends object ? InferDefinition<F>
+    : any;
+
+  /** Type of a shortcut string such as 'string!<50', 'enum:a|b+', 'ref:User' or '[email]'. */
+  type ParseShortcut<S extends string> =
+    Trim<S> extends `[${infer Rest}` ? ParseShortcut<ArrayShortcutItem<Rest>>[]
+    : ShortcutBaseType<ShortcutBase<Trim<S>>>;
+
+  type InferArrayItem<Item> =
+    Item extends string ? ParseShortcut<Item>
+    : Item extends Function | mongoose.Schema | readonly any[] ? InferField<Item>
+    : Item extends { type: infer T } ? (T extends { type: any } ? SubDocument<Item> : InferFieldConfig<Item>)
+    : Item extends object ? SubDocument<Item>
+    : any;
+
+  type SubDocument<D> = Simplify<InferDefinition<D> & { _id: mongoose.Types.ObjectId }>;
+
+  type InferFieldConfig<C> =
+    C extends { enum: readonly (infer E)[] } ? (E extends string | number ? E : InferFieldType<C['type' & keyof C]>)
+    : InferFieldType<C['type' & keyof C]>;
+
+  type InferFieldType<T> =
+    T extends string ? ShortcutBaseType<T>
+    : T extends readonly [] ? any[]
+    : T extends readonly (infer Item)[] ? InferArrayItem<Item>[]
+    : T extends mongoose.Schema<infer S, any, any, any, any, any, any, any> ? S
+    : T extends Function ? InferConstructor<T>
+    : T extends object ? InferDefinition<T>
+    : any;
+
+  type InferConstructor<T> =
+    T extends StringConstructor ? string
+    : T extends NumberConstructor ? number
+    : T extends BooleanConstructor ? boolean
+    : T extends DateConstructor ? Date
+    : T extends BufferConstructor ? Buffer
+    : T extends MapConstructor ? Map<string, any>
+    : T extends ArrayConstructor ? any[]
+    : T extends { schemaName: 'ObjectId' } ? mongoose.Types.ObjectId
+    : T extends { schemaName: 'Decimal128' } ? mongoose.Types.Decimal128
+    : T extends { schemaName: 'String' } ? string
+    : T extends { schemaName: 'Number' } ? number
+    : T extends { schemaName: 'Boolean' } ? boolean
+    : T extends { schemaName: 'Date' } ? Date
+    : T extends { schemaName: 'Buffer' } ? Buffer
+    : T extends { schemaName: 'UUID' } ? string
+    : T extends { schemaName: 'BigInt' } ? bigint
+    : any;
+
+  // Required ('!'), defaulted ('+'), arrays and nested objects are always set on a document
+  type IsPresent<F> =
+    F extends string ? (Trim<F> extends `[${string}` ? true : F extends `${string}!${string}` | `${string}+${string}` ? true : false)
+    : F extends mongoose.Schema ? false
+    : F extends readonly any[] ? true
+    : F extends { type: infer T } ? (
+      T extends { type: any } ? true
+      : T extends readonly any[] ? true
+      : F extends { required: true | readonly [true, ...any[]] } ? true
+      : F extends { default: any } ? true
+      : false)
+    : F extends Function ? false
+    : F extends object ? true
+    : false;
+
+  type ShortcutBase<S extends string> =
+    S extends `${infer Base}!${string}` ? ShortcutBase<Base>
+    : S extends `${infer Base}?${string}` ? ShortcutBase<Base>
+    : S extends `${infer Base}+${string}` ? ShortcutBase<Base>
+    : S extends `${infer Base}#${string}` ? ShortcutBase<Base>
+    : S extends `${infer Base}<${string}` ? ShortcutBase<Base>
+    : S extends `${infer Base}>${string}` ? ShortcutBase<Base>
+    : Trim<S>;
+
+  // Shortcut names are matched exactly first, then lowercased, like the runtime lookup
+  type ShortcutBaseType<B extends string> =
+    B extends `enum:${infer Values}` ? EnumValues<Values>
+    : B extends `ref:${string}` ? mongoose.Types.ObjectId
+    : B extends keyof ShortcutTypes ? ShortcutTypes[B]
+    : Lowercase<B> extends keyof ShortcutTypes ? ShortcutTypes[Lowercase<B>]
+    : any;
+
+  type EnumValues<S extends string> =
+    S extends `${infer Value}|${infer Rest}` ? Exclude<Trim<Value>, ''> | EnumValues<Rest> : Exclude<Trim<S>, ''>;
+
+  // Item of '[item]suffix', split at the last ']'
+  type ArrayShortcutItem<S extends string, Head extends string = ''> =
+    S extends `${infer Item}]${infer Rest}`
+      ? (Rest extends `${string}]${string}` ? ArrayShortcutItem<Rest, `${Head}${Item}]`> : `${Head}${Item}`)
+      : S;
+
+  type Trim<S extends string> = S extends ` ${infer R}` ? Trim<R> : S extends `${infer R} ` ? Trim<R> : S;
+
+  type Simplify<T> = { [K in keyof T]: T[K] } & {};
+
+  // Keeps string literals of inline definitions so shortcuts can be parsed
+  type Narrow<T> =
+    | (T extends infer U ? U : never)
+    | Extract<T, string | number | boolean | bigint | symbol | null | undefined | []>
+    | ([T] extends [[]] ? [] : { [K in keyof T]: Narrow<T[K]> });
+
+  // ==================== MODELS & DOCUMENTS ====================
+
+  interface CommonVirtuals {
+    id: string;
+    createdAtFormatted?: string;
+    updatedAtFormatted?: string;
+  }
+
+  interface CommonMethods<T> {
+    updateFields(fields: mongoose.AnyKeys<T>, options?: { expectedVersion?: number }): Promise<this>;
+  }
+
+  interface CommonStatics {
+    findBySlug(slug: string): mongoose.Query<any, any>;
+  }
+
+  interface CommonQueryHelpers {
+    byStatus(status: string): this;
+    recent(days?: number): this;
+    popular(minViews?: number): this;
+    withDeleted(): this;
+    onlyDeleted(): this;
+  }
+
+  interface SoftDeleteFields {
+    deleted: boolean;
+    deletedAt: Date | null;
+    deletedBy: any;
+  }
+
+  interface SoftDeleteMethods {
+    softDelete(deletedBy?: any): Promise<this>;
+    restore(): Promise<this>;
+  }
+
+  interface PasswordMethods {
+    comparePassword(candidate: string): Promise<boolean>;
+  }
+
+  type DocumentMethods<T> = CommonMethods<T>
+    & (T extends { deleted: boolean } ? SoftDeleteMethods : {})
+    & ('password' extends keyof T ? PasswordMethods : {});
+
+  type DocumentVirtuals<T> = CommonVirtuals
+    & ('firstName' | 'lastName' extends keyof T ? { fullName: string } : {})
+    & ('birthDate' extends keyof T ? { age: number | null } : 'dob' extends keyof T ? { age: number | null } : {});
+
+  type HydratedModelDocument<T> = mongoose.HydratedDocument<T, DocumentMethods<T> & DocumentVirtuals<T>, CommonQueryHelpers>;
+
+  type EasyModel<T> = mongoose.Model<T, CommonQueryHelpers, DocumentMethods<T>, DocumentVirtuals<T>>
+    & CommonStatics
+    & (T extends { deleted: boolean } ? {
+      findActive(filter?: mongoose.FilterQuery<T>): mongoose.Query<HydratedModelDocument<T>[], HydratedModelDocument<T>>;
+      findDeleted(filter?: mongoose.FilterQuery<T>): mongoose.Query<HydratedModelDocument<T>[], HydratedModelDocument<T>>;
+      restore(id: any): mongoose.Query<HydratedModelDocument<T> | null, HydratedModelDocument<T>>;
+    } : {});
+
+  // ==================== OPTIONS ====================
+
+  interface RetryOptions {
+    /** Extra attempts after the first one. Default: 0 */
+    retries?: number;
+    /** Delay before the first retry in ms. Default: 500 */
+    minDelay?: number;
+    /** Default: 30000 */
+    maxDelay?: number;
+    /** Default: 2 */
+    factor?: number;
+    /** Randomize each delay within [delay/2, delay]. Default: true */
+    jitter?: boolean;
+  }
+
+  interface ShutdownOptions {
+    /** Default: ['SIGINT', 'SIGTERM'] */
+    signals?: NodeJS.Signals[];
+    /** Milliseconds to wait for in-flight operations. Default: 10000 */
+    timeout?: number;
+    /** Runs after the connections closed */
+    onShutdown?: (signal: NodeJS.Signals) => void;
+  }
+
+  interface NamedConnectOptions extends mongoose.ConnectOptions {
+    retry?: RetryOptions;
+  }
+
+  interface ConnectOptions extends NamedConnectOptions {
+    /** Shorthand for setDebug(); omitted leaves the current log level */
+    debug?: boolean;
+    /** Opt-in signal handling, see enableGracefulShutdown() */
+    shutdown?: boolean | ShutdownOptions;
+  }
+
+  type TenantTarget = string | { connection?: string; database?: string };
+  type TenantResolver = (tenantId: any) => TenantTarget | Promise<TenantTarget>;
+
+  interface SoftDeleteOptions {
+    /** Days before purgeDeleted() removes a soft-deleted document */
+    retentionDays?: number;
+    /** Model name `deletedBy` refers to */
+    deletedByRef?: string;
+  }
+
+  interface SchemaOptions extends mongoose.SchemaOptions {
+    softDelete?: boolean | SoftDeleteOptions;
+  }
+
+  type AutoIndexRule = 'textSearch' | 'statusCreatedAt' | 'categoryPrice' | 'userIdCreatedAt' | 'expiresAt' | 'location' | 'isActive';
+  type IndexPolicy = boolean | { [R in AutoIndexRule]?: boolean };
+
+  interface ModelOptions extends SchemaOptions {
+    /** Auto-index rules for this model, wins over setIndexPolicy() */
+    indexPolicy?: IndexPolicy;
+    /** Named connection created with createConnection() */
+    connection?: string;
+    /** Keep the model on its own connection inside withTenant() */
+    shared?: boolean;
+    /** Record every write in an audit collection, see history() and revertTo() */
+    audit?: boolean | AuditOptions;
+    /** Relations keyed by name; each creates a path or a virtual populate */
+    relations?: { [name: string]: RelationOptions };
+  }
+
+  type DeleteRule = 'cascade' | 'nullify' | 'restrict';
+
+  interface RelationOptionsBase {
+    /** Field holding the reference: on this model for belongsTo, on the target for hasMany and inverse manyToMany */
+    foreignKey?: string;
+    /** Field on this model the target's foreignKey points to. Default: '_id' */
+    localKey?: string;
+    /** Extra conditions for virtual populates */
+    match?: { [path: string]: any };
+    /** Populate options such as sort and limit for virtual populates */
+    options?: mongoose.QueryOptions;
+  }
+
+  interface BelongsToOptions extends RelationOptionsBase {
+    belongsTo: string;
+    required?: boolean;
+  }
+
+  interface HasManyOptions extends RelationOptionsBase {
+    hasMany: string;
+    /** Applied to the target documents when a document of this model is hard-deleted */
+    onDelete?: DeleteRule;
+  }
+
+  interface ManyToManyOptions extends RelationOptionsBase {
+    manyToMany: string;
+    /** Only on the inverse side (with foreignKey) */
+    onDelete?: DeleteRule;
+  }
+
+  type RelationOptions = BelongsToOptions | HasManyOptions | ManyToManyOptions;
+
+  interface IncludeOptions {
+    include?: IncludeOption;
+    select?: string | string[] | { [path: string]: any };
+    match?: { [path: string]: any };
+    sort?: SortOption;
+    limit?: number;
+  }
+
+  /** 'author comments', ['author', 'comments'] or { author: { include: 'profile' } } */
+  type IncludeOption = string | string[] | { [relation: string]: boolean | IncludeOptions };
+
+  interface AuditOptions {
+    /** Default: 'audit_logs' */
+    collection?: string;
+    /** Paths left out of diffs and snapshots and kept as-is by revertTo(). Default: ['password'] */
+    exclude?: string[];
+  }
+
+  interface AuditChange {
+    /** Dotted path */
+    path: string;
+    /** Absent when the path was added */
+    before?: any;
+    /** Absent when the path was removed */
+    after?: any;
+  }
+
+  interface AuditEntry {
+    _id: mongoose.Types.ObjectId;
+    model: string;
+    documentId: any;
+    /** 1 for the first recorded change of the document */
+    version: number;
+    action: 'create' | 'update' | 'delete';
+    /** Mongoose operation that made the change, e.g. 'save', 'findOneAndUpdate', 'bulkWrite' */
+    operation: string;
+    actor: any;
+    tenant: any;
+    changes: AuditChange[];
+    /** Document after the change, null for deletes; only returned with `snapshots: true` */
+    snapshot?: { [path: string]: any } | null;
+    /** e.g. { revertedTo: 3 } */
+    meta: { [key: string]: any } | null;
+    at: Date;
+  }
+
+  interface ShortcutTypeDefinition {
+    /** Underlying type, a shortcut name or constructor. Default: String */
+    type?: string | Function;
+    validate?: RegExp | ((value: any) => boolean | Promise<boolean>) | { validator: (value: any) => boolean | Promise<boolean>; message?: string };
+    message?: string;
+    set?: (value: any) => any;
+    get?: (value: any) => any;
+    /** Value used by the '+' modifier */
+    default?: any;
+    /** What '<' / '>' constrain */
+    bounds?: 'length' | 'value' | null;
+    options?: { [option: string]: any };
+    /** Value generated by factory() for fields of this type */
+    fake?: (context: FactoryContext) => any;
+    /** Keywords added to toJSONSchema() output, e.g. { format: 'uuid' } */
+    jsonSchema?: JsonSchema;
+  }
+
+  type JsonSchemaVariant = 'response' | 'create' | 'update';
+
+  /** JSON Schema draft 2020-12; refs and unique indexes appear as `x-ref` / `x-unique` */
+  interface JsonSchema {
+    $schema?: string;
+    title?: string;
+    type?: string | string[];
+    properties?: { [name: string]: JsonSchema };
+    required?: string[];
+    items?: JsonSchema;
+    additionalProperties?: JsonSchema | boolean;
+    enum?: any[];
+    default?: any;
+    [keyword: string]: any;
+  }
+
+  interface OpenAPIDocument {
+    openapi: '3.1.0';
+    info: { title: string; version: string; [field: string]: any };
+    servers?: Array<{ url: string; description?: string }>;
+    paths: { [path: string]: any };
+    components: { schemas: { [name: string]: JsonSchema } };
+  }
+
+  type RouterRoute = 'list' | 'get' | 'create' | 'update' | 'delete';
+
+  /** Parsed request handed to authorize hooks; hooks may narrow `filter` or rewrite `body` */
+  interface RouterContext {
+    route: RouterRoute;
+    modelName: string;
+    /** The :id segment, null on the collection URL */
+    id: string | null;
+    filter?: { [path: string]: { [operator: string]: any } };
+    sort?: { [path: string]: 1 | -1 };
+    select?: string;
+    page?: number;
+    limit?: number;
+    body?: { [field: string]: any };
+  }
+
+  type AuthorizeHook = (req: IncomingMessage & { [key: string]: any }, context: RouterContext) => boolean | Promise<boolean>;
+
+  interface RouterOptions {
+    /** Path the router is mounted at when used with the http module, e.g. '/users' */
+    prefix?: string;
+    /** Default: every route */
+    routes?: RouterRoute[];
+    /** Paths clients may filter on with ?path=value or ?path[op]=value */
+    filters?: string[];
+    /** Paths clients may sort on with ?sort=-path */
+    sort?: string[];
+    /** Paths clients may select with ?fields=a,b. Default: any schema path */
+    fields?: string[] | null;
+    /** Page size when ?limit is missing. Default: 20 */
+    limit?: number;
+    /** Default: 100 */
+    maxLimit?: number;
+    /** Largest JSON body in bytes when no body parser ran. Default: 1 MiB */
+    bodyLimit?: number;
+    /** One hook for every route, or hooks per route; returning false answers 403 */
+    authorize?: AuthorizeHook | { [R in RouterRoute]?: AuthorizeHook };
+  }
+
+  type RequestHandler = (req: IncomingMessage, res: ServerResponse, next?: (error?: any) => void) => Promise<void>;
+
+  interface ShortcutTypeInfo {
+    name: string;
+    builtIn: boolean;
+    overridden: boolean;
+  }
+
+  interface PasswordHashingOptions {
+    cost: number;
+    blockSize: number;
+    parallelization: number;
+    keyLength: number;
+    saltLength: number;
+  }
+
+  interface SoftDeleteReadOptions {
+    withDeleted?: boolean;
+    onlyDeleted?: boolean;
+  }
+
+  interface CacheReadOptions {
+    /** Cache the result. find, findOne, findById, findByIds and paginate also need `lean: true`. Skipped when a session is passed */
+    cache?: boolean | { ttl?: number; key?: string };
+  }
+
+  type ReadOptions = SoftDeleteReadOptions & CacheReadOptions;
+
+  type PopulateOption = string | string[] | mongoose.PopulateOptions | (string | mongoose.PopulateOptions)[];
+  type SortOption = string | { [path: string]: mongoose.SortOrder | { $meta: any } } | [string, mongoose.SortOrder][];
+
+  /** Read options accepted by find(), findOne(), findById(), findByIds(), paginate() and from() */
+  interface FindOptions extends ReadOptions {
+    select?: string | string[] | { [path: string]: any };
+    sort?: SortOption;
+    limit?: number;
+    skip?: number;
+    populate?: PopulateOption;
+    /** Populate declared relations and ref paths, nested to any depth */
+    include?: IncludeOption;
+    lean?: boolean;
+    collation?: mongoose.mongo.CollationOptions;
+    readPreference?: string;
+    maxTimeMS?: number;
+    hint?: string | { [path: string]: any };
+    comment?: string;
+    sanitizeFilter?: boolean;
+    session?: mongoose.ClientSession;
+  }
+
+  type FindOneOptions = FindOptions;
+  type FindByIdsOptions = FindOptions;
+
+  interface FindByIdOptions extends FindOptions {
+    /** Throw when the document is missing. Default: true */
+    throwIfNotFound?: boolean;
+  }
+
+  interface UpdateByIdOptions extends mongoose.QueryOptions {
+    throwIfNotFound?: boolean;
+    /** Fail with VersionConflictError unless the stored version key equals this; needs optimisticConcurrency */
+    expectedVersion?: number;
+  }
+
+  /** Reads return lean objects with `lean: true` */
+  type LeanRead = { lean: true };
+
+  interface AggregateOptions extends ReadOptions {
+    collation?: mongoose.mongo.CollationOptions;
+    readPreference?: string;
+    comment?: string;
+  }
+
+  interface PayloadError {
+    /** Dotted path, e.g. 'address.zip' or 'items.0.qty' */
+    path: string;
+    message: string;
+    /** 'required', 'enum', 'min', 'regexp', 'user defined', or the cast type such as 'Number' */
+    kind: string;
+    value?: any;
+  }
+
+  interface PayloadValidation {
+    valid: boolean;
+    errors: PayloadError[];
+  }
+
+  interface PaginateOptions extends Omit<FindOptions, 'skip'> {
+    page?: number;
+  }
+
+  interface PaginateResult<T> {
+    docs: T[];
+    total: number;
+    page: number;
+    limit: number;
+    pages: number;
+    hasNext: boolean;
+    hasPrev: boolean;
+  }
+
+  /** find() read options for helpers that do not cache: textSearch(), near() and paginateCursor() */
+  type UncachedFindOptions = Omit<FindOptions, 'cache'>;
+
+  interface CursorPaginateOptions extends Omit<UncachedFindOptions, 'skip' | 'sort'> {
+    after?: string;
+    before?: string;
+    sort?: string | { [path: string]: mongoose.SortOrder };
+    withTotal?: boolean;
+  }
+
+  interface CursorPaginateResult<T> {
+    docs: T[];
+    limit: number;
+    total?: number;
+    hasNext: boolean;
+    hasPrev: boolean;
+    nextCursor: string | null;
+    prevCursor: string | null;
+  }
+
+  type CountOptions = ReadOptions & Pick<FindOptions, 'collation' | 'readPreference' | 'maxTimeMS' | 'hint' | 'comment' | 'sanitizeFilter' | 'session'>;
+
+  /** Chainable read query returned by from() */
+  interface QueryBuilder<K extends string = string> {
+    readonly modelName: K;
+    readonly filter: Filter<K>;
+    readonly options: FindOptions & { page?: number };
+
+    /** where('age') selects a path for the next operator, where('age', 18) matches a value */
+    where(path: string, value?: any): this;
+    where(conditions: Filter<K>): this;
+    equals(value: any): this;
+    gt(value: any): this;
+    gt(path: string, value: any): this;
+    gte(value: any): this;
+    gte(path: string, value: any): this;
+    lt(value: any): this;
+    lt(path: string, value: any): this;
+    lte(value: any): this;
+    lte(path: string, value: any): this;
+    ne(value: any): this;
+    ne(path: string, value: any): this;
+    in(values: any[]): this;
+    in(path: string, values: any[]): this;
+    nin(values: any[]): this;
+    nin(path: string, values: any[]): this;
+    size(size: number): this;
+    size(path: string, size: number): this;
+    elemMatch(criteria: object): this;
+    elemMatch(path: string, criteria: object): this;
+    exists(exists?: boolean): this;
+    regex(pattern: string | RegExp, flags?: string): this;
+    or(conditions: Filter<K>[]): this;
+    nor(conditions: Filter<K>[]): this;
+    and(conditions: Filter<K>[]): this;
+
+    select(fields: string | string[] | { [path: string]: any }): this;
+    sort(sort: SortOption): this;
+    skip(skip: number): this;
+    limit(limit: number): this;
+    /** Sets skip and limit, and the page used by paginate(). `limit` defaults to the current limit or 10 */
+    page(page: number, limit?: number): this;
+    populate(populate: PopulateOption): this;
+    include(include: IncludeOption): this;
+    lean(lean?: boolean): this;
+    collation(collation: mongoose.mongo.CollationOptions): this;
+    hint(hint: string | { [path: string]: any }): this;
+    maxTimeMS(ms: number): this;
+    comment(comment: string): this;
+    read(readPreference: string): this;
+    session(session: mongoose.ClientSession): this;
+    withDeleted(): this;
+    onlyDeleted(): this;
+    /** cache(), cache(ttlSeconds) or cache({ ttl, key }); all(), first() and paginate() also need lean() */
+    cache(config?: boolean | number | { ttl?: number; key?: string }): this;
+    setOptions(options: FindOptions): this;
+
+    all(): Promise<ModelDocument<K>[]>;
+    first(): Promise<ModelDocument<K> | null>;
+    /** Counts every match; skip, limit and page() are ignored */
+    count(): Promise<number>;
+    paginate(): Promise<PaginateResult<ModelDocument<K>>>;
+    stream(cursorOptions?: { batchSize?: number }): mongoose.Cursor<ModelDocument<K>>;
+    explain(verbosity?: 'queryPlanner' | 'executionStats' | 'allPlansExecution'): Promise<any>;
+  }
+
+  interface SyncIndexesResult {
+    toCreate: object[];
+    toDrop: string[];
+    dropped: string[];
+    applied: boolean;
+  }
+
+  interface MigrateOptions<K extends string = string> extends SoftDeleteReadOptions {
+    filter?: Filter<K>;
+    batchSize?: number;
+    /** Resume after this _id */
+    after?: any;
+    onCheckpoint?: (lastId: any, processed: number) => any;
+  }
+
+  interface Migration {
+    name: string;
+    /** Runs up/down once per document of this model instead of once */
+    model?: string;
+    filter?: { [path: string]: any };
+    downFilter?: { [path: string]: any };
+    batchSize?: number;
+    up(docOrDb: any, db?: UltraMongo): any;
+    down?(docOrDb: any, db?: UltraMongo): any;
+  }
+
+  interface MigrationRunOptions {
+    /** Named connection holding the migrations collection */
+    connection?: string;
+    /** Default: '_migrations' */
+    collection?: string;
+    /** Lock lifetime in ms, renewed after every batch. Default: 10 minutes */
+    lockTtl?: number;
+    batchSize?: number;
+  }
+
+  interface MigrationPlanStep {
+    name: string;
+    model: string | null;
+    resumeFrom: any;
+    documents?: number;
+  }
+
+  interface MigrationStatus {
+    name: string;
+    model: string | null;
+    status: 'pending' | 'running' | 'applied' | 'rollingBack' | 'rolledBack' | 'failed';
+    processed: number;
+    checkpoint: any;
+    startedAt: Date | null;
+    finishedAt: Date | null;
+    error: string | null;
+    /** Recorded in the database but no longer registered */
+    missing?: boolean;
+  }
+
+  type DataFormat = 'ndjson' | 'ejson' | 'csv';
+  type CsvColumns = string[] | { [header: string]: string };
+
+  interface ExportStreamOptions<K extends string = string> {
+    format?: DataFormat;
+    filter?: Filter<K>;
+    fields?: string | { [path: string]: any };
+    sort?: SortOption;
+    columns?: CsvColumns;
+    batchSize?: number;
+  }
+
+  interface ImportProgress {
+    processed: number;
+    inserted: number;
+    failed: number;
+  }
+
+  interface ImportStreamOptions {
+    format?: DataFormat;
+    columns?: CsvColumns;
+    batchSize?: number;
+    onProgress?: (progress: ImportProgress) => void;
+  }
+
+  interface ImportStreamResult extends ImportProgress {
+    errors: { row: number; error: string }[];
+  }
+
+  interface CacheAdapter {
+    get(key: string): Promise<any>;
+    /** `ttl` in seconds, omitted for entries that never expire */
+    set(key: string, value: any, ttl?: number): Promise<void>;
+    delete(key: string): Promise<void>;
+    clear(): Promise<void>;
+    readonly size?: number;
+  }
+
+  interface MemoryCache extends CacheAdapter {
+    readonly size: number;
+  }
+
+  // ==================== LOGGING ====================
+
+  type LogLevel = 'trace' | 'debug' | 'info' | 'warn' | 'error' | 'silent';
+
+  /** Structured context passed with every log call */
+  interface LogFields {
+    operation?: string;
+    model?: string;
+    id?: any;
+    count?: number;
+    /** Milliseconds */
+    duration?: number;
+    error?: string;
+    [field: string]: any;
+  }
+
+  interface Logger {
+    trace(message: string, fields: LogFields): void;
+    debug(message: string, fields: LogFields): void;
+    info(message: string, fields: LogFields): void;
+    warn(message: string, fields: LogFields): void;
+    error(message: string, fields: LogFields): void;
+  }
+
+  interface JsonLoggerOptions {
+    /** Default: process.stdout */
+    stream?: { write(chunk: string): any };
+    /** Merged into every line */
+    fields?: { [field: string]: any };
+  }
+
+  // ==================== CHANGE STREAMS ====================
+
+  type WatchEventType = 'insert' | 'update' | 'delete';
+
+  interface WatchEvent<T = any> {
+    /** Replacements are reported as 'update'; soft deletes of soft-delete models as 'delete' */
+    type: WatchEventType;
+    model: string;
+    id: any;
+    /** Current document (lean unless `hydrate`); null for deletes seen by a change stream */
+    document: T | null;
+    /** Change streams only */
+    updatedFields: { [path: string]: any } | null;
+    removedFields: string[] | null;
+    source: 'changeStream' | 'polling';
+    at: Date;
+  }
+
+  interface WatchOptions {
+    /** Default: ['insert', 'update', 'delete'] */
+    events?: WatchEventType[];
+    /** Change stream fullDocument mode. Default: 'updateLookup' */
+    fullDocument?: 'default' | 'updateLookup' | 'whenAvailable' | 'required';
+    /** Persist the position under this key so a restarted watcher resumes */
+    resumeKey?: string;
+    /** Default: 'watch_tokens' */
+    tokenCollection?: string;
+    /** 'auto' polls only on standalone servers. Default: 'auto' */
+    polling?: 'auto' | boolean;
+    /** Milliseconds between polls. Default: 1000 */
+    pollInterval?: number;
+    /** Documents read per poll. Default: 100 */
+    batchSize?: number;
+    /** Pass mongoose documents instead of plain objects */
+    hydrate?: boolean;
+    /** Backoff after failures */
+    retry?: Omit<RetryOptions, 'retries'>;
+  }
+
+  interface Watcher<T = any> extends EventEmitter {
+    readonly mode: 'changeStream' | 'polling';
+    readonly closed: boolean;
+    close(): Promise<void>;
+    on(event: WatchEventType | 'change', listener: (event: WatchEvent<T>) => void): this;
+    on(event: 'error', listener: (error: Error) => void): this;
+    on(event: 'close', listener: () => void): this;
+  }
+
+  // ==================== ENCRYPTION ====================
+
+  /** Supplies AES-256-GCM keys (32 bytes, or base64/hex strings of 32 bytes); every method is synchronous */
+  interface KeyProvider {
+    /** Key id used for new writes */
+    currentKeyId(): string;
+    getKey(keyId: string): Buffer | string | undefined;
+    /** Every key id that may still appear in stored data */
+    keyIds(): string[];
+  }
+
+  interface StaticKeyProviderOptions {
+    keys: { [keyId: string]: Buffer | string };
+    /** Default: the first key */
+    current?: string;
+  }
+
+  interface EnvKeyProviderOptions {
+    /** Default: 'EASY_MONGOO_KEY_'; <prefix>CURRENT names the current key */
+    prefix?: string;
+    /** Default: process.env */
+    env?: { [name: string]: string | undefined };
+  }
+
+
+  // ==================== FACTORIES ====================
+
+  /** Seeded random source; the same seed always yields the same values */
+  interface FactoryRandom {
+    /** Float in [0, 1) */
+    next(): number;
+    int(min?: number, max?: number): number;
+    float(min?: number, max?: number, decimals?: number): number;
+    bool(probability?: number): boolean;
+    pick<T>(values: readonly T[]): T;
+    string(length?: number, alphabet?: string): string;
+    hex(length: number): string;
+    words(count?: number): string;
+    date(from?: Date, to?: Date): Date;
+  }
+
+  interface FactoryContext {
+    /** Sequence number, counting from 1 per factory */
+    n: number;
+    random: FactoryRandom;
+    /** Attributes generated so far */
+    attributes: { [path: string]: any };
+  }
+
+  /** A fixed value, a function of the context, or a factory whose document's _id is used */
+  type FactoryValue = ((context: FactoryContext) => any) | Factory<any> | string | number | boolean | null | undefined | object;
+  type FactoryDefinition = { [path: string]: FactoryValue };
+
+  interface Factory<K extends string = string> {
+    readonly modelName: K;
+    /** Restarts the random sequence and `n`; defaults to the current seed */
+    seed(seed?: number | string): this;
+    attributes(overrides?: FactoryDefinition): Promise<DocumentInput<K>>;
+    attributes(count: number, overrides?: FactoryDefinition): Promise<DocumentInput<K>[]>;
+    build(overrides?: FactoryDefinition): Promise<ModelDocument<K>>;
+    build(count: number, overrides?: FactoryDefinition): Promise<ModelDocument<K>[]>;
+    create(overrides?: FactoryDefinition): Promise<ModelDocument<K>>;
+    create(count: number, overrides?: FactoryDefinition): Promise<ModelDocument<K>[]>;
+  }
+
+  // ==================== METRICS ====================
+
+  /** Emitted as 'operation' on `events` after every instrumented call */
+  interface OperationEvent {
+    operation: string;
+    /** null for transactions */
+    model: string | null;
+    /** Milliseconds */
+    duration: number;
+    outcome: 'success' | 'error';
+    /** Documents returned or affected; undefined for failures and transactions */
+    count?: number;
+    /** Filter with every value replaced by '?' */
+    filter: any;
+    slow: boolean;
+    error?: any;
+  }
+
+  interface QueryPlanSummary {
+    /** e.g. 'FETCH > IXSCAN' */
+    stages: string;
+    indexes: string[];
+    collectionScan: boolean;
+  }
+
+  /** Emitted as 'slowQuery' on `events` and logged at warn */
+  interface SlowQueryReport {
+    operation: string;
+    model: string | null;
+    duration: number;
+    count?: number;
+    filter: any;
+    threshold: number;
+    plan?: QueryPlanSummary | { error: string } | null;
+  }
+
+  interface SlowQueryOptions {
+    /** Explain slow find/aggregate filters in the background. Default: false */
+    explain?: boolean;
+  }
+
+  interface PoolStats {
+    maxPoolSize: number;
+    total: number;
+    available: number;
+    inUse: number;
+    pending: number;
+    waitQueue: number;
+  }
+
+  interface HealthCheckResult {
+    ok: boolean;
+    status: 'disconnected' | 'connected' | 'connecting' | 'disconnecting' | string;
+    /** Ping round trip in ms */
+    latency: number | null;
+    /** null when the driver's pools cannot be read */
+    pool: PoolStats | null;
+    error?: string;
+  }
+
+  interface Status {
+    connected: boolean;
+    readyState: 'disconnected' | 'connected' | 'connecting' | 'disconnecting' | number;
+    database: string | null;
+    host: string | null;
+    port: number | null;
+    models: string[];
+    connections: string[];
+    tenant: any;
+    collections: string[];
+    plugins: number;
+    cache: number | null;
+  }
+
+  // ==================== ERRORS ====================
+
+  type ErrorCode =
+    | 'DATABASE_ERROR' | 'DUPLICATE_KEY' | 'VALIDATION_FAILED' | 'NOT_FOUND' | 'INVALID_VALUE'
+    | 'CONNECTION_FAILED' | 'TRANSACTION_FAILED' | 'DIVERGENT_ARRAY' | 'MISSING_SCHEMA' | 'MODEL_EXISTS'
+    | 'DELETE_RESTRICTED' | 'ENCRYPTED_FIELD_QUERY' | 'DECRYPTION_FAILED' | 'VERSION_CONFLICT'
+    | 'INVALID_REQUEST' | 'FORBIDDEN' | 'METHOD_NOT_ALLOWED' | 'PAYLOAD_TOO_LARGE';
+
+  /** Base class of every error thrown by the helpers */
+  interface EasyMongooError extends Error {
+    code: ErrorCode;
+    /** HTTP status hint */
+    status: number;
+    /** The mongoose or driver error this was mapped from */
+    originalError: any;
+    toJSON(): { name: string; code: ErrorCode; status: number; message: string; [detail: string]: any };
+  }
+
+  interface DuplicateKeyError extends EasyMongooError {
+    code: 'DUPLICATE_KEY';
+    /** Every conflicting path and the value that already exists */
+    fields: { [path: string]: any };
+  }
+
+  interface ValidationError extends EasyMongooError {
+    code: 'VALIDATION_FAILED';
+    details: { [path: string]: { message: string; kind: string; value: any } };
+  }
+
+  interface NotFoundError extends EasyMongooError {
+    code: 'NOT_FOUND';
+    model: string;
+    id: string | null;
+  }
+
+  interface VersionConflictError extends EasyMongooError {
+    code: 'VERSION_CONFLICT';
+    model: string;
+    id: string | null;
+    expectedVersion: number;
+    /** null when the stored version is unknown */
+    actualVersion: number | null;
+  }
+
+  interface CastError extends EasyMongooError {
+    code: 'INVALID_VALUE';
+    path: string;
+    value: any;
+    kind: string;
+  }
+
+  interface ConnectionError extends EasyMongooError {
+    code: 'CONNECTION_FAILED';
+  }
+
+  interface TransactionError extends EasyMongooError {
+    code: 'TRANSACTION_FAILED';
+    /** The driver labelled the failure as safe to retry */
+    transient: boolean;
+  }
+
+  type HookName = string | RegExp | string[];
+  type UpdateResult = mongoose.mongo.UpdateResult;
+  type DeleteResult = mongoose.mongo.DeleteResult;
+
+  // ==================== ULTRAMONGO ====================
+
+  interface UltraMongo {
+    connection: typeof mongoose | null;
+    models: Map<string, mongoose.Model<any>>;
+    isConnected: boolean;
+    debug: boolean;
+    logger: Logger;
+    logLevel: LogLevel;
+    schemas: Map<string, mongoose.Schema>;
+    globalPlugins: { fn: (schema: mongoose.Schema, options?: any) => void; options: any }[];
+    cacheAdapter: CacheAdapter;
+    customTypes: Map<string, object>;
+    passwordHashing: PasswordHashingOptions;
+    indexPolicy: IndexPolicy;
+    connections: Map<string, mongoose.Connection>;
+    modelOptions: Map<string, { connection: string; shared: boolean; discriminatorOf?: string }>;
+    tenantResolver: TenantResolver | null;
+    cursorSecret: string | Buffer | null;
+    migrations: Map<string, Migration>;
+    /**
+     * Emits 'operation' (OperationEvent), 'slowQuery' (SlowQueryReport),
+     * 'disconnect' and 'reconnect' ({ connection })
+     */
+    events: EventEmitter;
+    slowQuery: { threshold: number | null; explain: boolean };
+    shuttingDown: boolean;
+
+    // Connection management
+    connect(uri: string, options?: ConnectOptions): Promise<typeof mongoose>;
+    disconnect(): Promise<void>;
+    createConnection(name: string, uri: string, options?: NamedConnectOptions): Promise<mongoose.Connection>;
+    getConnection(name?: string): mongoose.Connection;
+    closeConnection(name: string): Promise<void>;
+    /** Returns a function that removes the listener */
+    onDisconnect(listener: (event: { connection: string }) => void): () => void;
+    onReconnect(listener: (event: { connection: string }) => void): () => void;
+    healthCheck(options?: { connection?: string }): Promise<HealthCheckResult>;
+
+    // Graceful shutdown
+    enableGracefulShutdown(options?: ShutdownOptions): void;
+    disableGracefulShutdown(): void;
+    shutdown(options?: { timeout?: number }): Promise<{ drained: boolean; pending: number }>;
+
+    // Multi-tenancy
+    setTenantResolver(resolver: TenantResolver): void;
+    withTenant<T>(tenantId: any, callback: () => T | PromiseLike<T>): Promise<T>;
+    currentTenant(): any;
+
+    // Audit trail
+    /** Runs `callback` with `actor` recorded as the acting user of every audited write */
+    withActor<T>(actor: any, callback: () => T): T;
+    currentActor(): any;
+    history(modelName: string, id: any, options?: { limit?: number; snapshots?: boolean }): Promise<AuditEntry[]>;
+    revertTo<K extends string>(modelName: K, id: any, version: number): Promise<ModelDocument<K>>;
+
+    // Schemas & models
+    schema<D extends object, O extends SchemaOptions = {}>(definition: Narrow<D>, options?: O): mongoose.Schema<InferSchema<D, O>>;
+    registerType(name: string, definition?: ShortcutTypeDefinition, options?: { override?: boolean }): void;
+    removeType(name: string): boolean;
+    listTypes(): ShortcutTypeInfo[];
+    model<T>(name: string, schema: mongoose.Schema<T, any, any, any, any, any, any, any>, options?: ModelOptions): EasyModel<T>;
+    model<D extends object, O extends ModelOptions = {}>(name: string, definition: Narrow<D>, options?: O): EasyModel<InferSchema<D, O>>;
+    discriminator<B extends string, D extends object, O extends SchemaOptions = {}>(baseModelName: B, discriminatorName: string, definition: Narrow<D>, options?: O): EasyModel<Simplify<Shape<B> & InferDefinition<D>>>;
+    setIndexPolicy(policy: IndexPolicy): void;
+
+    // Passwords
+    setPasswordHashing(options?: Partial<PasswordHashingOptions>): void;
+    hashPassword(password: string): Promise<string>;
+    verifyPassword(password: string, hash: string): Promise<boolean>;
+
+    // Validation
+    /** Checks `payload` against the model's field rules without a database round trip; `partial` only checks the given paths */
+    validate<K extends string>(modelName: K, payload: DocumentInput<K>, options?: { partial?: boolean }): Promise<PayloadValidation>;
+
+    // JSON Schema & OpenAPI
+    toJSONSchema(modelName: string, options?: { variant?: JsonSchemaVariant }): JsonSchema;
+    /** Components 'Model', 'ModelCreate' and 'ModelUpdate' for every registered model */
+    toOpenAPI(options?: { info?: Partial<OpenAPIDocument['info']>; servers?: OpenAPIDocument['servers'] }): OpenAPIDocument;
+
+    // REST
+    router(modelName: string, options?: RouterOptions): RequestHandler;
+
+    // CRUD
+    create<K extends string>(modelName: K, data: DocumentInput<K>[], options?: mongoose.InsertManyOptions): Promise<ModelDocument<K>[]>;
+    create<K extends string>(modelName: K, data: DocumentInput<K>, options?: object): Promise<ModelDocument<K>>;
+    find<K extends string>(modelName: K, filter: Filter<K> | undefined, options: FindOptions & LeanRead): Promise<LeanDocument<K>[]>;
+    find<K extends string>(modelName: K, filter?: Filter<K>, options?: FindOptions): Promise<ModelDocument<K>[]>;
+    findOne<K extends string>(modelName: K, filter: Filter<K> | undefined, options: FindOneOptions & LeanRead): Promise<LeanDocument<K> | null>;
+    findOne<K extends string>(modelName: K, filter?: Filter<K>, options?: FindOneOptions): Promise<ModelDocument<K> | null>;
+    findById<K extends string>(modelName: K, id: any, options: FindByIdOptions & LeanRead): Promise<LeanDocument<K> | null>;
+    findById<K extends string>(modelName: K, id: any, options?: FindByIdOptions): Promise<ModelDocument<K> | null>;
+    findByIdAndUpdate<K extends string>(modelName: K, id: any, data: Update<K>, options?: UpdateByIdOptions): Promise<ModelDocument<K> | null>;
+    findByIdAndDelete<K extends string>(modelName: K, id: any, options?: UpdateByIdOptions): Promise<ModelDocument<K> | null>;
+    findOneAndUpdate<K extends string>(modelName: K, filter: Filter<K>, data: Update<K>, options?: mongoose.QueryOptions): Promise<ModelDocument<K> | null>;
+    findOneAndDelete<K extends string>(modelName: K, filter: Filter<K>, options?: mongoose.QueryOptions): Promise<ModelDocument<K> | null>;
+    update<K extends string>(modelName: K, filter: Filter<K>, data: Update<K>, options?: mongoose.QueryOptions): Promise<UpdateResult>;
+    delete<K extends string>(modelName: K, filter: Filter<K>, options?: mongoose.QueryOptions): Promise<DeleteResult>;
+    bulkWrite<K extends string>(modelName: K, operations: mongoose.mongo.AnyBulkWriteOperation<any>[], options?: mongoose.mongo.BulkWriteOptions): Promise<mongoose.mongo.BulkWriteResult>;
+
+    // ID operations
+    updateById<K extends string>(modelName: K, id: any, data: Update<K>, options?: UpdateByIdOptions): Promise<UpdateResult>;
+    deleteById<K extends string>(modelName: K, id: any, options?: UpdateByIdOptions): Promise<DeleteResult>;
+    existsById(modelName: string, id: any): Promise<boolean>;
+    findByIdOrFail<K extends string>(modelName: K, id: any, options: FindByIdOptions & LeanRead): Promise<LeanDocument<K>>;
+    findByIdOrFail<K extends string>(modelName: K, id: any, options?: FindByIdOptions): Promise<ModelDocument<K>>;
+    findByIdAndUpdateOrFail<K extends string>(modelName: K, id: any, data: Update<K>, options?: mongoose.QueryOptions): Promise<ModelDocument<K>>;
+    findByIdAndDeleteOrFail<K extends string>(modelName: K, id: any, options?: mongoose.QueryOptions): Promise<ModelDocument<K>>;
+    findByIds<K extends string>(modelName: K, ids: any[], options: FindByIdsOptions & LeanRead): Promise<LeanDocument<K>[]>;
+    findByIds<K extends string>(modelName: K, ids: any[], options?: FindByIdsOptions): Promise<ModelDocument<K>[]>;
+    updateByIds<K extends string>(modelName: K, ids: any[], data: Update<K>, options?: mongoose.QueryOptions): Promise<UpdateResult>;
+    deleteByIds(modelName: string, ids: any[], options?: mongoose.QueryOptions): Promise<DeleteResult>;
+    findByIdAndUpsert<K extends string>(modelName: K, id: any, data: Update<K>, options?: mongoose.QueryOptions & { expectedVersion?: number }): Promise<ModelDocument<K>>;
+    findByIdAndIncrement<K extends string>(modelName: K, id: any, field: string, value?: number, options?: UpdateByIdOptions): Promise<ModelDocument<K> | null>;
+    findByIdAndPush<K extends string>(modelName: K, id: any, field: string, value: any, options?: UpdateByIdOptions): Promise<ModelDocument<K> | null>;
+    findByIdAndPull<K extends string>(modelName: K, id: any, field: string, value: any, options?: UpdateByIdOptions): Promise<ModelDocument<K> | null>;
+    findByIdAndActivate<K extends string>(modelName: K, id: any, options?: UpdateByIdOptions): Promise<ModelDocument<K> | null>;
+    findByIdAndDeactivate<K extends string>(modelName: K, id: any, options?: UpdateByIdOptions): Promise<ModelDocument<K> | null>;
+    findByIdAndArchive<K extends string>(modelName: K, id: any, options?: UpdateByIdOptions): Promise<ModelDocument<K> | null>;
+    findByIdAndPublish<K extends string>(modelName: K, id: any, options?: UpdateByIdOptions): Promise<ModelDocument<K> | null>;
+
+    // Soft delete
+    findByIdAndSoftDelete<K extends string>(modelName: K, id: any, options?: UpdateByIdOptions & { deletedBy?: any }): Promise<ModelDocument<K> | null>;
+    findByIdAndRestore<K extends string>(modelName: K, id: any, options?: UpdateByIdOptions): Promise<ModelDocument<K> | null>;
+    softDelete<K extends string>(modelName: K, filter: Filter<K>, options?: mongoose.QueryOptions & { deletedBy?: any }): Promise<UpdateResult>;
+    restore<K extends string>(modelName: K, filter: Filter<K>, options?: mongoose.QueryOptions): Promise<UpdateResult>;
+    purgeDeleted(modelName: string, options?: { retentionDays?: number }): Promise<DeleteResult>;
+    startPurgeJob(options?: { interval?: number; models?: string[]; retentionDays?: number }): () => void;
+
+    // Queries
+    count<K extends string>(modelName: K, filter?: Filter<K>, options?: CountOptions): Promise<number>;
+    distinct<K extends string>(modelName: K, field: string, filter?: Filter<K>, options?: ReadOptions): Promise<any[]>;
+    exists<K extends string>(modelName: K, filter?: Filter<K>, options?: Omit<FindOptions, 'select' | 'sort' | 'skip' | 'limit' | 'populate' | 'include' | 'lean'>): Promise<boolean>;
+    aggregate<R = any>(modelName: string, pipeline?: mongoose.PipelineStage[], options?: AggregateOptions): Promise<R[]>;
+    textSearch<K extends string>(modelName: K, searchText: string, options: UncachedFindOptions & LeanRead): Promise<LeanDocument<K>[]>;
+    textSearch<K extends string>(modelName: K, searchText: string, options?: UncachedFindOptions): Promise<ModelDocument<K>[]>;
+    near<K extends string>(modelName: K, locationField: string, coordinates: [number, number], maxDistance: number, options: UncachedFindOptions & LeanRead): Promise<LeanDocument<K>[]>;
+    near<K extends string>(modelName: K, locationField: string, coordinates: [number, number], maxDistance: number, options?: UncachedFindOptions): Promise<ModelDocument<K>[]>;
+    paginate<K extends string>(modelName: K, filter: Filter<K> | undefined, options: PaginateOptions & LeanRead): Promise<PaginateResult<LeanDocument<K>>>;
+    paginate<K extends string>(modelName: K, filter?: Filter<K>, options?: PaginateOptions): Promise<PaginateResult<ModelDocument<K>>>;
+    paginateCursor<K extends string>(modelName: K, filter: Filter<K> | undefined, options: CursorPaginateOptions & { lean: true }): Promise<CursorPaginateResult<LeanDocument<K>>>;
+    paginateCursor<K extends string>(modelName: K, filter?: Filter<K>, options?: CursorPaginateOptions): Promise<CursorPaginateResult<ModelDocument<K>>>;
+    setCursorSecret(secret: string | Buffer): void;
+    from<K extends string>(modelName: K): QueryBuilder<K>;
+
+    // Change streams
+    watch<K extends string>(modelName: K, filter?: Filter<K>, handler?: ((event: WatchEvent<LeanDocument<K>>) => void | Promise<void>) | null, options?: WatchOptions): Promise<Watcher<LeanDocument<K>>>;
+    watch<K extends string>(modelName: K, handler: (event: WatchEvent<LeanDocument<K>>) => void | Promise<void>, options?: WatchOptions): Promise<Watcher<LeanDocument<K>>>;
+    watchers: Set<Watcher>;
+
+    // Transactions
+    startSession(options?: { connection?: string }): Promise<mongoose.ClientSession>;
+    withTransaction<T>(callback: (session: mongoose.ClientSession) => T | PromiseLike<T>, options?: { connection?: string }): Promise<T>;
+    withRetryTransaction<T>(callback: (session: mongoose.ClientSession) => T | PromiseLike<T>, maxRetries?: number): Promise<T>;
+
+    // Optimistic concurrency
+    /** Runs `fn` again after a VersionConflictError. Defaults: retries 3, minDelay 50 */
+    retryOnConflict<T>(fn: (attempt: number) => T | PromiseLike<T>, options?: RetryOptions): Promise<T>;
+
+    // Schema extensions
+    virtual(modelName: string, field: string, getter?: ((this: any, value: any) => any) | null, setter?: ((this: any, value: any) => void) | null): mongoose.VirtualType<any>;
+    static(modelName: string, name: string, method: (this: mongoose.Model<any>, ...args: any[]) => any): void;
+    method(modelName: string, name: string, method: (this: any, ...args: any[]) => any): void;
+    query(modelName: string, name: string, helper: (this: mongoose.Query<any, any>, ...args: any[]) => any): void;
+    pre(modelName: string, hook: HookName, callback: (this: any, ...args: any[]) => any): void;
+    post(modelName: string, hook: HookName, callback: (this: any, ...args: any[]) => any): void;
+    plugin(modelName: string, plugin: (schema: mongoose.Schema, options?: any) => void, options?: object): void;
+    globalPlugin(plugin: (schema: mongoose.Schema, options?: any) => void, options?: object): void;
+
+    // Indexes
+    createIndex(modelName: string, index: mongoose.mongo.CreateIndexesOptions | object, options?: object): Promise<void>;
+    syncIndexes(modelName: string, options?: mongoose.SyncIndexesOptions & { dryRun?: boolean }): Promise<SyncIndexesResult>;
+
+    // Migrations
+    migrate<K extends string>(modelName: K, migrationFn: (doc: ModelDocument<K>) => any, options?: MigrateOptions<K>): Promise<number>;
+    /** Rewrites values encrypted with older keys under the current one; includes soft-deleted documents by default */
+    reencrypt<K extends string>(modelName: K, options?: MigrateOptions<K>): Promise<{ processed: number; reencrypted: number }>;
+    addMigration(migration: Migration): void;
+    migrateUp(options: MigrationRunOptions & { dryRun: true; to?: string }): Promise<{ dryRun: true; pending: MigrationPlanStep[] }>;
+    migrateUp(options?: MigrationRunOptions & { dryRun?: false; to?: string }): Promise<{ applied: string[] }>;
+    migrateRollback(options: MigrationRunOptions & { dryRun: true; steps?: number; to?: string }): Promise<{ dryRun: true; pending: MigrationPlanStep[] }>;
+    migrateRollback(options?: MigrationRunOptions & { dryRun?: false; steps?: number; to?: string }): Promise<{ rolledBack: string[] }>;
+    migrateStatus(options?: { connection?: string; collection?: string }): Promise<MigrationStatus[]>;
+
+    // Data management
+    /** `data` may be a number of documents to generate with factory(modelName) */
+    seed<K extends string>(modelName: K, data: DocumentInput<K>[] | number, options?: { clearFirst?: boolean }): Promise<ModelDocument<K>[]>;
+    factory<K extends string>(modelName: K, definition?: FactoryDefinition, options?: { seed?: number | string }): Factory<K>;
+    factories: Map<string, Factory>;
+    exportData<K extends string>(modelName: K, options?: { filter?: Filter<K>; fields?: string | { [path: string]: any } }): Promise<LeanDocument<K>[]>;
+    importData<K extends string>(modelName: K, data: DocumentInput<K>[], options?: mongoose.InsertManyOptions): Promise<ModelDocument<K>[]>;
+    exportDataStream<K extends string>(modelName: K, destination: string | Writable | NodeJS.WritableStream, options?: ExportStreamOptions<K>): Promise<{ exported: number; format: DataFormat }>;
+    importDataStream(modelName: string, source: string | Readable | NodeJS.ReadableStream, options?: ImportStreamOptions): Promise<ImportStreamResult>;
+
+    // Performance
+    explain(modelName: string, operation: 'find' | 'aggregate', ...args: any[]): Promise<any>;
+    cache<T>(modelName: string, key: string, dataFn: () => T | PromiseLike<T>, ttl?: number): Promise<T>;
+    clearCache(pattern?: string | null): Promise<void>;
+    setCacheAdapter(adapter: CacheAdapter): void;
+    setKeyProvider(provider: KeyProvider): void;
+    keyProvider: KeyProvider | null;
+
+    // Metrics
+    /** Milliseconds; null disables slow query reporting */
+    setSlowQueryThreshold(ms: number | null, options?: SlowQueryOptions): void;
+    /** Prometheus text exposition format */
+    metrics(): string;
+    resetMetrics(): void;
+
+    // Templates
+    readonly templates: {
+      user: SchemaDefinitionInput;
+      product: SchemaDefinitionInput;
+      post: SchemaDefinitionInput;
+      order: SchemaDefinitionInput;
+    };
+
+    // Logging
+    setLogger(logger: Logger): void;
+    setLogLevel(level: LogLevel): void;
+    /** `true` sets the level to 'debug', `false` back to 'warn' */
+    setDebug(debug: boolean): void;
+
+    // Utilities
+    status(): Status;
+    dropDatabase(): Promise<void>;
+    clearAll(): Promise<void>;
+    readonly mongoose: typeof mongoose;
+    readonly MemoryCache: new (options?: { maxEntries?: number }) => MemoryCache;
+    readonly ConsoleLogger: new () => Logger;
+    readonly JsonLogger: new (options?: JsonLoggerOptions) => Logger;
+    readonly StaticKeyProvider: new (options: StaticKeyProviderOptions) => KeyProvider;
+    readonly EnvKeyProvider: new (options?: EnvKeyProviderOptions) => KeyProvider;
+    readonly EasyMongooError: new (message: string, options?: { code?: ErrorCode; status?: number; originalError?: any }) => EasyMongooError;
+    readonly DuplicateKeyError: new (fields: { [path: string]: any }, originalError?: any) => DuplicateKeyError;
+    readonly ValidationError: new (details: ValidationError['details'], originalError?: any) => ValidationError;
+    readonly NotFoundError: new (model: string, id?: any) => NotFoundError;
+    readonly VersionConflictError: new (model: string, id: any, expectedVersion: number, actualVersion?: number | null, originalError?: any) => VersionConflictError;
+    readonly CastError: new (path: string, value: any, kind: string, originalError?: any) => CastError;
+    readonly ConnectionError: new (message: string, originalError?: any) => ConnectionError;
+    readonly TransactionError: new (message: string, originalError?: any) => TransactionError;
+    readonly ObjectId: typeof mongoose.Types.ObjectId;
+    readonly Schema: typeof mongoose.Schema;
+    readonly Types: typeof mongoose.Types;
+  }
+}
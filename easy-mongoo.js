@@ -1,425 +1,4001 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const readline = require('readline');
+const stream = require('stream');
+const util = require('util');
+const { StringDecoder } = require('string_decoder');
+const { AsyncLocalStorage } = require('async_hooks');
+const { EventEmitter } = require('events');
 const mongoose = require('mongoose');
 
-class UltraMongo {
+const { EJSON } = mongoose.mongo.BSON;
+const pipeline = util.promisify(stream.pipeline);
+
+const EMAIL_REGEX = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/;
+const URL_REGEX = /https?:\/\/(www\.)?[-a-zA-Z0-9@:%._\+~#=]{1,256}\.[a-zA-Z0-9()]{1,6}\b([-a-zA-Z0-9()@:%_\+.~#?&//=]*)/;
+const PHONE_REGEX = /^[\+]?[1-9][\d]{0,15}$/;
+const COLOR_REGEX = /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/;
+
+// Base types for schema shortcut strings.
+// `empty` is the value used by the '+' modifier, `bounds` says what '<' / '>' constrain,
+// `jsonSchema` is merged into the field's toJSONSchema() output.
+const SHORTCUT_BASES = {
+  // ========== BASIC TYPES ==========
+  string: { type: String, empty: '', bounds: 'length' },
+  number: { type: Number, empty: 0, bounds: 'value' },
+  boolean: { type: Boolean, empty: false },
+  date: { type: Date, empty: Date.now, bounds: 'value' },
+  array: { type: Array, empty: () => [] },
+  object: { type: Object, empty: () => ({}) },
+  buffer: { type: Buffer },
+  decimal: { type: mongoose.Schema.Types.Decimal128 },
+  map: { type: Map },
+  mixed: { type: mongoose.Schema.Types.Mixed },
+  objectid: { type: mongoose.Schema.Types.ObjectId, empty: null },
+
+  // ========== SMART TYPES ==========
+  email: { type: String, options: { lowercase: true, match: [EMAIL_REGEX, 'Please enter a valid email'] }, empty: '', bounds: 'length', jsonSchema: { format: 'email' } },
+  url: { type: String, options: { match: [URL_REGEX, 'Please enter a valid URL'] }, empty: '', bounds: 'length', jsonSchema: { format: 'uri' } },
+  password: { type: String, options: { minlength: 6 }, bounds: 'length' },
+  phone: { type: String, options: { match: [PHONE_REGEX, 'Please enter a valid phone number'] }, empty: '', bounds: 'length' },
+  color: { type: String, options: { match: [COLOR_REGEX, 'Please enter a valid hex color'] }, empty: '', bounds: 'length' },
+
+  // ========== ID REFERENCES ==========
+  userRef: { type: mongoose.Schema.Types.ObjectId, options: { ref: 'User' }, empty: null },
+  postRef: { type: mongoose.Schema.Types.ObjectId, options: { ref: 'Post' }, empty: null },
+  productRef: { type: mongoose.Schema.Types.ObjectId, options: { ref: 'Product' }, empty: null },
+  orderRef: { type: mongoose.Schema.Types.ObjectId, options: { ref: 'Order' }, empty: null },
+  categoryRef: { type: mongoose.Schema.Types.ObjectId, options: { ref: 'Category' }, empty: null },
+
+  // ========== GEO TYPES ==========
+  point: {
+    shape: () => ({
+      type: { type: String, enum: ['Point'], default: 'Point' },
+      coordinates: { type: [Number], default: [0, 0] }
+    })
+  },
+  location: {
+    shape: () => ({
+      address: String,
+      city: String,
+      country: String,
+      coordinates: { type: [Number], index: '2dsphere' }
+    })
+  }
+};
+
+// scrypt cost parameters for password hashing (see crypto.scrypt)
+const DEFAULT_PASSWORD_HASHING = {
+  cost: 16384,
+  blockSize: 8,
+  parallelization: 1,
+  keyLength: 64,
+  saltLength: 16
+};
+
+// scrypt$<cost>$<blockSize>$<parallelization>$<salt>$<hash>, salt and hash in base64
+const PASSWORD_HASH_REGEX = /^scrypt\$(\d+)\$(\d+)\$(\d+)\$([A-Za-z0-9+/=]+)\$([A-Za-z0-9+/=]+)$/;
+
+// Inserted objects whose password the insertMany hook already hashed, so a retried insert keeps it
+const HASHED_INSERTS = new WeakMap();
+
+function scrypt(password, salt, keyLength, params) {
+  return new Promise((resolve, reject) => {
+    const maxmem = Math.max(32 * 1024 * 1024, 256 * params.cost * params.blockSize);
+    crypto.scrypt(password, salt, keyLength, { ...params, maxmem }, (err, key) => {
+      if (err) reject(err);
+      else resolve(key);
+    });
+  });
+}
+
+async function hashPassword(password, options) {
+  const salt = crypto.randomBytes(options.saltLength);
+  const params = { cost: options.cost, blockSize: options.blockSize, parallelization: options.parallelization };
+  const key = await scrypt(String(password), salt, options.keyLength, params);
+  return ['scrypt', params.cost, params.blockSize, params.parallelization, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+async function verifyPassword(password, stored) {
+  const match = PASSWORD_HASH_REGEX.exec(stored || '');
+  if (!match || password == null) return false;
+
+  const [, cost, blockSize, parallelization, salt, hash] = match;
+  const expected = Buffer.from(hash, 'base64');
+  const params = { cost: Number(cost), blockSize: Number(blockSize), parallelization: Number(parallelization) };
+  const key = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length, params);
+  return crypto.timingSafeEqual(key, expected);
+}
+
+// Auto-index rules applied by model(). Each rule returns [fields, options] pairs and only
+// indexes fields that exist on the schema. Rules can be switched off with setIndexPolicy()
+// or per model with model(name, definition, { indexPolicy }).
+const AUTO_INDEX_RULES = {
+  textSearch(schema) {
+    const weights = { name: 10, title: 5, description: 1 };
+    const fields = Object.keys(weights).filter(field => hasPath(schema, field, 'String'));
+    if (fields.length === 0) return [];
+
+    return [[
+      Object.fromEntries(fields.map(field => [field, 'text'])),
+      { weights: Object.fromEntries(fields.map(field => [field, weights[field]])), name: 'text_search_idx' }
+    ]];
+  },
+
+  statusCreatedAt(schema) {
+    return hasPath(schema, 'status') && hasPath(schema, 'createdAt') ? [[{ status: 1, createdAt: -1 }, {}]] : [];
+  },
+
+  categoryPrice(schema) {
+    return hasPath(schema, 'category') && hasPath(schema, 'price') ? [[{ category: 1, price: 1 }, {}]] : [];
+  },
+
+  userIdCreatedAt(schema) {
+    return hasPath(schema, 'userId') && hasPath(schema, 'createdAt') ? [[{ userId: 1, createdAt: -1 }, {}]] : [];
+  },
+
+  expiresAt(schema) {
+    return hasPath(schema, 'expiresAt', 'Date') ? [[{ expiresAt: 1 }, { expireAfterSeconds: 0 }]] : [];
+  },
+
+  location(schema) {
+    const path = schema.path('location.coordinates');
+    // The 'location' shortcut already declares this index on the path itself
+    return path && !path.options.index ? [[{ 'location.coordinates': '2dsphere' }, {}]] : [];
+  },
+
+  isActive(schema) {
+    return hasPath(schema, 'isActive', 'Boolean')
+      ? [[{ isActive: 1 }, { partialFilterExpression: { isActive: true } }]]
+      : [];
+  }
+};
+
+function hasPath(schema, path, instance = null) {
+  const schemaType = schema.path(path);
+  return !!schemaType && (!instance || schemaType.instance === instance);
+}
+
+function toBase64Url(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  return Buffer.from(text.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+function getPathValue(doc, path) {
+  if (doc && typeof doc.get === 'function') return doc.get(path);
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+function setPathValue(target, path, value) {
+  const keys = path.split('.');
+  let current = target;
+  keys.slice(0, -1).forEach(key => {
+    if (current[key] == null || typeof current[key] !== 'object') current[key] = {};
+    current = current[key];
+  });
+  current[keys[keys.length - 1]] = value;
+}
+
+function csvEscape(value) {
+  if (value == null) return '';
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (value._bsontype) text = value.toString();
+  else if (typeof value === 'object') text = JSON.stringify(value);
+  else text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Decodes a byte stream as UTF-8, keeping characters split across chunk boundaries intact
+async function* decodeUtf8(input) {
+  const decoder = new StringDecoder('utf8');
+  for await (const chunk of input) yield decoder.write(chunk);
+  yield decoder.end();
+}
+
+// Streaming RFC 4180 parser: yields one array of cells per record, quoted newlines included
+async function* parseCsv(input) {
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let afterQuote = false;
+  let pendingCR = false;
+
+  for await (const text of decodeUtf8(input)) {
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (pendingCR) {
+        pendingCR = false;
+        if (char === '\n') continue;
+      }
+
+      if (quoted) {
+        if (char === '"') {
+          quoted = false;
+          afterQuote = true;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        if (afterQuote) cell += '"';
+        quoted = true;
+        afterQuote = false;
+      } else if (char === ',') {
+        row.push(cell);
+        cell = '';
+        afterQuote = false;
+      } else if (char === '\n' || char === '\r') {
+        row.push(cell);
+        yield row;
+        row = [];
+        cell = '';
+        afterQuote = false;
+        pendingCR = char === '\r';
+      } else {
+        cell += char;
+        afterQuote = false;
+      }
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    yield row;
+  }
+}
+
+const MIGRATION_LOCK_ID = '__lock__';
+
+// ==================== CONNECTIONS ====================
+
+const READY_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+// Failures worth retrying: the server was unreachable, not a bad URI or bad credentials
+const RETRYABLE_CONNECT_ERRORS = [
+  'MongooseServerSelectionError',
+  'MongoServerSelectionError',
+  'MongoNetworkError',
+  'MongoNetworkTimeoutError'
+];
+
+function isRetryableConnectError(error) {
+  return RETRYABLE_CONNECT_ERRORS.includes(error.name);
+}
+
+// Exponential backoff; with jitter the delay is drawn from [delay/2, delay]
+function backoffDelay(attempt, options = {}) {
+  const { minDelay = 500, maxDelay = 30000, factor = 2, jitter = true } = options;
+  const delay = Math.min(maxDelay, minDelay * Math.pow(factor, attempt - 1));
+  return Math.round(jitter ? delay / 2 + Math.random() * delay / 2 : delay);
+}
+
+// ==================== ERRORS ====================
+
+// Every error thrown by the CRUD helpers is an EasyMongooError with a stable `code` and an
+// HTTP `status` hint. The underlying mongoose/driver error is kept as `originalError`.
+class EasyMongooError extends Error {
+  constructor(message, { code = 'DATABASE_ERROR', status = 500, originalError = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = status;
+    this.originalError = originalError;
+  }
+
+  toJSON() {
+    const { name, code, status, message, originalError, ...details } = this;
+    return { name, code, status, message, ...details };
+  }
+}
+
+class DuplicateKeyError extends EasyMongooError {
+  // `fields` maps every conflicting path to the value that already exists
+  constructor(fields, originalError = null) {
+    const paths = Object.keys(fields);
+    super(`${paths.join(', ') || 'Value'} already exists. Please use a different value.`, {
+      code: 'DUPLICATE_KEY', status: 409, originalError
+    });
+    this.fields = fields;
+  }
+}
+
+class ValidationError extends EasyMongooError {
+  // `details` maps each failing path to { message, kind, value }
+  constructor(details, originalError = null) {
+    super(`Validation failed: ${Object.values(details).map(detail => detail.message).join(', ')}`, {
+      code: 'VALIDATION_FAILED', status: 400, originalError
+    });
+    this.details = details;
+  }
+}
+
+// Maps a mongoose ValidationError onto { [path]: { message, kind, value } }
+function validationDetails(error) {
+  const details = {};
+  for (const [path, failure] of Object.entries(error.errors)) {
+    details[path] = { message: failure.message, kind: failure.kind, value: failure.value };
+  }
+  return details;
+}
+
+class NotFoundError extends EasyMongooError {
+  constructor(model, id = null) {
+    super(id != null ? `${model} with ID ${id} not found` : `${model} not found`, { code: 'NOT_FOUND', status: 404 });
+    this.model = model;
+    this.id = id != null ? String(id) : null;
+  }
+}
+
+class VersionConflictError extends EasyMongooError {
+  // `actualVersion` is null when the stored version is unknown, as for conflicts reported by save()
+  constructor(model, id, expectedVersion, actualVersion = null, originalError = null) {
+    const subject = id != null ? `${model} with ID ${id}` : model;
+    const found = actualVersion != null ? `, found ${actualVersion}` : '';
+    super(`${subject} was modified by another write (expected version ${expectedVersion}${found})`, {
+      code: 'VERSION_CONFLICT', status: 409, originalError
+    });
+    this.model = model;
+    this.id = id != null ? String(id) : null;
+    this.expectedVersion = expectedVersion;
+    this.actualVersion = actualVersion;
+  }
+}
+
+class CastError extends EasyMongooError {
+  constructor(path, value, kind, originalError = null) {
+    super(path === '_id' ? 'Invalid ID format' : `Invalid ${kind} for '${path}'`, {
+      code: 'INVALID_VALUE', status: 400, originalError
+    });
+    this.path = path;
+    this.value = value;
+    this.kind = kind;
+  }
+}
+
+class ConnectionError extends EasyMongooError {
+  constructor(message, originalError = null) {
+    super(message, { code: 'CONNECTION_FAILED', status: 503, originalError });
+  }
+}
+
+class TransactionError extends EasyMongooError {
+  // `transient` is set when the driver labels the failure as safe to retry
+  constructor(message, originalError = null) {
+    super(message, { code: 'TRANSACTION_FAILED', status: 500, originalError });
+    this.transient = !!(originalError && typeof originalError.hasErrorLabel === 'function'
+      && (originalError.hasErrorLabel('TransientTransactionError') || originalError.hasErrorLabel('UnknownTransactionCommitResult')));
+  }
+}
+
+/**
+ * In-memory LRU cache adapter. Any cache adapter implements the same async contract:
+ * get(key) -> value | undefined, set(key, value, ttlSeconds), delete(key), clear().
+ */
+class MemoryCache {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 1000;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    // Map keeps insertion order, so re-inserting marks the entry as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttl) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: ttl ? Date.now() + ttl * 1000 : null });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+// ==================== LOGGING ====================
+
+const LOG_LEVELS = { trace: 10, debug: 20, info: 30, warn: 40, error: 50, silent: Infinity };
+
+/**
+ * Default logger. Any logger passed to setLogger() implements the same contract:
+ * trace/debug/info/warn/error(message, fields), where fields carries structured
+ * context such as operation, model, id, count and duration (ms).
+ */
+class ConsoleLogger {
+  _write(method, message, fields) {
+    if (fields && Object.keys(fields).length > 0) console[method](message, fields);
+    else console[method](message);
+  }
+
+  trace(message, fields) { this._write('log', message, fields); }
+  debug(message, fields) { this._write('log', message, fields); }
+  info(message, fields) { this._write('log', message, fields); }
+  warn(message, fields) { this._write('warn', message, fields); }
+  error(message, fields) { this._write('error', message, fields); }
+}
+
+/**
+ * Writes one JSON object per line ({ time, level, msg, ...fields }) for log shippers.
+ * `fields` are merged into every line (e.g. { service: 'api' }).
+ */
+class JsonLogger {
+  constructor(options = {}) {
+    this.stream = options.stream || process.stdout;
+    this.fields = options.fields || {};
+  }
+
+  _write(level, message, fields) {
+    const entry = { time: new Date().toISOString(), level, msg: message, ...this.fields, ...fields };
+    let line;
+    try {
+      line = JSON.stringify(entry);
+    } catch (error) {
+      line = JSON.stringify({ time: entry.time, level, msg: message, logError: error.message });
+    }
+    this.stream.write(`${line}\n`);
+  }
+
+  trace(message, fields) { this._write('trace', message, fields); }
+  debug(message, fields) { this._write('debug', message, fields); }
+  info(message, fields) { this._write('info', message, fields); }
+  warn(message, fields) { this._write('warn', message, fields); }
+  error(message, fields) { this._write('error', message, fields); }
+}
+
+// ==================== METRICS ====================
+
+// Public methods timed by _instrument(). `filter` is the argument index holding the query
+// filter, `shape` a fixed filter shape for by-ID methods, `explain` how a slow call is explained.
+const ID_SHAPE = { _id: '?' };
+const IDS_SHAPE = { _id: { $in: '?' } };
+const INSTRUMENTED_OPERATIONS = {
+  create: {},
+  find: { filter: 1, explain: 'find' },
+  findOne: { filter: 1, explain: 'find' },
+  findById: { shape: ID_SHAPE },
+  findByIdAndUpdate: { shape: ID_SHAPE },
+  findByIdAndDelete: { shape: ID_SHAPE },
+  updateById: { shape: ID_SHAPE },
+  deleteById: { shape: ID_SHAPE },
+  existsById: { shape: ID_SHAPE },
+  findByIdOrFail: { shape: ID_SHAPE },
+  findByIdAndUpdateOrFail: { shape: ID_SHAPE },
+  findByIdAndDeleteOrFail: { shape: ID_SHAPE },
+  findByIds: { shape: IDS_SHAPE },
+  updateByIds: { shape: IDS_SHAPE },
+  deleteByIds: { shape: IDS_SHAPE },
+  findByIdAndUpsert: { shape: ID_SHAPE },
+  findByIdAndIncrement: { shape: ID_SHAPE },
+  findByIdAndPush: { shape: ID_SHAPE },
+  findByIdAndPull: { shape: ID_SHAPE },
+  findByIdAndActivate: { shape: ID_SHAPE },
+  findByIdAndDeactivate: { shape: ID_SHAPE },
+  findByIdAndArchive: { shape: ID_SHAPE },
+  findByIdAndPublish: { shape: ID_SHAPE },
+  findByIdAndSoftDelete: { shape: ID_SHAPE },
+  findByIdAndRestore: { shape: ID_SHAPE },
+  softDelete: { filter: 1 },
+  restore: { filter: 1 },
+  purgeDeleted: {},
+  findOneAndUpdate: { filter: 1 },
+  update: { filter: 1 },
+  findOneAndDelete: { filter: 1 },
+  delete: { filter: 1 },
+  bulkWrite: {},
+  count: { filter: 1, explain: 'find' },
+  distinct: { filter: 2 },
+  exists: { filter: 1, explain: 'find' },
+  aggregate: { pipeline: 1, explain: 'aggregate' },
+  textSearch: {},
+  near: {},
+  paginate: { filter: 1, explain: 'find' },
+  paginateCursor: { filter: 1, explain: 'find' },
+  history: { shape: ID_SHAPE },
+  revertTo: { shape: ID_SHAPE },
+  withTransaction: { transaction: true },
+  withRetryTransaction: { transaction: true }
+};
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Counters and a duration histogram per operation and model, rendered in the
+ * Prometheus text exposition format by toPrometheus().
+ */
+class MetricsRegistry {
   constructor() {
-    this.connection = null;
-    this.models = new Map();
-    this.isConnected = false;
-    this.debug = false;
-    this.schemas = new Map();
-    this.globalPlugins = [];
-    this._cache = null;
+    this.reset();
+  }
+
+  reset() {
+    this.operations = new Map();
+    this.durations = new Map();
+    this.documents = new Map();
+    this.slowQueries = new Map();
+  }
+
+  record({ operation, model, outcome, duration, count, slow }) {
+    const labels = { operation, model: model || '' };
+    this._increment(this.operations, { ...labels, outcome }, 1);
+    if (typeof count === 'number') this._increment(this.documents, labels, count);
+    if (slow) this._increment(this.slowQueries, labels, 1);
+
+    const key = JSON.stringify(labels);
+    const histogram = this.durations.get(key)
+      || { labels, buckets: DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 };
+    const seconds = duration / 1000;
+    DURATION_BUCKETS.forEach((bound, index) => {
+      if (seconds <= bound) histogram.buckets[index]++;
+    });
+    histogram.sum += seconds;
+    histogram.count++;
+    this.durations.set(key, histogram);
+  }
+
+  _increment(series, labels, amount) {
+    const key = JSON.stringify(labels);
+    const entry = series.get(key) || { labels, value: 0 };
+    entry.value += amount;
+    series.set(key, entry);
+  }
+
+  toPrometheus() {
+    const lines = [];
+    const counter = (name, help, series) => {
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} counter`);
+      for (const { labels, value } of series.values()) lines.push(`${name}${formatLabels(labels)} ${value}`);
+    };
+
+    counter('easy_mongoo_operations_total', 'Operations run through easy-mongoo by outcome', this.operations);
+
+    const histogram = 'easy_mongoo_operation_duration_seconds';
+    lines.push(`# HELP ${histogram} Operation duration in seconds`, `# TYPE ${histogram} histogram`);
+    for (const { labels, buckets, sum, count } of this.durations.values()) {
+      DURATION_BUCKETS.forEach((bound, index) => {
+        lines.push(`${histogram}_bucket${formatLabels({ ...labels, le: String(bound) })} ${buckets[index]}`);
+      });
+      lines.push(`${histogram}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${histogram}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${histogram}_count${formatLabels(labels)} ${count}`);
+    }
+
+    counter('easy_mongoo_documents_total', 'Documents returned or affected', this.documents);
+    counter('easy_mongoo_slow_queries_total', 'Operations slower than the slow query threshold', this.slowQueries);
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => {
+    const escaped = String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `${name}="${escaped}"`;
+  });
+  return `{${pairs.join(',')}}`;
+}
+
+// Replaces every value in a filter with '?' so slow query logs show the query shape, not user data
+function filterShape(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0 && value.every(isPlainObject) ? value.map(filterShape) : '?';
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, nested]) => [key, filterShape(nested)]));
+  }
+  return '?';
+}
+
+// Documents returned or affected: arrays, paginated results, counts and driver write results
+function resultCount(result) {
+  if (Array.isArray(result)) return result.length;
+  if (typeof result === 'number') return result;
+  if (result === null) return 0;
+  if (!result || typeof result !== 'object') return undefined;
+  if (Array.isArray(result.docs)) return result.docs.length;
+
+  const counts = ['insertedCount', 'upsertedCount', 'modifiedCount', 'deletedCount']
+    .filter(field => typeof result[field] === 'number');
+  return counts.length > 0 ? counts.reduce((sum, field) => sum + result[field], 0) : 1;
+}
+
+// Condenses find/aggregate explain output to the winning plan's stages and indexes
+function planSummary(explanation) {
+  const planner = explanation.queryPlanner
+    || (explanation.stages && explanation.stages[0].$cursor && explanation.stages[0].$cursor.queryPlanner);
+  if (!planner) return null;
+
+  const stages = [];
+  const indexes = [];
+  let plan = planner.winningPlan.queryPlan || planner.winningPlan;
+  while (plan) {
+    stages.push(plan.stage);
+    if (plan.indexName) indexes.push(plan.indexName);
+    plan = plan.inputStage || (plan.inputStages && plan.inputStages[0]);
+  }
+
+  return { stages: stages.join(' > '), indexes, collectionScan: stages.includes('COLLSCAN') };
+}
+
+// ==================== AUDIT ====================
+
+const AUDITED_QUERIES = [
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'
+];
+const AUDITED_MULTI_QUERIES = ['updateMany', 'deleteMany'];
+const AUDITED_DELETE_QUERIES = ['deleteOne', 'deleteMany', 'findOneAndDelete'];
+
+// Bookkeeping paths that would otherwise show up in every diff
+const AUDIT_IGNORED_PATHS = ['__v', 'updatedAt'];
+const AUDIT_TO_OBJECT = { depopulate: true, virtuals: false, getters: false, transform: false };
+
+// { a: { b: 1 }, c: [1] } -> { 'a.b': 1, c: [1] }; arrays are compared as a whole
+function flattenDocument(value, prefix = '', out = {}) {
+  for (const [key, nested] of Object.entries(value)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(nested) && Object.keys(nested).length > 0) flattenDocument(nested, path, out);
+    else out[path] = nested;
+  }
+  return out;
+}
+
+function omitPaths(doc, paths) {
+  const copy = { ...doc };
+  for (const path of paths) {
+    const keys = path.split('.');
+    let target = copy;
+    for (const key of keys.slice(0, -1)) {
+      target = isPlainObject(target[key]) ? (target[key] = { ...target[key] }) : null;
+      if (!target) break;
+    }
+    // A path through a non-object ('a.b.c' on { a: { b: 'x' } }) names nothing to remove
+    if (target) delete target[keys[keys.length - 1]];
+  }
+  return copy;
+}
+
+function pickPaths(doc, paths) {
+  const picked = {};
+  for (const path of paths) {
+    const value = getPathValue(doc, path);
+    if (value === undefined) continue;
+
+    const keys = path.split('.');
+    let target = picked;
+    for (const key of keys.slice(0, -1)) target = target[key] = target[key] || {};
+    target[keys[keys.length - 1]] = value;
+  }
+  return picked;
+}
+
+// ==================== RELATIONS ====================
+
+const RELATION_TYPES = ['belongsTo', 'hasMany', 'manyToMany'];
+const DELETE_RULES = ['cascade', 'nullify', 'restrict'];
+const RELATION_DELETE_QUERIES = ['deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'];
+const INCLUDE_OPTIONS = ['include', 'select', 'match', 'sort', 'limit'];
+
+// 'author comments', ['author', 'comments'] or { author: true, comments: { include: 'author' } }
+function includeEntries(include) {
+  if (typeof include === 'string') return include.split(/\s+/).filter(Boolean).map(name => [name, true]);
+  if (Array.isArray(include)) return include.map(name => [name, true]);
+  return Object.entries(include).filter(([, spec]) => spec);
+}
+
+function isPlainObject(value) {
+  if (!value || typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+// Read options shared by find(), findOne(), findById(), findByIds(), paginate() and from(),
+// mapped to the mongoose query method that applies them
+const QUERY_OPTIONS = {
+  select: 'select', sort: 'sort', skip: 'skip', limit: 'limit',
+  populate: 'populate', lean: 'lean', collation: 'collation',
+  readPreference: 'read', maxTimeMS: 'maxTimeMS', hint: 'hint',
+  comment: 'comment', sanitizeFilter: 'sanitizeFilter', session: 'session'
+};
+
+// The subset that applies to countDocuments
+const COUNT_QUERY_OPTIONS = ['collation', 'readPreference', 'maxTimeMS', 'hint', 'comment', 'sanitizeFilter', 'session'];
+
+// Read helpers that return documents unless `lean` is set
+const DOCUMENT_READS = ['find', 'findOne', 'findById', 'findByIds', 'paginate'];
+
+/**
+ * Chainable read query returned by from(). Conditions and options are collected into the
+ * same filter and options objects find() takes, and the terminal methods run through the
+ * regular read helpers, so soft delete scopes, caching and tenants behave the same.
+ *
+ *   mongoo.from('User').where('age').gte(18).sort('-createdAt').page(2, 20).all()
+ */
+class QueryBuilder {
+  constructor(db, modelName) {
+    this.db = db;
+    this.modelName = modelName;
+    this.filter = {};
+    this.options = {};
+    this._path = null;
+  }
+
+  // ---------- Conditions ----------
+
+  // where('age') selects a path for the next operator, where('age', 18) matches a value
+  // and where({ ... }) merges conditions into the filter
+  where(path, value) {
+    if (isPlainObject(path)) {
+      Object.assign(this.filter, path);
+      return this;
+    }
+
+    this._path = path;
+    if (arguments.length > 1) this.filter[path] = value;
+    return this;
+  }
+
+  equals(value) {
+    this.filter[this._currentPath('equals')] = value;
+    return this;
+  }
+
+  gt(...args) { return this._condition('$gt', args); }
+  gte(...args) { return this._condition('$gte', args); }
+  lt(...args) { return this._condition('$lt', args); }
+  lte(...args) { return this._condition('$lte', args); }
+  ne(...args) { return this._condition('$ne', args); }
+  in(...args) { return this._condition('$in', args); }
+  nin(...args) { return this._condition('$nin', args); }
+  size(...args) { return this._condition('$size', args); }
+  elemMatch(...args) { return this._condition('$elemMatch', args); }
+
+  exists(value = true) {
+    return this._condition('$exists', [value]);
+  }
+
+  regex(pattern, flags) {
+    this._condition('$regex', [pattern]);
+    if (flags) this._condition('$options', [flags]);
+    return this;
+  }
+
+  or(conditions) { return this._logical('$or', conditions); }
+  nor(conditions) { return this._logical('$nor', conditions); }
+  and(conditions) { return this._logical('$and', conditions); }
+
+  // ---------- Options ----------
+
+  select(fields) { return this._option('select', fields); }
+  sort(sort) { return this._option('sort', sort); }
+  skip(skip) { return this._option('skip', skip); }
+  limit(limit) { return this._option('limit', limit); }
+  populate(populate) { return this._option('populate', populate); }
+  include(include) { return this._option('include', include); }
+  lean(lean = true) { return this._option('lean', lean); }
+  collation(collation) { return this._option('collation', collation); }
+  hint(hint) { return this._option('hint', hint); }
+  maxTimeMS(ms) { return this._option('maxTimeMS', ms); }
+  comment(comment) { return this._option('comment', comment); }
+  read(readPreference) { return this._option('readPreference', readPreference); }
+  session(session) { return this._option('session', session); }
+  withDeleted() { return this._option('withDeleted', true); }
+  onlyDeleted() { return this._option('onlyDeleted', true); }
+
+  // cache(), cache(60) or cache({ ttl, key })
+  cache(config = true) {
+    return this._option('cache', typeof config === 'number' ? { ttl: config } : config);
+  }
+
+  page(page, limit = this.options.limit || 10) {
+    this.options.page = page;
+    this.options.limit = limit;
+    this.options.skip = (page - 1) * limit;
+    return this;
+  }
+
+  setOptions(options) {
+    Object.assign(this.options, options);
+    return this;
+  }
+
+  // ---------- Execution ----------
+
+  async all() {
+    return await this.db.find(this.modelName, this.filter, this.options);
+  }
+
+  async first() {
+    return await this.db.findOne(this.modelName, this.filter, this.options);
+  }
+
+  // Counts every match; skip, limit and page() are ignored
+  async count() {
+    return await this.db.count(this.modelName, this.filter, this.options);
+  }
+
+  async paginate() {
+    const { skip, ...options } = this.options;
+    return await this.db.paginate(this.modelName, this.filter, options);
+  }
+
+  // Returns a mongoose QueryCursor (readable stream and async iterator); results are not cached
+  stream(cursorOptions = {}) {
+    return this.db._readQuery(this.modelName, 'find', this.filter, this.options).cursor(cursorOptions);
+  }
+
+  async explain(verbosity = 'queryPlanner') {
+    try {
+      return await this.db._readQuery(this.modelName, 'find', this.filter, this.options).explain(verbosity);
+    } catch (error) {
+      throw this.db._handleError(`explain find for ${this.modelName}`, error);
+    }
+  }
+
+  _currentPath(operator) {
+    if (!this._path) throw new Error(`${operator}() needs a path. Call .where('field') first`);
+    return this._path;
+  }
+
+  // gte(18) applies to the path from where(), gte('age', 18) names it
+  _condition(operator, args) {
+    const [path, value] = args.length > 1 ? args : [this._currentPath(operator.slice(1)), args[0]];
+    const current = this.filter[path];
+    const operators = isPlainObject(current) && Object.keys(current).every(key => key.startsWith('$')) ? current : {};
+
+    this.filter[path] = { ...operators, [operator]: value };
+    this._path = path;
+    return this;
+  }
+
+  _logical(operator, conditions) {
+    this.filter[operator] = [...(this.filter[operator] || []), ...conditions];
+    return this;
+  }
+
+  _option(key, value) {
+    this.options[key] = value;
+    return this;
+  }
+}
+
+// ==================== ENCRYPTION ====================
+
+// enc:v1:<keyId>:<iv>:<tag>:<ciphertext>, binary parts in base64
+const CIPHERTEXT_REGEX = /^enc:v1:([^:]+):([A-Za-z0-9+/=]+):([A-Za-z0-9+/=]+):([A-Za-z0-9+/=]*)$/;
+const ENCRYPTION_KEY_BYTES = 32;
+const ENCRYPTED_FILTER_QUERIES = [
+  'find', 'findOne', 'count', 'countDocuments', 'distinct',
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'
+];
+const ENCRYPTED_UPDATE_QUERIES = ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'];
+const ENCRYPTED_RESULT_QUERIES = ['find', 'findOne', 'findOneAndUpdate', 'findOneAndDelete', 'findOneAndReplace', 'findOneAndRemove'];
+
+function isCiphertext(value) {
+  return typeof value === 'string' && CIPHERTEXT_REGEX.test(value);
+}
+
+// Keys may be Buffers or base64/hex strings of 32 bytes
+function toEncryptionKey(key, keyId) {
+  const buffer = Buffer.isBuffer(key)
+    ? key
+    : Buffer.from(String(key), /^[0-9a-fA-F]{64}$/.test(String(key)) ? 'hex' : 'base64');
+  if (buffer.length !== ENCRYPTION_KEY_BYTES) {
+    throw new Error(`Encryption key '${keyId}' must be ${ENCRYPTION_KEY_BYTES} bytes`);
+  }
+  return buffer;
+}
+
+// HKDF-SHA256 (RFC 5869) for one 32-byte block, so each primitive gets its own subkey.
+// Written out with HMAC because crypto.hkdfSync needs Node 15.
+function deriveSubkey(key, purpose) {
+  const prk = crypto.createHmac('sha256', Buffer.alloc(32)).update(key).digest();
+  return crypto.createHmac('sha256', prk).update(`easy-mongoo:${purpose}`).update(Buffer.from([1])).digest();
+}
+
+/**
+ * Deterministic mode derives the IV from the path and the plaintext (HMAC-SHA256 under its own
+ * subkey), so equal values encrypt equally and can be matched by queries. Random mode uses a fresh IV.
+ */
+function encryptValue(provider, path, plaintext, deterministic) {
+  const keyId = provider.currentKeyId();
+  const key = toEncryptionKey(provider.getKey(keyId), keyId);
+  return encryptWithKey(keyId, key, path, String(plaintext), deterministic);
+}
+
+function encryptWithKey(keyId, key, path, plaintext, deterministic) {
+  const iv = deterministic
+    ? crypto.createHmac('sha256', deriveSubkey(key, 'iv')).update(`${path}\0${plaintext}`).digest().subarray(0, 12)
+    : crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveSubkey(key, 'encryption'), iv);
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return ['enc', 'v1', keyId, iv.toString('base64'), cipher.getAuthTag().toString('base64'), data.toString('base64')].join(':');
+}
+
+// Every ciphertext a deterministic value can have, one per known key
+function deterministicCiphertexts(provider, path, plaintext) {
+  return provider.keyIds().map(keyId => encryptWithKey(keyId, toEncryptionKey(provider.getKey(keyId), keyId), path, String(plaintext), true));
+}
+
+function decryptValue(provider, ciphertext) {
+  const [, keyId, iv, tag, data] = CIPHERTEXT_REGEX.exec(ciphertext);
+  const key = provider.getKey(keyId);
+  if (!key) throw new Error(`Unknown encryption key '${keyId}'`);
+
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', deriveSubkey(toEncryptionKey(key, keyId), 'encryption'), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw new EasyMongooError(`Could not decrypt a value encrypted with key '${keyId}'`, { code: 'DECRYPTION_FAILED', originalError: error });
+  }
+}
+
+function ciphertextKeyId(ciphertext) {
+  return CIPHERTEXT_REGEX.exec(ciphertext)[1];
+}
+
+/**
+ * Key provider holding keys in memory. Any provider implements the same synchronous contract:
+ * currentKeyId() -> id used for new writes, getKey(id) -> 32-byte key | undefined,
+ * keyIds() -> every id that may still appear in stored data.
+ */
+class StaticKeyProvider {
+  constructor({ keys = {}, current } = {}) {
+    this.keys = new Map(Object.entries(keys).map(([keyId, key]) => [keyId, toEncryptionKey(key, keyId)]));
+    this.current = current || Object.keys(keys)[0];
+
+    if (!this.keys.has(this.current)) throw new Error(`Current encryption key '${this.current}' is not in keys`);
+    for (const keyId of this.keys.keys()) {
+      if (keyId.includes(':')) throw new Error(`Encryption key id '${keyId}' cannot contain ':'`);
+    }
+  }
+
+  currentKeyId() {
+    return this.current;
+  }
+
+  getKey(keyId) {
+    return this.keys.get(keyId);
+  }
+
+  keyIds() {
+    return Array.from(this.keys.keys());
+  }
+}
+
+// Reads EASY_MONGOO_KEY_<ID> variables; EASY_MONGOO_KEY_CURRENT names the key for new writes
+class EnvKeyProvider extends StaticKeyProvider {
+  constructor({ prefix = 'EASY_MONGOO_KEY_', env = process.env } = {}) {
+    const keys = {};
+    for (const [name, value] of Object.entries(env)) {
+      if (name.startsWith(prefix) && name !== `${prefix}CURRENT`) keys[name.slice(prefix.length).toLowerCase()] = value;
+    }
+    super({ keys, current: env[`${prefix}CURRENT`] && env[`${prefix}CURRENT`].toLowerCase() });
+  }
+}
+
+// ==================== CHANGE STREAMS ====================
+
+const WATCH_EVENTS = ['insert', 'update', 'delete'];
+// InvalidResumeToken, ChangeStreamFatalError, ChangeStreamHistoryLost
+const LOST_RESUME_TOKEN_CODES = [260, 280, 286];
+const POLLING_START_ID = '000000000000000000000000';
+
+// { status: 'paid' } -> { 'fullDocument.status': 'paid' }, recursing into $and/$or/$nor
+function prefixFilter(filter, prefix) {
+  return Object.fromEntries(Object.entries(filter).map(([key, value]) => {
+    if (['$and', '$or', '$nor'].includes(key)) return [key, value.map(condition => prefixFilter(condition, prefix))];
+    return [key.startsWith('$') ? key : `${prefix}.${key}`, value];
+  }));
+}
+
+/**
+ * Live feed of a model's changes returned by watch(). Uses a change stream on replica sets
+ * and sharded clusters and falls back to polling `updatedAt` on standalone servers.
+ * Handlers run one event at a time; with `resumeKey` the position is saved after each
+ * event, so a restarted watcher continues where the last one stopped (at-least-once).
+ *
+ * Emits 'insert', 'update', 'delete', 'change' (every event), 'error' and 'close'.
+ */
+class Watcher extends EventEmitter {
+  constructor(db, modelName, filter, handler, options) {
+    super();
+    this.db = db;
+    this.modelName = modelName;
+    this.filter = filter;
+    this.handler = handler;
+    this.options = options;
+    this.mode = null;
+    this.closed = false;
+    this._stream = null;
+    this._timer = null;
+    this._position = null;
+    this._lastToken = null;
+    this._failures = 0;
+  }
+
+  async start() {
+    this.Model = this.db._getModel(this.modelName);
+    this._conditions = this.Model.find(this.filter).cast(this.Model);
+    this._softDelete = !!this.Model.schema.get('softDelete');
+
+    const saved = await this._loadPosition();
+    const polling = this.options.polling ?? 'auto';
+    const useStream = polling === false || (polling === 'auto' && await this._supportsChangeStreams());
+
+    if (useStream) {
+      this.mode = 'changeStream';
+      this._lastToken = saved && saved.mode === 'changeStream' ? saved.token : null;
+      this._openStream(this._lastToken);
+    } else {
+      if (!this.Model.schema.path('updatedAt')) {
+        throw new Error(`Polling '${this.modelName}' needs timestamps (an updatedAt path)`);
+      }
+      this.mode = 'polling';
+      this._position = saved && saved.mode === 'polling'
+        ? saved.token
+        : { updatedAt: new Date(), _id: new mongoose.Types.ObjectId(POLLING_START_ID) };
+      this._schedule(0);
+    }
+
+    this.db._log(`👀 Watching ${this.modelName}`, { operation: 'watch', model: this.modelName, mode: this.mode });
+    return this;
+  }
+
+  async close() {
+    if (this.closed) return;
+    this.closed = true;
+    clearTimeout(this._timer);
+    if (this._stream) await this._stream.close().catch(() => {});
+    this.db.watchers.delete(this);
+    this.emit('close');
+  }
+
+  // Standalone servers report neither a replica set name nor mongos
+  async _supportsChangeStreams() {
+    if (this.Model.db.readyState !== 1) {
+      throw new ConnectionError('Not connected to database');
+    }
+    const hello = await this.Model.db.db.admin().command({ hello: 1 });
+    return !!hello.setName || hello.msg === 'isdbgrid';
+  }
+
+  _openStream(token) {
+    const types = this.options.events || WATCH_EVENTS;
+    const operationTypes = types.includes('update') ? [...types, 'replace'] : types;
+    const match = { operationType: { $in: operationTypes } };
+
+    // Deleted documents have no contents left to match, so deletes are always delivered
+    if (Object.keys(this._conditions).length > 0) {
+      match.$or = [{ operationType: 'delete' }, prefixFilter(this._conditions, 'fullDocument')];
+    }
+
+    const streamOptions = { fullDocument: this.options.fullDocument || 'updateLookup' };
+    if (token) streamOptions.startAfter = token;
+
+    let stream;
+    try {
+      stream = this._stream = this.Model.collection.watch([{ $match: match }], streamOptions);
+    } catch (error) {
+      return this._reopenStream(error, false);
+    }
+    this._consume(stream, !!token);
+  }
+
+  async _consume(stream, resumed) {
+    try {
+      while (!this.closed) {
+        const change = await stream.next();
+        this._failures = 0;
+        await this._dispatch(this._fromChange(change), { mode: 'changeStream', token: change._id });
+        this._lastToken = change._id;
+      }
+    } catch (error) {
+      if (this.closed) return;
+      await stream.close().catch(() => {});
+      this._reopenStream(error, resumed && LOST_RESUME_TOKEN_CODES.includes(error.code));
+    }
+  }
+
+  // The driver already resumes after transient errors; these are the ones it gave up on
+  _reopenStream(error, tokenLost) {
+    this._report(tokenLost ? '⚠️ Resume token expired, watching from now' : '❌ Change stream failed', error);
+    if (tokenLost) this._lastToken = null;
+
+    this._failures++;
+    this._timer = setTimeout(() => {
+      if (!this.closed) this._openStream(this._lastToken);
+    }, tokenLost ? 0 : backoffDelay(this._failures, this.options.retry));
+  }
+
+  _fromChange(change) {
+    const type = change.operationType === 'replace' ? 'update' : change.operationType;
+    const document = change.fullDocument || null;
+    const update = change.updateDescription;
+
+    return this._event(type, change.documentKey._id, document, {
+      updatedFields: update ? update.updatedFields : null,
+      removedFields: update ? update.removedFields : null,
+      at: change.wallTime || (change.clusterTime ? new Date(change.clusterTime.getHighBits() * 1000) : new Date())
+    });
+  }
+
+  _schedule(delay) {
+    if (this.closed) return;
+    this._timer = setTimeout(() => this._poll(), delay);
+  }
+
+  // Keyset scan over (updatedAt, _id), like paginateCursor()
+  async _poll() {
+    const batchSize = this.options.batchSize || 100;
+    let docs = [];
+
+    try {
+      const { updatedAt, _id } = this._position;
+      const since = { $or: [{ updatedAt: { $gt: updatedAt } }, { updatedAt, _id: { $gt: _id } }] };
+      docs = await this.Model.find({ $and: [this._conditions, since] })
+        .setOptions({ softDeleted: 'include' })
+        .sort({ updatedAt: 1, _id: 1 })
+        .limit(batchSize)
+        .lean();
+
+      this._failures = 0;
+      for (const doc of docs) {
+        if (this.closed) return;
+        const type = this._softDelete && doc.deleted
+          ? 'delete'
+          : (doc.createdAt && doc.createdAt.getTime() === doc.updatedAt.getTime() ? 'insert' : 'update');
+
+        const position = { updatedAt: doc.updatedAt, _id: doc._id };
+        await this._dispatch(this._event(type, doc._id, doc, { at: doc.updatedAt }), { mode: 'polling', token: position });
+        this._position = position;
+      }
+    } catch (error) {
+      this._failures++;
+      this._report('❌ Polling failed', error);
+      return this._schedule(backoffDelay(this._failures, this.options.retry));
+    }
+
+    this._schedule(docs.length === batchSize ? 0 : (this.options.pollInterval || 1000));
+  }
+
+  _event(type, id, document, extra) {
+    const encrypted = this.Model.schema.get('encryption');
+    if (encrypted && !this.options.hydrate) {
+      for (const values of [document, extra && extra.updatedFields]) {
+        if (values) this.db._decryptDocument(encrypted, values);
+      }
+    }
+
+    const hydrated = document && this.options.hydrate ? this.Model.hydrate(document) : document;
+    return {
+      type: this._softDelete && type === 'update' && document && document.deleted ? 'delete' : type,
+      model: this.modelName,
+      id,
+      document: hydrated,
+      updatedFields: null,
+      removedFields: null,
+      source: this.mode,
+      ...extra
+    };
+  }
+
+  async _dispatch(event, position) {
+    const types = this.options.events || WATCH_EVENTS;
+    if (types.includes(event.type)) {
+      try {
+        if (this.handler) await this.handler(event);
+        this.emit(event.type, event);
+        this.emit('change', event);
+      } catch (error) {
+        this._report(`❌ Watch handler failed for ${this.modelName}`, error);
+      }
+    }
+    await this._savePosition(position);
+  }
+
+  _tokens() {
+    return this.Model.db.collection(this.options.tokenCollection || 'watch_tokens');
+  }
+
+  async _loadPosition() {
+    if (!this.options.resumeKey) return null;
+    const saved = await this._tokens().findOne({ _id: this.options.resumeKey });
+    return saved && saved.model === this.modelName ? saved : null;
+  }
+
+  async _savePosition({ mode, token }) {
+    if (!this.options.resumeKey) return;
+    try {
+      await this._tokens().updateOne(
+        { _id: this.options.resumeKey },
+        { $set: { model: this.modelName, mode, token, updatedAt: new Date() } },
+        { upsert: true }
+      );
+    } catch (error) {
+      this._report('❌ Saving watch position failed', error);
+    }
+  }
+
+  // 'error' is only emitted when someone listens; an unhandled 'error' event would crash the process
+  _report(message, error) {
+    this.db._log(message, { operation: 'watch', model: this.modelName, error: error.message }, 'error');
+    if (this.listenerCount('error') > 0) this.emit('error', error);
+  }
+}
+
+// ==================== FACTORIES ====================
+
+// Paths factories leave to mongoose, timestamps, auto-slugs and soft delete
+const FACTORY_SKIPPED_PATHS = ['_id', '__v', 'createdAt', 'updatedAt', 'slug'];
+const SOFT_DELETE_PATHS = ['deleted', 'deletedAt', 'deletedBy'];
+// Generated dates fall in the year after this instant, so they do not depend on the clock
+const FACTORY_EPOCH = Date.UTC(2024, 0, 1);
+const FACTORY_DAY = 24 * 60 * 60 * 1000;
+
+const FAKE_FIRST_NAMES = ['Ada', 'Alan', 'Grace', 'Linus', 'Margaret', 'Dennis', 'Barbara', 'Ken', 'Radia', 'Tim', 'Frances', 'Edsger'];
+const FAKE_LAST_NAMES = ['Lovelace', 'Turing', 'Hopper', 'Torvalds', 'Hamilton', 'Ritchie', 'Liskov', 'Thompson', 'Perlman', 'Berners-Lee', 'Allen', 'Dijkstra'];
+const FAKE_WORDS = [
+  'alpha', 'bright', 'cedar', 'delta', 'ember', 'forest', 'granite', 'harbor', 'island', 'jade',
+  'kernel', 'lunar', 'maple', 'nova', 'orbit', 'pixel', 'quartz', 'river', 'summit', 'tide',
+  'urban', 'velvet', 'willow', 'zenith'
+];
+const FAKE_CITIES = ['Lisbon', 'Oslo', 'Nairobi', 'Osaka', 'Toronto', 'Lima', 'Berlin', 'Melbourne', 'Pune', 'Austin'];
+const FAKE_COUNTRIES = ['Portugal', 'Norway', 'Kenya', 'Japan', 'Canada', 'Peru', 'Germany', 'Australia', 'India', 'United States'];
+
+/**
+ * Seeded pseudo-random generator (mulberry32) handed to factory definitions as `random`.
+ * The same seed always produces the same sequence of values.
+ */
+class FactoryRandom {
+  constructor(seed) {
+    // Strings and numbers both seed the generator
+    this._state = crypto.createHash('sha1').update(String(seed)).digest().readUInt32LE(0);
+  }
+
+  next() {
+    this._state = (this._state + 0x6D2B79F5) >>> 0;
+    let t = this._state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  int(min = 0, max = 100) {
+    return Math.floor(min + this.next() * (max - min + 1));
+  }
+
+  float(min = 0, max = 100, decimals = 2) {
+    return Number((min + this.next() * (max - min)).toFixed(decimals));
+  }
+
+  bool(probability = 0.5) {
+    return this.next() < probability;
+  }
+
+  pick(values) {
+    return values[Math.floor(this.next() * values.length)];
+  }
+
+  string(length = 8, alphabet = 'abcdefghijklmnopqrstuvwxyz0123456789') {
+    let value = '';
+    while (value.length < length) value += alphabet[Math.floor(this.next() * alphabet.length)];
+    return value;
+  }
+
+  hex(length) {
+    return this.string(length, '0123456789abcdef');
+  }
+
+  words(count = 3) {
+    return Array.from({ length: count }, () => this.pick(FAKE_WORDS)).join(' ');
+  }
+
+  date(from = new Date(FACTORY_EPOCH), to = new Date(from.getTime() + 365 * FACTORY_DAY)) {
+    return new Date(from.getTime() + Math.floor(this.next() * (to.getTime() - from.getTime())));
+  }
+}
+
+function capitalize(value) {
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+/**
+ * Builds documents for a model from its schema, returned by factory().
+ *
+ *   mongoo.factory('User', { role: 'admin', email: ({ n }) => `user${n}@test.dev` }, { seed: 7 })
+ *   await mongoo.factory('User').create(3, { team: 'core' })
+ *
+ * Each value comes from the overrides, then the definition, then the schema. Definition and
+ * override values may be functions of { n, random, attributes } (n counts from 1), or
+ * another factory, which builds or creates the referenced document and uses its _id.
+ */
+class Factory {
+  constructor(db, modelName, definition, options) {
+    this.db = db;
+    this.modelName = modelName;
+    this.definition = definition;
+    this.seed(options.seed ?? 1);
+  }
+
+  // Restarts the random sequence and the n counter
+  seed(seed = this._seed) {
+    this._seed = seed;
+    this._random = new FactoryRandom(`${seed}:${this.modelName}`);
+    this._sequence = 0;
+    return this;
+  }
+
+  // Plain objects, nothing is saved; references get fresh ObjectIds
+  async attributes(count, overrides) {
+    return await this._many(count, overrides, async (values) => await this._generate('attributes', values));
+  }
+
+  // Unsaved documents; referenced factories are built as well
+  async build(count, overrides) {
+    const Model = this.db._getModel(this.modelName);
+    return await this._many(count, overrides, async (values) => new Model(await this._generate('build', values)));
+  }
+
+  // Saved documents; referenced factories create their documents first
+  async create(count, overrides) {
+    try {
+      const Model = this.db._getModel(this.modelName);
+      const created = await this._many(count, overrides, async (values) => await Model.create(await this._generate('create', values)));
+      const total = Array.isArray(created) ? created.length : 1;
+      this.db._log(`🏭 Created ${total} ${this.modelName} from factory`, { operation: 'factory', model: this.modelName, count: total });
+      return created;
+    } catch (error) {
+      throw this.db._handleError(`create ${this.modelName} from factory`, error);
+    }
+  }
+
+  // build() / build(overrides) return one document, build(3) / build(3, overrides) an array
+  async _many(count, overrides, make) {
+    if (typeof count !== 'number') return await make(count);
+
+    const results = [];
+    for (let i = 0; i < count; i++) results.push(await make(overrides));
+    return results;
+  }
+
+  async _generate(mode, overrides) {
+    const n = ++this._sequence;
+    const Model = this.db._getModel(this.modelName);
+    const given = { ...flattenDocument(this.definition), ...flattenDocument(overrides || {}) };
+    const attributes = {};
+    const context = { n, random: this._random, attributes };
+
+    for (const path of this._paths(Model.schema)) {
+      if (Object.prototype.hasOwnProperty.call(given, path)) continue;
+      const value = await this._fake(mode, path, Model.schema.path(path), context);
+      if (value !== undefined) setPathValue(attributes, path, value);
+    }
+
+    // Given values run last so functions can read the generated attributes
+    for (const [path, value] of Object.entries(given)) {
+      setPathValue(attributes, path, await this._resolve(mode, value, context));
+    }
+
+    return attributes;
+  }
+
+  _paths(schema) {
+    const softDelete = !!schema.get('softDelete');
+    return Object.keys(schema.paths).filter(path =>
+      !FACTORY_SKIPPED_PATHS.includes(path) && !(softDelete && SOFT_DELETE_PATHS.includes(path)));
+  }
+
+  async _resolve(mode, value, context) {
+    if (value instanceof Factory) return await value._reference(mode);
+    if (typeof value === 'function') return await value(context);
+    return value;
+  }
+
+  async _reference(mode) {
+    if (mode === 'attributes') return new mongoose.Types.ObjectId();
+    const [doc] = await this[mode](1);
+    return doc._id;
+  }
+
+  async _fake(mode, path, schemaType, context) {
+    const { random } = context;
+    const options = schemaType.options;
+    const required = !!(schemaType.isRequired || options.required);
+
+    if (schemaType.$isMongooseDocumentArray) {
+      const items = [];
+      for (let i = random.int(1, 2); i > 0; i--) items.push(await this._fakeSubdocument(mode, schemaType.schema, context));
+      return items;
+    }
+    if (schemaType.$isSingleNested) return await this._fakeSubdocument(mode, schemaType.schema, context);
+
+    if (schemaType.instance === 'Array') {
+      const caster = schemaType.caster;
+      if (path.endsWith('coordinates')) return [random.float(-180, 180, 6), random.float(-90, 90, 6)];
+      if (!caster || caster.options.ref) return undefined;
+
+      const items = [];
+      for (let i = random.int(1, 3); i > 0; i--) items.push(await this._fake(mode, path, caster, context));
+      return items;
+    }
+
+    if (options.ref) {
+      return required ? await this.db.factory(options.ref)._reference(mode) : undefined;
+    }
+    if (options.enum) {
+      const values = Array.isArray(options.enum) ? options.enum : options.enum.values;
+      return random.pick(values);
+    }
+
+    switch (schemaType.instance) {
+      case 'String': return this._fakeString(path, schemaType, context);
+      case 'Number': return this._fakeNumber(path, options, random);
+      case 'Date': return random.date(options.min, options.max);
+      case 'Boolean': return random.bool();
+      case 'ObjectID':
+      case 'ObjectId': return new mongoose.Types.ObjectId(random.hex(24));
+      case 'Decimal128': return mongoose.Types.Decimal128.fromString(String(random.float(0, 1000)));
+      default: return undefined;
+    }
+  }
+
+  async _fakeSubdocument(mode, schema, context) {
+    const subdocument = {};
+    for (const path of this._paths(schema)) {
+      const value = await this._fake(mode, path, schema.path(path), context);
+      if (value !== undefined) setPathValue(subdocument, path, value);
+    }
+    return subdocument;
+  }
+
+  _fakeString(path, schemaType, context) {
+    const { n, random } = context;
+    const options = schemaType.options;
+    const field = path.split('.').pop().toLowerCase();
+    const type = this.db._shortcutTypeOf(options);
+    const first = random.pick(FAKE_FIRST_NAMES);
+    const last = random.pick(FAKE_LAST_NAMES);
+    let value;
+
+    if (type && type.fake) value = type.fake(context);
+    else if (type === SHORTCUT_BASES.email || field.includes('email')) value = `${first}.${last}${n}@example.com`.toLowerCase().replace(/[^a-z0-9.@]/g, '');
+    else if (type === SHORTCUT_BASES.url) value = `https://example.com/${random.pick(FAKE_WORDS)}-${n}`;
+    else if (type === SHORTCUT_BASES.phone) value = `+${random.int(1, 9)}${random.string(10, '0123456789')}`;
+    else if (type === SHORTCUT_BASES.color) value = `#${random.hex(6)}`;
+    else if (field.includes('password')) value = random.string(12);
+    else if (field === 'firstname') value = first;
+    else if (field === 'lastname') value = last;
+    else if (field === 'username') value = `${first}${n}`.toLowerCase();
+    else if (field.endsWith('name')) value = `${first} ${last}`;
+    else if (field === 'title') value = capitalize(random.words(3));
+    else if (['description', 'content', 'body', 'bio', 'summary'].includes(field)) value = `${capitalize(random.words(random.int(8, 14)))}.`;
+    else if (field === 'city') value = random.pick(FAKE_CITIES);
+    else if (field === 'country') value = random.pick(FAKE_COUNTRIES);
+    else if (field === 'address' || field === 'street') value = `${random.int(1, 999)} ${capitalize(random.pick(FAKE_WORDS))} Street`;
+    else value = options.unique ? `${random.words(2).replace(' ', '-')}-${n}` : random.words(2);
+
+    if (options.minlength && value.length < options.minlength) value += random.string(options.minlength - value.length);
+    if (options.maxlength && value.length > options.maxlength) value = value.slice(0, options.maxlength);
+    return value;
+  }
+
+  _fakeNumber(path, options, random) {
+    const min = options.min ?? 0;
+    const max = options.max ?? min + 1000;
+    return /price|amount|total|cost/i.test(path) ? random.float(min, max) : random.int(min, max);
+  }
+}
+
+// ==================== REST ROUTER ====================
+
+const ROUTER_ROUTES = ['list', 'get', 'create', 'update', 'delete'];
+// Route for each method on the collection URL ('/') and on item URLs ('/:id')
+const ROUTER_METHODS = {
+  collection: { GET: 'list', POST: 'create' },
+  item: { GET: 'get', PATCH: 'update', PUT: 'update', DELETE: 'delete' }
+};
+// ?price[gte]=10&status[in]=draft,published; a bare ?status=draft means eq
+const ROUTER_FILTER_OPERATORS = {
+  eq: '$eq', ne: '$ne', gt: '$gt', gte: '$gte', lt: '$lt', lte: '$lte', in: '$in', nin: '$nin', exists: '$exists'
+};
+const ROUTER_RESERVED_PARAMS = ['page', 'limit', 'sort', 'fields'];
+
+function invalidRequest(message) {
+  return new EasyMongooError(message, { code: 'INVALID_REQUEST', status: 400 });
+}
+
+// Operator keys in a body would let clients run $where, $inc or $rename
+function hasOperatorKeys(value) {
+  if (Array.isArray(value)) return value.some(hasOperatorKeys);
+  if (!isPlainObject(value)) return false;
+  return Object.entries(value).some(([key, nested]) => key.startsWith('$') || hasOperatorKeys(nested));
+}
+
+// Uses a body parsed by express.json() or similar when there is one, otherwise reads the JSON itself
+function readJsonBody(req, limit) {
+  if (req.body !== undefined) return Promise.resolve(req.body);
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size <= limit) chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (size > limit) {
+        reject(new EasyMongooError(`Request body exceeds ${limit} bytes`, { code: 'PAYLOAD_TOO_LARGE', status: 413 }));
+        return;
+      }
+      const text = Buffer.concat(chunks).toString('utf8');
+      try {
+        resolve(text ? JSON.parse(text) : {});
+      } catch (error) {
+        reject(invalidRequest('Request body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Serves list/get/create/update/delete for one model, returned by router() as a
+ * (req, res, next) handler for Node's http module, Express and compatible frameworks.
+ * Every response is JSON: { data } or { data, pagination } on success, { error } otherwise.
+ */
+class ModelRouter {
+  constructor(db, modelName, options = {}) {
+    this.db = db;
+    this.modelName = modelName;
+    this.schema = db._getRegisteredModel(modelName).schema;
+    this.options = {
+      prefix: '',
+      routes: ROUTER_ROUTES,
+      filters: [],
+      sort: [],
+      fields: null,
+      limit: 20,
+      maxLimit: 100,
+      bodyLimit: 1024 * 1024,
+      authorize: null,
+      ...options
+    };
+
+    // select: false paths (password) are only selectable through an explicit `fields` allowlist
+    this.hiddenPaths = [];
+    this.schema.eachPath((path, schemaType) => {
+      if (schemaType.selected === false) this.hiddenPaths.push(path);
+    });
+
+    const unknown = this.options.routes.filter(route => !ROUTER_ROUTES.includes(route));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown routes: ${unknown.join(', ')}. Use ${ROUTER_ROUTES.join(', ')}`);
+    }
+  }
+
+  async handle(req, res, next) {
+    let match;
+    try {
+      match = this._match(req);
+    } catch (error) {
+      return this._sendError(res, invalidRequest('Malformed URL'));
+    }
+
+    if (!match) {
+      if (next) return next();
+      return this._sendError(res, new EasyMongooError(`Cannot ${req.method} ${req.url}`, { code: 'NOT_FOUND', status: 404 }));
+    }
+
+    const methods = ROUTER_METHODS[match.id === null ? 'collection' : 'item'];
+    const route = methods[req.method];
+    if (!route || !this.options.routes.includes(route)) {
+      const allowed = Object.keys(methods).filter(method => this.options.routes.includes(methods[method]));
+      res.setHeader('Allow', allowed.join(', '));
+      return this._sendError(res, new EasyMongooError(`${req.method} is not allowed here`, { code: 'METHOD_NOT_ALLOWED', status: 405 }));
+    }
+
+    try {
+      const context = await this._context(req, route, match);
+      await this._authorize(req, context);
+      const { status, body } = await this[`_${route}`](context, req);
+      this._send(res, status, body);
+    } catch (error) {
+      if (error instanceof EasyMongooError) return this._sendError(res, error);
+      if (next) return next(error);
+      this._sendError(res, new EasyMongooError('Internal server error', { originalError: error }));
+    }
+  }
+
+  _match(req) {
+    const url = new URL(req.url, 'http://localhost');
+    const prefix = this.options.prefix.replace(/\/+$/, '');
+    let path = url.pathname;
+
+    if (prefix) {
+      if (path !== prefix && !path.startsWith(`${prefix}/`)) return null;
+      path = path.slice(prefix.length);
+    }
+
+    const segments = path.split('/').filter(Boolean);
+    if (segments.length > 1) return null;
+    return { id: segments.length === 1 ? decodeURIComponent(segments[0]) : null, query: url.searchParams };
+  }
+
+  // Parsed before the authorize hook runs, so hooks can narrow `filter` or rewrite `body`
+  async _context(req, route, { id, query }) {
+    const context = { route, modelName: this.modelName, id };
+
+    // URLSearchParams keeps every value; reading only one would silently drop the rest
+    const repeated = Array.from(new Set(query.keys())).find(key => query.getAll(key).length > 1);
+    if (repeated) throw invalidRequest(`Query parameter '${repeated}' is repeated`);
+
+    if (route === 'list') {
+      context.filter = this._filter(query);
+      context.sort = this._sort(query.get('sort'));
+      context.select = this._fields(query.get('fields'));
+      context.page = this._integer('page', query.get('page'), 1);
+      context.limit = Math.min(this._integer('limit', query.get('limit'), this.options.limit), this.options.maxLimit);
+    } else if (route === 'get') {
+      context.select = this._fields(query.get('fields'));
+    } else if (route === 'create' || route === 'update') {
+      context.body = await readJsonBody(req, this.options.bodyLimit);
+      if (!isPlainObject(context.body)) throw invalidRequest('Request body must be a JSON object');
+      if (hasOperatorKeys(context.body)) throw invalidRequest("Request body keys cannot start with '$'");
+    }
+
+    return context;
+  }
+
+  async _authorize(req, context) {
+    const { authorize } = this.options;
+    const hook = typeof authorize === 'function' ? authorize : authorize && authorize[context.route];
+    if (hook && !(await hook(req, context))) {
+      throw new EasyMongooError(`Not allowed to ${context.route} ${this.modelName}`, { code: 'FORBIDDEN', status: 403 });
+    }
+  }
+
+  async _list({ filter, sort, select, page, limit }) {
+    const { docs, ...pagination } = await this.db.paginate(this.modelName, filter, { page, limit, sort, select });
+    return { status: 200, body: { data: docs, pagination } };
+  }
+
+  async _get({ id, select }) {
+    return { status: 200, body: { data: await this.db.findById(this.modelName, id, { select }) } };
+  }
+
+  async _create({ body }) {
+    return { status: 201, body: { data: await this.db.create(this.modelName, body) } };
+  }
+
+  // `If-Match: <version>` becomes expectedVersion on models with optimisticConcurrency
+  async _update({ id, body }, req) {
+    const { _id, ...fields } = body;
+    const options = {};
+    const ifMatch = req.headers && req.headers['if-match'];
+    if (ifMatch !== undefined && this.schema.get('optimisticConcurrency')) {
+      options.expectedVersion = this._integer('If-Match', ifMatch.replace(/"/g, ''), undefined, 0);
+    }
+    return { status: 200, body: { data: await this.db.findByIdAndUpdate(this.modelName, id, fields, options) } };
+  }
+
+  // Soft delete models are soft deleted
+  async _delete({ id }) {
+    if (this.schema.get('softDelete')) await this.db.findByIdAndSoftDelete(this.modelName, id);
+    else await this.db.deleteById(this.modelName, id);
+    return { status: 204 };
+  }
+
+  _filter(query) {
+    const filter = {};
+
+    for (const [key, value] of query) {
+      if (ROUTER_RESERVED_PARAMS.includes(key)) continue;
+
+      const match = /^([\w.]+)(?:\[(\w+)\])?$/.exec(key);
+      const operator = match && ROUTER_FILTER_OPERATORS[match[2] || 'eq'];
+      if (!operator) throw invalidRequest(`Invalid filter '${key}'`);
+
+      const path = match[1];
+      if (!this.options.filters.includes(path)) throw invalidRequest(`Filtering on '${path}' is not allowed`);
+
+      filter[path] = filter[path] || {};
+      if (operator === '$in' || operator === '$nin') filter[path][operator] = value.split(',');
+      else if (operator === '$exists') filter[path][operator] = value !== 'false';
+      else filter[path][operator] = value;
+    }
+
+    return filter;
+  }
+
+  // ?sort=-createdAt,name
+  _sort(value) {
+    if (!value) return undefined;
+
+    const sort = {};
+    for (const field of value.split(',').map(item => item.trim()).filter(Boolean)) {
+      const path = field.replace(/^[-+]/, '');
+      if (!this.options.sort.includes(path)) throw invalidRequest(`Sorting by '${path}' is not allowed`);
+      sort[path] = field.startsWith('-') ? -1 : 1;
+    }
+    return sort;
+  }
+
+  // ?fields=name,email; without a `fields` allowlist any schema path can be selected,
+  // except hidden paths and the nested objects that contain them
+  _fields(value) {
+    if (!value) return undefined;
+
+    const fields = value.split(',').map(item => item.trim()).filter(Boolean);
+    for (const field of fields) {
+      const allowed = this.options.fields
+        ? this.options.fields.includes(field)
+        : ['real', 'nested'].includes(this.schema.pathType(field)) && !this.hiddenPaths.some(hidden => (
+          hidden === field || hidden.startsWith(`${field}.`) || field.startsWith(`${hidden}.`)
+        ));
+      if (!allowed) throw invalidRequest(`Selecting '${field}' is not allowed`);
+    }
+    return fields.join(' ');
+  }
+
+  _integer(name, value, fallback, min = 1) {
+    if (value === null || value === undefined || value === '') return fallback;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min) throw invalidRequest(`'${name}' must be an integer of at least ${min}`);
+    return number;
+  }
+
+  _send(res, status, body) {
+    res.statusCode = status;
+    if (body === undefined) {
+      res.end();
+      return;
+    }
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify(body));
+  }
+
+  _sendError(res, error) {
+    this._send(res, error.status, { error: error.toJSON() });
+  }
+}
+
+// ==================== JSON SCHEMA EXPORT ====================
+
+const JSON_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+const OBJECT_ID_SCHEMA = { type: 'string', pattern: '^[0-9a-fA-F]{24}$' };
+// Component name suffix of each toJSONSchema() variant in toOpenAPI()
+const SCHEMA_VARIANTS = { response: '', create: 'Create', update: 'Update' };
+
+// Mongoose accepts both `minlength: 3` and `minlength: [3, 'message']`
+function optionValue(option) {
+  return Array.isArray(option) ? option[0] : option;
+}
+
+// Defaults as they appear in JSON; null and function defaults such as Date.now are left out
+function jsonDefault(value) {
+  if (value == null || typeof value === 'function') return undefined;
+  return JSON.parse(JSON.stringify(value));
+}
+
+// Schema of a value produced by toJSON() that has no schema path, e.g. `id` or a virtual
+function jsonSchemaOfValue(value) {
+  if (value instanceof mongoose.Types.ObjectId) return { ...OBJECT_ID_SCHEMA };
+  if (value instanceof Date) return { type: 'string', format: 'date-time' };
+  if (['string', 'number', 'boolean'].includes(typeof value)) return { type: typeof value };
+  return {};
+}
+
+// Drops empty `required` lists the builder starts every object with
+function compactJsonSchema(node) {
+  if (node.properties) Object.values(node.properties).forEach(compactJsonSchema);
+  if (node.items) compactJsonSchema(node.items);
+  if (node.additionalProperties) compactJsonSchema(node.additionalProperties);
+  if (node.required && node.required.length === 0) delete node.required;
+  return node;
+}
+
+class UltraMongo {
+  constructor() {
+    this.connection = null;
+    this.models = new Map();
+    this.isConnected = false;
+    this.debug = false;
+    this.logger = new ConsoleLogger();
+    this.logLevel = 'warn';
+    this.schemas = new Map();
+    this.globalPlugins = [];
+    this.cacheAdapter = new MemoryCache();
+    this.customTypes = new Map();
+    this.passwordHashing = { ...DEFAULT_PASSWORD_HASHING };
+    this.indexPolicy = {};
+    this.connections = new Map();
+    this.modelOptions = new Map();
+    this.tenantResolver = null;
+    this._tenantStorage = new AsyncLocalStorage();
+    this._actorStorage = new AsyncLocalStorage();
+    this._auditIndexes = new Set();
+    this.watchers = new Set();
+    this.factories = new Map();
+    this.keyProvider = null;
+    this.cursorSecret = null;
+    this.migrations = new Map();
+    this.events = new EventEmitter();
+    this.metricsRegistry = new MetricsRegistry();
+    this.slowQuery = { threshold: null, explain: false };
+    this._operationStorage = new AsyncLocalStorage();
+    this._inFlight = new Set();
+    this._listenedConnections = new WeakSet();
+    this._shutdownHandlers = [];
+    this.shuttingDown = false;
+  }
+
+  // ==================== CONNECTION MANAGEMENT ====================
+  /**
+   * `retry: { retries, minDelay, maxDelay, factor, jitter }` retries the initial connect with
+   * exponential backoff on network and server selection errors (default: no retries).
+   * `shutdown: true | { signals, timeout, onShutdown }` calls enableGracefulShutdown().
+   */
+  async connect(uri, options = {}) {
+    const { debug, retry, shutdown, ...connectOptions } = options;
+    if (debug !== undefined) this.setDebug(debug);
+
+    const mongooseOptions = {
+      maxPoolSize: 10,
+      minPoolSize: 2,
+      ...connectOptions
+    };
+
+    this._attachConnectionListeners(mongoose.connection, 'default');
+    this._log('🔄 Connecting to MongoDB...');
+
+    this.connection = await this._connectWithRetry('default', retry, async () => {
+      return await mongoose.connect(uri, mongooseOptions);
+    });
+    this.isConnected = true;
+
+    if (shutdown) this.enableGracefulShutdown(shutdown === true ? {} : shutdown);
+    return this.connection;
+  }
+
+  async disconnect() {
+    for (const watcher of Array.from(this.watchers)) {
+      await watcher.close();
+    }
+
+    for (const name of Array.from(this.connections.keys())) {
+      await this.closeConnection(name);
+    }
+
+    // readyState rather than isConnected: a connection that dropped is still reconnecting
+    if (mongoose.connection.readyState !== 0) {
+      await mongoose.disconnect();
+      this.isConnected = false;
+      this._log('🔌 MongoDB Disconnected', { operation: 'disconnect' });
+    }
+  }
+
+  async _connectWithRetry(name, retry = {}, attempt) {
+    const retries = retry.retries ?? 0;
+    const started = Date.now();
+
+    for (let attemptNumber = 1; ; attemptNumber++) {
+      try {
+        const result = await attempt();
+        this._log(`✅ Connection '${name}' ready`, {
+          operation: 'connect',
+          connection: name,
+          attempt: attemptNumber,
+          duration: Date.now() - started
+        });
+        return result;
+      } catch (error) {
+        const retryable = attemptNumber <= retries && isRetryableConnectError(error);
+        const fields = { operation: 'connect', connection: name, attempt: attemptNumber, error: error.message };
+
+        if (!retryable) {
+          this._log(`❌ Connection '${name}' Failed`, fields);
+          const target = name === 'default' ? 'MongoDB' : `'${name}'`;
+          throw new ConnectionError(`Could not connect to ${target}: ${error.message}`, error);
+        }
+
+        const delay = backoffDelay(attemptNumber, retry);
+        this._log(`🔄 Connection '${name}' failed, retrying in ${delay}ms`, { ...fields, delay }, 'warn');
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  // Listeners are registered once per connection object, however often connect() is called
+  _attachConnectionListeners(connection, name) {
+    if (this._listenedConnections.has(connection)) return;
+    this._listenedConnections.add(connection);
+    // Failed connect attempts also emit 'disconnected'; only a lost connection is reported
+    let wasConnected = connection.readyState === 1;
+
+    connection.on('connected', () => {
+      wasConnected = true;
+      if (name === 'default') this.isConnected = true;
+      this._log('✅ MongoDB Connected Successfully!', { connection: name, database: connection.name }, 'info');
+    });
+
+    connection.on('error', (err) => {
+      this._error('❌ MongoDB Error', { connection: name, error: err.message });
+    });
+
+    connection.on('disconnected', () => {
+      if (!wasConnected) return;
+      wasConnected = false;
+      if (name === 'default') this.isConnected = false;
+      this._log('🔌 MongoDB Disconnected', { connection: name }, 'info');
+      this.events.emit('disconnect', { connection: name });
+    });
+
+    connection.on('reconnected', () => {
+      wasConnected = true;
+      if (name === 'default') this.isConnected = true;
+      this._log('🔁 MongoDB Reconnected', { connection: name }, 'info');
+      this.events.emit('reconnect', { connection: name });
+    });
+  }
+
+  // Both return a function that removes the listener
+  onDisconnect(listener) {
+    this.events.on('disconnect', listener);
+    return () => this.events.off('disconnect', listener);
+  }
+
+  onReconnect(listener) {
+    this.events.on('reconnect', listener);
+    return () => this.events.off('reconnect', listener);
+  }
+
+  /**
+   * Pings the server. Resolves (never rejects) with { ok, status, latency (ms), pool, error }.
+   * `pool` sums the driver's connection pools across servers and is null when unavailable.
+   */
+  async healthCheck(options = {}) {
+    const connection = this.getConnection(options.connection);
+    const status = READY_STATES[connection.readyState] || String(connection.readyState);
+
+    if (connection.readyState !== 1) {
+      return { ok: false, status, latency: null, pool: null, error: 'Not connected' };
+    }
+
+    const started = process.hrtime.bigint();
+    try {
+      await connection.db.command({ ping: 1 });
+      const latency = Number(process.hrtime.bigint() - started) / 1e6;
+      return { ok: true, status, latency, pool: this._poolStats(connection) };
+    } catch (error) {
+      return { ok: false, status, latency: null, pool: this._poolStats(connection), error: error.message };
+    }
+  }
+
+  // The driver has no public pool API, so this reads each server's pool and degrades to null
+  _poolStats(connection) {
+    try {
+      const client = connection.getClient();
+      const servers = client.topology && client.topology.s.servers;
+      if (!servers) return null;
+
+      const stats = { maxPoolSize: client.options.maxPoolSize, total: 0, available: 0, inUse: 0, pending: 0, waitQueue: 0 };
+      for (const server of servers.values()) {
+        const pool = server.s.pool;
+        stats.total += pool.totalConnectionCount;
+        stats.available += pool.availableConnectionCount;
+        stats.inUse += pool.currentCheckedOutCount;
+        stats.pending += pool.pendingConnectionCount;
+        stats.waitQueue += pool.waitQueueSize;
+      }
+      return stats;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // ==================== GRACEFUL SHUTDOWN ====================
+
+  /**
+   * Registers SIGINT/SIGTERM handlers (or `signals`) that call shutdown(). The process is not
+   * exited: it ends on its own once your servers and timers close, and a second signal falls
+   * through to Node's default handling. `onShutdown(signal)` runs after the database closed.
+   */
+  enableGracefulShutdown(options = {}) {
+    this.disableGracefulShutdown();
+    const signals = options.signals || ['SIGINT', 'SIGTERM'];
+
+    const handler = (signal) => {
+      this.shutdown({ timeout: options.timeout, signal })
+        .then(() => options.onShutdown && options.onShutdown(signal))
+        .catch(error => this._error('❌ Shutdown failed', { signal, error: error.message }));
+    };
+
+    for (const signal of signals) {
+      process.once(signal, handler);
+      this._shutdownHandlers.push([signal, handler]);
+    }
+    this._log('🛑 Graceful shutdown enabled', { signals });
+  }
+
+  disableGracefulShutdown() {
+    for (const [signal, handler] of this._shutdownHandlers) {
+      process.removeListener(signal, handler);
+    }
+    this._shutdownHandlers = [];
+  }
+
+  /**
+   * Rejects new operations, waits up to `timeout` ms (default 10000) for in-flight ones,
+   * then closes every connection. Resolves with { drained, pending }.
+   */
+  async shutdown(options = {}) {
+    const timeout = options.timeout ?? 10000;
+    this.shuttingDown = true;
+    this.disableGracefulShutdown();
+    this._log('🛑 Shutting down', { signal: options.signal, inFlight: this._inFlight.size }, 'info');
+
+    let timer;
+    const drained = await Promise.race([
+      Promise.allSettled(Array.from(this._inFlight)).then(() => true),
+      new Promise(resolve => { timer = setTimeout(() => resolve(false), timeout); })
+    ]);
+    clearTimeout(timer);
+
+    const pending = this._inFlight.size;
+    if (!drained) {
+      this._log('⚠️ Shutdown timeout reached with operations still running', { pending, timeout }, 'warn');
+    }
+
+    try {
+      await this.disconnect();
+    } finally {
+      this.shuttingDown = false;
+    }
+    return { drained, pending };
+  }
+
+  // ==================== NAMED CONNECTIONS ====================
+
+  async createConnection(name, uri, options = {}) {
+    if (this.connections.has(name)) {
+      throw new Error(`Connection '${name}' already exists`);
+    }
+
+    const { retry, ...connectOptions } = options;
+    this._log(`🔄 Connecting '${name}'...`, { connection: name });
+
+    const connection = await this._connectWithRetry(name, retry, async () => {
+      const attempt = mongoose.createConnection(uri, {
+        maxPoolSize: 10,
+        minPoolSize: 2,
+        ...connectOptions
+      });
+
+      try {
+        return await attempt.asPromise();
+      } catch (error) {
+        await attempt.close().catch(() => {});
+        throw error;
+      }
+    });
+
+    this._attachConnectionListeners(connection, name);
+    this.connections.set(name, connection);
+    return connection;
+  }
+
+  getConnection(name) {
+    if (!name || name === 'default') return mongoose.connection;
+    if (!this.connections.has(name)) {
+      throw new Error(`Connection '${name}' not found. Create it first with .createConnection()`);
+    }
+    return this.connections.get(name);
+  }
+
+  async closeConnection(name) {
+    const connection = this.getConnection(name);
+    await connection.close();
+    this.connections.delete(name);
+    this._log(`🔌 Connection '${name}' closed`, { operation: 'disconnect', connection: name });
+  }
+
+  // ==================== MULTI-TENANCY ====================
+
+  /**
+   * The resolver maps a tenant id to a database name, or to { connection, database }
+   * to send the tenant to another named connection. It may be async.
+   */
+  setTenantResolver(resolver) {
+    this.tenantResolver = resolver;
+    this._log('🏢 Tenant resolver set');
+  }
+
+  async withTenant(tenantId, callback) {
+    if (!this.tenantResolver) {
+      throw new Error('No tenant resolver set. Call .setTenantResolver() first');
+    }
+
+    const resolved = await this.tenantResolver(tenantId);
+    const target = typeof resolved === 'string' ? { database: resolved } : (resolved || {});
+
+    return this._tenantStorage.run({ tenantId, target }, callback);
+  }
+
+  currentTenant() {
+    const store = this._tenantStorage.getStore();
+    return store ? store.tenantId : null;
+  }
+
+  _tenantModel(name, model) {
+    const store = this._tenantStorage.getStore();
+    const modelOptions = this.modelOptions.get(name) || {};
+    if (!store || modelOptions.shared) return model;
+
+    const { target } = store;
+    let connection = target.connection ? this.getConnection(target.connection) : model.db;
+    if (target.database) connection = connection.useDb(target.database, { useCache: true });
+    if (connection === model.db) return model;
+
+    if (connection.models[name]) return connection.models[name];
+
+    if (modelOptions.discriminatorOf) {
+      const base = this._tenantModel(modelOptions.discriminatorOf, this._getRegisteredModel(modelOptions.discriminatorOf));
+      return base.discriminators?.[name] || base.discriminator(name, this.schemas.get(name));
+    }
+
+    return connection.model(name, this.schemas.get(name));
+  }
+
+  // ==================== ULTRA SMART SCHEMA SYSTEM ====================
+
+  schema(definition, options = {}) {
+    const { softDelete, ...mongooseOptions } = options;
+    const processedDefinition = this._convertToFullSchema(definition);
+    const softDeleteConfig = this._normalizeSoftDelete(softDelete);
+
+    if (softDeleteConfig) {
+      Object.assign(processedDefinition, this._softDeleteFields(softDeleteConfig));
+    }
+
+    const schemaOptions = {
+      timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' },
+      toJSON: {
+        virtuals: true,
+        transform: (doc, ret) => {
+          ret.id = ret._id;
+          delete ret._id;
+          delete ret.__v;
+          delete ret.password;
+          return ret;
+        }
+      },
+      toObject: { virtuals: true },
+      ...mongooseOptions
+    };
+
+    const schema = new mongoose.Schema(processedDefinition, schemaOptions);
+
+    if (softDeleteConfig) {
+      this._addSoftDelete(schema, softDeleteConfig);
+    }
+
+    // Apply global plugins
+    this.globalPlugins.forEach(plugin => {
+      schema.plugin(plugin.fn, plugin.options);
+    });
+
+    this._addCommonVirtuals(schema);
+    this._addCommonMethods(schema);
+
+    return schema;
+  }
+
+  _convertToFullSchema(definition) {
+    const converted = {};
+
+    for (const [field, config] of Object.entries(definition)) {
+      if (typeof config === 'string') {
+        converted[field] = this._parseSmartShortcut(config);
+      } else if (Array.isArray(config)) {
+        converted[field] = config.map(item => this._convertArrayItem(field, item));
+      } else if (this._isNestedDefinition(config)) {
+        converted[field] = this._convertToFullSchema(config);
+      } else if (config && typeof config === 'object' && !(config instanceof mongoose.Schema)) {
+        converted[field] = this._processFieldConfig(field, config);
+      } else {
+        converted[field] = config;
+      }
+    }
+
+    return converted;
+  }
+
+  _convertArrayItem(field, item) {
+    if (typeof item === 'string') return this._parseSmartShortcut(item);
+    if (this._isNestedDefinition(item)) return this._convertToFullSchema(item);
+    if (item && typeof item === 'object' && !(item instanceof mongoose.Schema)) {
+      return this._processFieldConfig(field, item);
+    }
+    return item;
+  }
+
+  // Same rule mongoose uses: a plain object is a nested path unless it has a `type` key
+  // (and `type` is not itself a nested path named "type", as in GeoJSON points)
+  _isNestedDefinition(config) {
+    if (!isPlainObject(config)) return false;
+    return config.type === undefined || (isPlainObject(config.type) && config.type.type !== undefined);
+  }
+
+  /**
+   * Parses a shortcut string into a mongoose field definition.
+   *
+   *   base        string, number, email, objectid, ...  |  enum:a|b|c  |  ref:Model
+   *   modifiers   ? optional, ! required, !! required + unique, + type default,
+   *               # encrypted, ## encrypted deterministically (string types only)
+   *   bounds      >N at least N, <N at most N (length for strings, item count for arrays)
+   *   arrays      [shortcut] with modifiers/bounds after the closing bracket
+   *
+   * e.g. 'string!<50', 'number+>0', 'enum:draft|published+', 'ref:User!', '[string<20]!'
+   */
+  _parseSmartShortcut(shortcut) {
+    const source = shortcut.trim();
+
+    if (source.startsWith('[')) {
+      const close = source.lastIndexOf(']');
+      if (close === -1) throw this._shortcutError(shortcut, 'missing closing "]"');
+
+      const item = this._parseSmartShortcut(source.slice(1, close));
+      const suffix = this._parseShortcutSuffix(shortcut, source.slice(close + 1));
+      return this._buildArrayShortcut(shortcut, item, suffix);
+    }
+
+    const match = /^(enum:[^!?+<>]+|ref:[A-Za-z_$][\w$]*|[A-Za-z_$][\w$]*)(.*)$/.exec(source);
+    if (!match) throw this._shortcutError(shortcut, 'expected a type name, enum:a|b or ref:Model');
+
+    const [, baseName, rest] = match;
+    const base = this._resolveShortcutBase(shortcut, baseName);
+    const suffix = this._parseShortcutSuffix(shortcut, rest);
+
+    if (base.shape) {
+      if (suffix.required || suffix.unique || suffix.withDefault || suffix.encrypted || suffix.min !== undefined || suffix.max !== undefined) {
+        throw this._shortcutError(shortcut, `'${baseName}' only supports the '?' modifier`);
+      }
+      return base.shape();
+    }
+
+    const field = { type: base.type, ...base.options };
+
+    if (suffix.required) field.required = [true, '{PATH} is required'];
+    if (suffix.unique) field.unique = true;
+
+    if (suffix.encrypted) {
+      if (base.type !== String) throw this._shortcutError(shortcut, `'#' only works on string types, not '${baseName}'`);
+      field.encrypted = suffix.encrypted;
+    }
+
+    if (suffix.withDefault) {
+      if (base.empty === undefined) {
+        throw this._shortcutError(shortcut, `'${baseName}' has no default value for '+'`);
+      }
+      field.default = base.empty;
+    }
+
+    if (suffix.min !== undefined || suffix.max !== undefined) {
+      if (!base.bounds) {
+        throw this._shortcutError(shortcut, `'${baseName}' does not support '<' or '>' bounds`);
+      }
+      const [minKey, maxKey] = base.bounds === 'length' ? ['minlength', 'maxlength'] : ['min', 'max'];
+      if (suffix.min !== undefined) field[minKey] = this._parseShortcutBound(shortcut, base, suffix.min);
+      if (suffix.max !== undefined) field[maxKey] = this._parseShortcutBound(shortcut, base, suffix.max);
+    }
+
+    return field;
+  }
+
+  _resolveShortcutBase(shortcut, baseName) {
+    if (baseName.startsWith('enum:')) {
+      const values = baseName.slice(5).split('|').map(value => value.trim()).filter(Boolean);
+      if (values.length === 0) throw this._shortcutError(shortcut, 'enum needs at least one value');
+      return { type: String, options: { enum: values }, empty: values[0] };
+    }
+
+    if (baseName.startsWith('ref:')) {
+      return { type: mongoose.Schema.Types.ObjectId, options: { ref: baseName.slice(4) }, empty: null };
+    }
+
+    const base = this._findShortcutType(baseName);
+    if (!base) {
+      const known = this.listTypes().map(type => type.name).join(', ');
+      throw this._shortcutError(shortcut, `unknown type '${baseName}'. Known types: ${known}`);
+    }
+    return base;
+  }
+
+  _findShortcutType(name) {
+    return this.customTypes.get(name)
+      || SHORTCUT_BASES[name]
+      || this.customTypes.get(name.toLowerCase())
+      || SHORTCUT_BASES[name.toLowerCase()]
+      || null;
+  }
+
+  _parseShortcutSuffix(shortcut, suffix) {
+    const parsed = {};
+    let rest = suffix.trim();
+
+    while (rest) {
+      const token = /^(!!|!|##|#|\?|\+|([<>])(-?[\w.:-]*\w))/.exec(rest);
+      if (!token) throw this._shortcutError(shortcut, `unexpected '${rest}'`);
+
+      if (token[1] === '!!') {
+        parsed.required = true;
+        parsed.unique = true;
+      } else if (token[1] === '!') {
+        parsed.required = true;
+      } else if (token[1] === '##' || token[1] === '#') {
+        parsed.encrypted = token[1] === '##' ? 'deterministic' : true;
+      } else if (token[1] === '?') {
+        parsed.optional = true;
+      } else if (token[1] === '+') {
+        parsed.withDefault = true;
+      } else {
+        parsed[token[2] === '>' ? 'min' : 'max'] = token[3];
+      }
+
+      rest = rest.slice(token[0].length);
+    }
+
+    if (parsed.optional && parsed.required) {
+      throw this._shortcutError(shortcut, "'?' and '!' cannot be combined");
+    }
+
+    return parsed;
+  }
+
+  _parseShortcutBound(shortcut, base, raw) {
+    const value = base.type === Date ? new Date(raw) : Number(raw);
+    if (Number.isNaN(value.valueOf())) {
+      throw this._shortcutError(shortcut, `invalid bound '${raw}'`);
+    }
+    return value;
+  }
+
+  _buildArrayShortcut(shortcut, item, suffix) {
+    const field = { type: [item] };
+
+    if (suffix.encrypted || item.encrypted) throw this._shortcutError(shortcut, "arrays cannot be encrypted");
+    if (suffix.required) field.required = [true, '{PATH} is required'];
+    if (suffix.unique) field.unique = true;
+    if (suffix.withDefault) field.default = () => [];
+
+    if (suffix.min !== undefined || suffix.max !== undefined) {
+      const min = suffix.min !== undefined ? this._parseShortcutBound(shortcut, SHORTCUT_BASES.number, suffix.min) : 0;
+      const max = suffix.max !== undefined ? this._parseShortcutBound(shortcut, SHORTCUT_BASES.number, suffix.max) : Infinity;
+      field.validate = {
+        validator: value => !value || (value.length >= min && value.length <= max),
+        message: max === Infinity
+          ? `{PATH} must have at least ${min} items`
+          : `{PATH} must have between ${min} and ${max} items`
+      };
+    }
+
+    return Object.keys(field).length === 1 ? field.type : field;
+  }
+
+  _shortcutError(shortcut, reason) {
+    return new Error(`Invalid schema shortcut '${shortcut}': ${reason}`);
+  }
+
+  // ==================== CUSTOM SHORTCUT TYPES ====================
+
+  /**
+   * Registers a shortcut type usable as 'name', 'name!<20', '[name]' or { type: 'name' }.
+   *
+   *   type        underlying type ('string', Number, ...), defaults to String
+   *   validate    RegExp, function or { validator, message }
+   *   message     error message when `validate` is a RegExp or function
+   *   set/get     mongoose setter/getter
+   *   default     value used by the '+' modifier
+   *   fake        ({ n, random }) => value, used by factory() for fields of this type
+   *   jsonSchema  keywords added to toJSONSchema() output, e.g. { format: 'uuid' }
+   *   options     any other mongoose field options (lowercase, trim, ...)
+   *
+   * Built-in and already registered names need { override: true }.
+   */
+  registerType(name, definition = {}, options = {}) {
+    if (typeof name !== 'string' || !/^[A-Za-z_$][\w$]*$/.test(name) || name === 'enum' || name === 'ref') {
+      throw new Error(`Invalid shortcut type name '${name}'`);
+    }
+
+    if (!options.override && this._findShortcutType(name)) {
+      throw new Error(`Shortcut type '${name}' already exists. Pass { override: true } to replace it`);
+    }
+
+    this.customTypes.set(name, this._normalizeShortcutType(name, definition));
+    this._log(`🧩 Shortcut type '${name}' registered`);
+  }
+
+  removeType(name) {
+    const removed = this.customTypes.delete(name);
+    if (removed) this._log(`🧩 Shortcut type '${name}' removed`);
+    return removed;
+  }
+
+  listTypes() {
+    const builtIn = Object.keys(SHORTCUT_BASES).map(name => ({
+      name,
+      builtIn: true,
+      overridden: this.customTypes.has(name)
+    }));
+    const custom = Array.from(this.customTypes.keys())
+      .filter(name => !SHORTCUT_BASES[name])
+      .map(name => ({ name, builtIn: false, overridden: false }));
+
+    return [...builtIn, ...custom];
+  }
+
+  _normalizeShortcutType(name, definition) {
+    let type = definition.type || String;
+    if (typeof type === 'string') {
+      const base = this._findShortcutType(type);
+      if (!base || base.shape) throw new Error(`Shortcut type '${name}' has an invalid base type '${type}'`);
+      type = base.type;
+    }
+
+    const options = { ...definition.options };
+    const message = definition.message || `{PATH} is not a valid ${name}`;
+
+    if (definition.validate instanceof RegExp) {
+      options.match = [definition.validate, message];
+    } else if (typeof definition.validate === 'function') {
+      options.validate = { validator: definition.validate, message };
+    } else if (definition.validate) {
+      options.validate = definition.validate;
+    }
+
+    if (definition.set) options.set = definition.set;
+    if (definition.get) options.get = definition.get;
+
+    let bounds = definition.bounds;
+    if (bounds === undefined) {
+      if (type === String) bounds = 'length';
+      else if (type === Number || type === Date) bounds = 'value';
+    }
+
+    return { type, options, empty: definition.default, bounds, fake: definition.fake || null, jsonSchema: definition.jsonSchema || null };
+  }
+
+  // Finds the shortcut type a field was declared with from its match pattern, validator or setter.
+  // Mongoose clones option arrays, so patterns are compared by source
+  _shortcutTypeOf(options) {
+    const pattern = match => String(Array.isArray(match) ? match[0] : match);
+    const validator = validate => (validate && validate.validator) || validate;
+    const types = [...this.customTypes.values(), ...Object.values(SHORTCUT_BASES)];
+
+    return types.find(({ options: typeOptions }) => typeOptions && (
+      (typeOptions.match && options.match && pattern(typeOptions.match) === pattern(options.match))
+      || (typeOptions.validate && validator(typeOptions.validate) === validator(options.validate))
+      || (typeOptions.set && typeOptions.set === options.set)
+    )) || null;
+  }
+
+  _processFieldConfig(fieldName, config) {
+    const processed = { ...config };
+
+    if (typeof processed.type === 'string') {
+      const base = this._findShortcutType(processed.type);
+
+      // Unknown names (e.g. 'Decimal128', 'UUID') are left for mongoose to resolve
+      if (base && base.shape) {
+        processed.type = new mongoose.Schema(base.shape(), { _id: false });
+      } else if (base) {
+        Object.assign(processed, { ...base.options, ...config, type: base.type });
+      }
+    }
+
+    // Auto-validations
+    if (processed.enum && !processed.validate) {
+      processed.validate = {
+        validator: function (value) {
+          return processed.enum.includes(value);
+        },
+        message: `{PATH} must be one of: ${processed.enum.join(', ')}`
+      };
+    }
+
+    // Auto-trim strings
+    if (processed.type === String && processed.trim === undefined) {
+      processed.trim = true;
+    }
+
+    // Auto-lowercase emails
+    if (fieldName.toLowerCase().includes('email')) {
+      processed.lowercase = true;
+    }
+
+    return processed;
+  }
+
+  _addCommonVirtuals(schema) {
+    schema.virtual('id').get(function () {
+      return this._id.toString();
+    });
+
+    schema.virtual('createdAtFormatted').get(function () {
+      return this.createdAt?.toLocaleDateString();
+    });
+
+    schema.virtual('updatedAtFormatted').get(function () {
+      return this.updatedAt?.toLocaleDateString();
+    });
+
+    if (schema.paths.firstName && schema.paths.lastName) {
+      schema.virtual('fullName').get(function () {
+        return `${this.firstName} ${this.lastName}`.trim();
+      });
+    }
+
+    if (schema.paths.birthDate || schema.paths.dob) {
+      schema.virtual('age').get(function () {
+        const birth = this.birthDate || this.dob;
+        if (!birth) return null;
+        return Math.floor((Date.now() - birth) / (365.25 * 24 * 60 * 60 * 1000));
+      });
+    }
+  }
+
+  _addCommonMethods(schema) {
+    const ultra = this;
+
+    // Instance methods
+    schema.methods.toJSON = function () {
+      const obj = this.toObject();
+      obj.id = obj._id;
+      delete obj._id;
+      delete obj.__v;
+      delete obj.password;
+      return obj;
+    };
+
+    // `expectedVersion` needs { optimisticConcurrency: true }; save() then re-checks it against the database
+    schema.methods.updateFields = async function (fields, options = {}) {
+      const modelName = this.constructor.modelName;
+
+      if (options.expectedVersion !== undefined) {
+        const versionKey = ultra._assertOptimisticConcurrency(this.schema, modelName);
+        if (this.get(versionKey) !== options.expectedVersion) {
+          throw new VersionConflictError(modelName, this._id, options.expectedVersion, this.get(versionKey));
+        }
+      }
+
+      Object.keys(fields).forEach(key => {
+        this[key] = fields[key];
+      });
+
+      try {
+        return await this.save();
+      } catch (error) {
+        if (error.name !== 'VersionError') throw error;
+        throw new VersionConflictError(modelName, this._id, error.version, null, error);
+      }
+    };
+
+    // Static methods
+    schema.statics.findBySlug = function (slug) {
+      return this.findOne({ slug });
+    };
+
+    // Query helpers
+    schema.query.byStatus = function (status) {
+      return this.where({ status });
+    };
+
+    schema.query.recent = function (days = 7) {
+      const date = new Date();
+      date.setDate(date.getDate() - days);
+      return this.where('createdAt').gte(date);
+    };
+
+    schema.query.popular = function (minViews = 100) {
+      return this.where('viewCount').gte(minViews);
+    };
+  }
+
+  // ==================== COMPLETE MODEL SYSTEM ====================
+
+  model(name, schemaDef, options = {}) {
+    if (this.models.has(name)) {
+      this._log(`📝 Using existing model '${name}'`, { model: name });
+      return this.models.get(name);
+    }
+
+    const { indexPolicy, connection, shared, audit, relations, ...schemaOptions } = options;
+    const schema = schemaDef instanceof mongoose.Schema ? schemaDef : this.schema(schemaDef, schemaOptions);
+
+    this._addAutoIndexes(schema, indexPolicy);
+    this._addAutoMiddleware(schema, name);
+
+    const auditConfig = this._normalizeAudit(audit, name);
+    if (auditConfig) this._addAudit(schema, auditConfig);
+
+    const relationConfig = this._normalizeRelations(relations, name);
+    if (relationConfig.length > 0) this._addRelations(schema, relationConfig, name);
+
+    if (schema.get('optimisticConcurrency')) this._addVersioning(schema, name);
+
+    // After audit, so audit snapshots see ciphertext
+    this._addEncryption(schema, name);
+
+    const model = connection ? this.getConnection(connection).model(name, schema) : mongoose.model(name, schema);
+
+    this.models.set(name, model);
+    this.schemas.set(name, schema);
+    this.modelOptions.set(name, { connection: connection || 'default', shared: !!shared });
+
+    this._log(`📝 Model '${name}' created with auto-features`, { model: name });
+    return model;
   }
 
-  // ==================== CONNECTION MANAGEMENT ====================
-  async connect(uri, options = {}) {
+  discriminator(baseModelName, discriminatorName, schemaDef, options = {}) {
+    const baseModel = this._getRegisteredModel(baseModelName);
+    const schema = this.schema(schemaDef, options);
+    const discriminatorModel = baseModel.discriminator(discriminatorName, schema);
+
+    this.models.set(discriminatorName, discriminatorModel);
+    this.schemas.set(discriminatorName, schema);
+    this.modelOptions.set(discriminatorName, {
+      ...this.modelOptions.get(baseModelName),
+      discriminatorOf: baseModelName
+    });
+    this._log(`🎭 Discriminator '${discriminatorName}' created from '${baseModelName}'`, { model: discriminatorName });
+
+    return discriminatorModel;
+  }
+
+  _addAutoIndexes(schema, modelPolicy) {
+    for (const [rule, build] of Object.entries(AUTO_INDEX_RULES)) {
+      if (!this._isIndexRuleEnabled(rule, modelPolicy)) continue;
+
+      for (const [fields, indexOptions] of build(schema)) {
+        schema.index(fields, indexOptions);
+      }
+    }
+  }
+
+  // Model policy wins over the global policy; `true`/`false` switch every rule at once
+  _isIndexRuleEnabled(rule, modelPolicy) {
+    for (const policy of [modelPolicy, this.indexPolicy]) {
+      if (typeof policy === 'boolean') return policy;
+      if (policy && policy[rule] !== undefined) return !!policy[rule];
+    }
+    return true;
+  }
+
+  setIndexPolicy(policy) {
+    if (typeof policy === 'boolean') {
+      this.indexPolicy = policy;
+    } else {
+      for (const rule of Object.keys(policy)) {
+        if (!AUTO_INDEX_RULES[rule]) {
+          throw new Error(`Unknown auto-index rule '${rule}'. Available rules: ${Object.keys(AUTO_INDEX_RULES).join(', ')}`);
+        }
+      }
+      const current = typeof this.indexPolicy === 'boolean'
+        ? Object.fromEntries(Object.keys(AUTO_INDEX_RULES).map(rule => [rule, this.indexPolicy]))
+        : this.indexPolicy;
+      this.indexPolicy = { ...current, ...policy };
+    }
+    this._log('📊 Auto-index policy updated');
+  }
+
+  _addAutoMiddleware(schema, modelName) {
+    // Auto-slugify
+    if (schema.paths.name || schema.paths.title) {
+      schema.pre('save', function (next) {
+        if (this.isModified('name') || this.isModified('title')) {
+          const source = this.name || this.title;
+          if (source && !this.slug) {
+            this.slug = source.toString().toLowerCase()
+              .replace(/[^a-z0-9]/g, '-')
+              .replace(/-+/g, '-')
+              .replace(/^-|-$/g, '');
+          }
+        }
+        next();
+      });
+    }
+
+    // Auto-hash passwords
+    if (schema.paths.password) {
+      this._addPasswordHashing(schema);
+    }
+
+    // Auto-update timestamps on update
+    schema.pre('findOneAndUpdate', function (next) {
+      this.set({ updatedAt: new Date() });
+      next();
+    });
+
+    // Drop cached reads for this model after any write
+    const invalidate = async () => {
+      await this._invalidateModelCache(modelName);
+    };
+    schema.post(['save', 'insertMany'], invalidate);
+    schema.post(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], invalidate);
+    schema.post(['deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'], invalidate);
+
+    // Logging middleware
+    schema.post('save', (doc) => {
+      this._log(`💾 ${modelName} saved`, { model: modelName, id: doc._id }, 'trace');
+    });
+
+    schema.post('remove', (doc) => {
+      this._log(`🗑️ ${modelName} removed`, { model: modelName, id: doc._id }, 'trace');
+    });
+
+  }
+
+  // ==================== SOFT DELETE SYSTEM ====================
+
+  _normalizeSoftDelete(option) {
+    if (!option) return null;
+    return {
+      retentionDays: null,
+      deletedByRef: null,
+      ...(typeof option === 'object' ? option : {})
+    };
+  }
+
+  _softDeleteFields(config) {
+    return {
+      deleted: { type: Boolean, default: false, index: true },
+      deletedAt: { type: Date, default: null },
+      deletedBy: config.deletedByRef
+        ? { type: mongoose.Schema.Types.ObjectId, ref: config.deletedByRef, default: null }
+        : { type: mongoose.Schema.Types.Mixed, default: null }
+    };
+  }
+
+  /**
+   * Hides soft-deleted documents from every read, update and delete query. Queries opt out with
+   * .withDeleted() / .onlyDeleted(), the `softDeleted` query option ('include' | 'only'), or the
+   * `withDeleted` / `onlyDeleted` options the write helpers pass through.
+   * A filter that already mentions `deleted` is left alone.
+   */
+  _addSoftDelete(schema, config) {
+    const ultra = this;
+    schema.set('softDelete', config);
+
+    schema.pre([
+      'find', 'findOne', 'count', 'countDocuments', 'distinct',
+      'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+      'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'
+    ], function () {
+      const options = this.getOptions();
+      const scope = options.softDeleted || ultra._softDeleteScope(options);
+      for (const key of ['softDeleted', 'withDeleted', 'onlyDeleted']) delete this.options[key];
+
+      if (scope === 'include' || Object.prototype.hasOwnProperty.call(this.getFilter(), 'deleted')) return;
+      this.where(scope === 'only' ? { deleted: true } : { deleted: { $ne: true } });
+    });
+
+    schema.pre('aggregate', function () {
+      const scope = this.options.softDeleted;
+      delete this.options.softDeleted;
+      if (scope === 'include') return;
+
+      // $geoNear and search stages must stay first in the pipeline
+      const pipeline = this.pipeline();
+      const first = pipeline[0] || {};
+      const position = first.$geoNear || first.$search || first.$searchMeta || first.$vectorSearch ? 1 : 0;
+      pipeline.splice(position, 0, { $match: { deleted: scope === 'only' ? true : { $ne: true } } });
+    });
+
+    schema.query.withDeleted = function () {
+      return this.setOptions({ softDeleted: 'include' });
+    };
+
+    schema.query.onlyDeleted = function () {
+      return this.setOptions({ softDeleted: 'only' });
+    };
+
+    schema.methods.softDelete = async function (deletedBy = null) {
+      this.deleted = true;
+      this.deletedAt = new Date();
+      this.deletedBy = deletedBy;
+      return await this.save();
+    };
+
+    schema.methods.restore = async function () {
+      this.deleted = false;
+      this.deletedAt = null;
+      this.deletedBy = null;
+      return await this.save();
+    };
+
+    schema.statics.findActive = function (filter = {}) {
+      return this.find(filter);
+    };
+
+    schema.statics.findDeleted = function (filter = {}) {
+      return this.find(filter).onlyDeleted();
+    };
+
+    schema.statics.restore = function (id) {
+      return this.findByIdAndUpdate(id, { deleted: false, deletedAt: null, deletedBy: null }, { new: true }).onlyDeleted();
+    };
+  }
+
+  _softDeleteScope(options) {
+    if (options.onlyDeleted) return 'only';
+    if (options.withDeleted) return 'include';
+    return undefined;
+  }
+
+  _assertSoftDelete(modelName) {
+    const config = this._getRegisteredModel(modelName).schema.get('softDelete');
+    if (!config) {
+      throw new Error(`Soft delete is not enabled for '${modelName}'. Create the model with { softDelete: true }`);
+    }
+    return config;
+  }
+
+  _addPasswordHashing(schema) {
+    const ultra = this;
+    const passwordPath = schema.path('password');
+
+    // Never returned by queries unless asked for with select('+password')
+    if (passwordPath.options.select === undefined) passwordPath.select(false);
+
+    // Input is always hashed, even when it looks like a hash. The only value skipped is the one this
+    // hook produced itself, which a save that failed and is retried still carries.
+    schema.pre('save', async function () {
+      if (!this.isModified('password') || this.password == null || this.$locals.hashedPassword === this.password) return;
+      this.password = await hashPassword(this.password, ultra.passwordHashing);
+      this.$locals.hashedPassword = this.password;
+    });
+
+    // insertMany() runs no save middleware; create() with an array, seed() and the imports use it
+    schema.pre('insertMany', async function (next, docs) {
+      for (const doc of Array.isArray(docs) ? docs : [docs]) {
+        if (!doc || doc.password == null || HASHED_INSERTS.get(doc) === doc.password) continue;
+
+        const hash = await ultra._hashPasswordInput(passwordPath, doc.password);
+        if (hash === doc.password) continue;
+        doc.password = hash;
+        HASHED_INSERTS.set(doc, hash);
+      }
+    });
+
+    // Replacements carry the password at the top level, like a plain update
+    schema.pre(['findOneAndUpdate', 'updateOne', 'updateMany', 'replaceOne', 'findOneAndReplace'], async function () {
+      const update = this.getUpdate();
+      if (!update || Array.isArray(update)) return;
+
+      // revertTo() writes back the hash it just read
+      if (this.getOptions().passwordHashed) {
+        delete this.options.passwordHashed;
+        return;
+      }
+
+      for (const target of [update, update.$set, update.$setOnInsert]) {
+        if (!target || target.password == null) continue;
+
+        // Query validators run after this hook, so validate the plaintext while we still have it
+        if (this.getOptions().runValidators) {
+          await new Promise((resolve, reject) => {
+            passwordPath.doValidate(target.password, err => (err ? reject(err) : resolve()), this, { updateValidator: true });
+          });
+        }
+
+        target.password = await hashPassword(target.password, ultra.passwordHashing);
+      }
+    });
+
+    schema.methods.comparePassword = async function (candidate) {
+      let stored = this.password;
+
+      if (stored === undefined && !this.isNew) {
+        const doc = await this.constructor.findById(this._id).select('+password').lean();
+        stored = doc && doc.password;
+      }
+
+      return verifyPassword(candidate, stored);
+    };
+  }
+
+  // Hashes a password written without document middleware. Values that fail the path's validators
+  // are returned unchanged, so the write's own validation rejects the plaintext rather than a hash.
+  async _hashPasswordInput(passwordPath, value) {
+    const valid = await new Promise(resolve => passwordPath.doValidate(value, error => resolve(!error), null));
+    return valid ? hashPassword(value, this.passwordHashing) : value;
+  }
+
+  // Model.bulkWrite() runs no middleware, so the wrapper hashes passwords in inserts, replacements and updates
+  async _hashBulkPasswords(Model, operations) {
+    const passwordPath = Model.schema.path('password');
+    if (!passwordPath) return operations;
+
+    const hashed = async (target) => {
+      if (!target || target.password == null) return target;
+      const plain = target instanceof mongoose.Document ? target.toObject() : target;
+      return { ...plain, password: await this._hashPasswordInput(passwordPath, plain.password) };
+    };
+
+    return Promise.all(operations.map(async (operation) => {
+      const [type, spec] = Object.entries(operation)[0];
+      if (type === 'insertOne') return { insertOne: { ...spec, document: await hashed(spec.document) } };
+      if (type === 'replaceOne') return { replaceOne: { ...spec, replacement: await hashed(spec.replacement) } };
+      if ((type === 'updateOne' || type === 'updateMany') && spec.update && !Array.isArray(spec.update)) {
+        const update = { ...(await hashed(spec.update)) };
+        for (const operator of ['$set', '$setOnInsert']) {
+          if (update[operator]) update[operator] = await hashed(update[operator]);
+        }
+        return { [type]: { ...spec, update } };
+      }
+      return operation;
+    }));
+  }
+
+  setPasswordHashing(options = {}) {
+    this.passwordHashing = { ...this.passwordHashing, ...options };
+    this._log('🔐 Password hashing options updated');
+  }
+
+  async hashPassword(password) {
+    return hashPassword(password, this.passwordHashing);
+  }
+
+  async verifyPassword(password, hash) {
+    return verifyPassword(password, hash);
+  }
+
+  // ==================== AUDIT TRAIL ====================
+
+  _normalizeAudit(option, modelName) {
+    if (!option) return null;
+    return {
+      collection: 'audit_logs',
+      exclude: ['password'],
+      ...(typeof option === 'object' ? option : {}),
+      model: modelName
+    };
+  }
+
+  /**
+   * Records create/update/delete events with field-level diffs and a snapshot of the
+   * resulting document into `config.collection`, in the same database (and session) as the
+   * write. Covers save, insertMany, document deleteOne and the update/replace/delete queries;
+   * bulkWrite() is audited by the wrapper because Mongoose has no middleware for it.
+   */
+  _addAudit(schema, config) {
+    const ultra = this;
+    schema.set('audit', config);
+
+    schema.pre('save', async function () {
+      this.$locals.auditBefore = this.isNew
+        ? null
+        : (await ultra._auditLookup(this.constructor, { _id: this._id }, this.$session()).limit(1))[0] || null;
+    });
+
+    schema.post('save', async function (doc) {
+      await ultra._recordAuditChanges(doc.constructor, config, 'save', {
+        before: doc.$locals.auditBefore ? [doc.$locals.auditBefore] : [],
+        after: [doc.toObject(AUDIT_TO_OBJECT)],
+        session: doc.$session()
+      });
+    });
+
+    schema.post('insertMany', async function (docs) {
+      await ultra._recordAuditChanges(this, config, 'insertMany', {
+        before: [],
+        after: docs.map(doc => doc.toObject(AUDIT_TO_OBJECT))
+      });
+    });
+
+    schema.post('deleteOne', { document: true, query: false }, async function (doc) {
+      await ultra._recordAuditChanges(doc.constructor, config, 'deleteOne', {
+        before: [doc.toObject(AUDIT_TO_OBJECT)],
+        after: [],
+        session: doc.$session()
+      });
+    });
+
+    schema.pre(AUDITED_QUERIES, async function () {
+      const options = this.getOptions();
+      this._auditMeta = options.auditMeta || null;
+      delete this.options.auditMeta;
+
+      let lookup = ultra._auditLookup(this.model, this.getFilter(), options.session);
+      if (!AUDITED_MULTI_QUERIES.includes(this.op)) {
+        if (options.sort) lookup = lookup.sort(options.sort);
+        lookup = lookup.limit(1);
+      }
+      this._auditBefore = await lookup;
+    });
+
+    schema.post(AUDITED_QUERIES, async function (result) {
+      const options = this.getOptions();
+      const before = this._auditBefore || [];
+      let after = [];
+
+      if (!AUDITED_DELETE_QUERIES.includes(this.op)) {
+        const ids = before.map(doc => doc._id);
+        if (result && result.upsertedId) ids.push(result.upsertedId);
+        if (before.length === 0 && options.upsert && result && result._id) ids.push(result._id);
+        after = ids.length > 0 ? await ultra._auditLookup(this.model, { _id: { $in: ids } }, options.session) : [];
+      }
+
+      await ultra._recordAuditChanges(this.model, config, this.op, {
+        before,
+        after,
+        session: options.session,
+        meta: this._auditMeta
+      });
+    });
+  }
+
+  // Reads whole documents, including select: false paths and soft-deleted documents
+  _auditLookup(Model, filter, session) {
+    const hidden = Object.keys(Model.schema.paths).filter(path => Model.schema.path(path).selected === false);
+    let query = Model.find(filter).setOptions({ softDeleted: 'include', decrypt: false }).lean();
+    if (hidden.length > 0) query = query.select(hidden.map(path => `+${path}`).join(' '));
+    if (session) query = query.session(session);
+    return query;
+  }
+
+  async _auditedBulkWrite(Model, config, operations, options) {
+    const filters = operations
+      .map(operation => Object.values(operation)[0].filter)
+      .filter(Boolean);
+    const before = filters.length > 0 ? await this._auditLookup(Model, { $or: filters }, options.session) : [];
+
+    const result = await Model.bulkWrite(operations, options);
+
+    const ids = [
+      ...before.map(doc => doc._id),
+      ...Object.values(result.insertedIds || {}),
+      ...Object.values(result.upsertedIds || {})
+    ];
+    const after = ids.length > 0 ? await this._auditLookup(Model, { _id: { $in: ids } }, options.session) : [];
+
+    await this._recordAuditChanges(Model, config, 'bulkWrite', { before, after, session: options.session });
+    return result;
+  }
+
+  // Pairs before/after states by _id. Audit failures are logged, never thrown: the write
+  // they describe has already happened.
+  async _recordAuditChanges(Model, config, operation, { before, after, session = null, meta = null }) {
     try {
-      this.debug = options.debug ?? true;
-      delete options.debug;
+      const states = new Map();
+      for (const doc of before) states.set(String(doc._id), { before: doc, after: null });
+      for (const doc of after) {
+        const state = states.get(String(doc._id)) || { before: null };
+        states.set(String(doc._id), { ...state, after: doc });
+      }
 
-      const defaultOptions = {
-        useNewUrlParser: true,
-        useUnifiedTopology: true,
-        maxPoolSize: 10,
-        minPoolSize: 2,
-        ...options
+      const collection = await this._auditCollection(Model, config);
+      for (const state of states.values()) {
+        const changes = this._auditDiff(state.before, state.after, config);
+        const action = !state.before ? 'create' : (!state.after ? 'delete' : 'update');
+        if (action === 'update' && changes.length === 0) continue;
+
+        await this._insertAuditEntry(collection, {
+          model: config.model,
+          documentId: (state.after || state.before)._id,
+          action,
+          operation,
+          actor: this.currentActor(),
+          tenant: this.currentTenant(),
+          changes,
+          snapshot: state.after ? omitPaths(state.after, config.exclude) : null,
+          meta,
+          at: new Date()
+        }, session);
+      }
+    } catch (error) {
+      this._error(`❌ Audit failed for ${config.model}`, { operation, model: config.model, error: error.message });
+    }
+  }
+
+  // Versions count up per document; a unique index settles concurrent writers
+  async _insertAuditEntry(collection, entry, session) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const last = await collection.findOne(
+        { model: entry.model, documentId: entry.documentId },
+        { sort: { version: -1 }, projection: { version: 1 }, session }
+      );
+
+      try {
+        await collection.insertOne({ ...entry, version: last ? last.version + 1 : 1 }, { session });
+        return;
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+    }
+    throw new Error(`Could not assign an audit version for ${entry.model} ${entry.documentId}`);
+  }
+
+  async _auditCollection(Model, config) {
+    const collection = Model.db.collection(config.collection);
+    const key = `${Model.db.name}.${config.collection}`;
+
+    if (!this._auditIndexes.has(key)) {
+      this._auditIndexes.add(key);
+      try {
+        await collection.createIndex({ model: 1, documentId: 1, version: -1 }, { unique: true });
+      } catch (error) {
+        this._auditIndexes.delete(key);
+        this._log(`❌ Audit index creation failed for ${config.collection}`, { error: error.message }, 'warn');
+      }
+    }
+    return collection;
+  }
+
+  _auditDiff(before, after, config) {
+    const ignored = [...AUDIT_IGNORED_PATHS, ...config.exclude];
+    const previous = flattenDocument(before || {});
+    const next = flattenDocument(after || {});
+    const changes = [];
+
+    for (const path of new Set([...Object.keys(previous), ...Object.keys(next)])) {
+      if (ignored.some(ignore => path === ignore || path.startsWith(`${ignore}.`))) continue;
+      if (EJSON.stringify(previous[path] ?? null) === EJSON.stringify(next[path] ?? null)) continue;
+
+      changes.push({
+        path,
+        ...(path in previous ? { before: previous[path] } : {}),
+        ...(path in next ? { after: next[path] } : {})
+      });
+    }
+    return changes;
+  }
+
+  _assertAudit(modelName) {
+    const config = this._getRegisteredModel(modelName).schema.get('audit');
+    if (!config) {
+      throw new Error(`Audit is not enabled for '${modelName}'. Create the model with { audit: true }`);
+    }
+    return config;
+  }
+
+  // The acting user recorded in audit entries, e.g. app.use((req, res, next) => mongoo.withActor(req.user.id, next))
+  withActor(actor, callback) {
+    return this._actorStorage.run({ actor }, callback);
+  }
+
+  currentActor() {
+    const store = this._actorStorage.getStore();
+    return store ? store.actor : null;
+  }
+
+  // Audit entries for a document, oldest first. Snapshots are left out unless `snapshots: true`.
+  async history(modelName, id, options = {}) {
+    try {
+      const Model = this._getModel(modelName);
+      const config = this._assertAudit(modelName);
+      const collection = await this._auditCollection(Model, config);
+
+      let cursor = collection
+        .find({ model: config.model, documentId: Model.schema.path('_id').cast(id) })
+        .sort({ version: 1 })
+        .project(options.snapshots ? {} : { snapshot: 0 });
+      if (options.limit) cursor = cursor.limit(options.limit);
+
+      return await cursor.toArray();
+    } catch (error) {
+      throw this._handleError(`history ${modelName}`, error);
+    }
+  }
+
+  /**
+   * Replaces the document with its snapshot at `version` (recreating it if it was deleted).
+   * Excluded paths such as password keep their current values. The revert is audited too.
+   */
+  async revertTo(modelName, id, version) {
+    try {
+      const Model = this._getModel(modelName);
+      const config = this._assertAudit(modelName);
+      const collection = await this._auditCollection(Model, config);
+      const documentId = Model.schema.path('_id').cast(id);
+
+      const entry = await collection.findOne({ model: config.model, documentId, version });
+      if (!entry) {
+        throw new NotFoundError(`${modelName} version ${version}`, id);
+      }
+      if (!entry.snapshot) {
+        throw new EasyMongooError(`Version ${version} deleted ${modelName} ${id}; revert to an earlier version`, {
+          code: 'INVALID_VALUE',
+          status: 400
+        });
+      }
+
+      const [current] = await this._auditLookup(Model, { _id: documentId }).limit(1);
+      const replacement = { ...entry.snapshot, ...(current ? pickPaths(current, config.exclude) : {}) };
+
+      const doc = await Model.findOneAndReplace({ _id: documentId }, replacement, {
+        upsert: true,
+        new: true,
+        runValidators: true,
+        softDeleted: 'include',
+        ...(Model.schema.path('password') ? { passwordHashed: true } : {}),
+        auditMeta: { revertedTo: version }
+      });
+
+      this._log(`⏪ Reverted ${modelName} to version ${version}`, { operation: 'revertTo', model: modelName, id, version }, 'info');
+      return doc;
+    } catch (error) {
+      throw this._handleError(`revert ${modelName}`, error);
+    }
+  }
+
+  // ==================== RELATIONS ====================
+
+  /**
+   * relations: { author: { belongsTo: 'User' }, posts: { hasMany: 'Post', foreignKey: 'author', onDelete: 'cascade' } }
+   *
+   * `foreignKey` is the field that holds the reference: on this model for belongsTo (default:
+   * the relation name), on the target for hasMany (default: this model's name in camelCase).
+   * manyToMany stores an id array under the relation name, or reads the target's array
+   * named by `foreignKey` on the inverse side.
+   */
+  _normalizeRelations(relations, modelName) {
+    if (!relations) return [];
+
+    return Object.entries(relations).map(([name, config]) => {
+      const type = RELATION_TYPES.find(candidate => config[candidate]);
+      if (!type) {
+        throw new Error(`Relation '${modelName}.${name}' needs one of: ${RELATION_TYPES.join(', ')}`);
+      }
+
+      const stored = type === 'belongsTo' || (type === 'manyToMany' && !config.foreignKey);
+      if (config.onDelete && (stored || !DELETE_RULES.includes(config.onDelete))) {
+        throw new Error(stored
+          ? `onDelete on '${modelName}.${name}' needs a relation stored on the other model (hasMany, or manyToMany with foreignKey)`
+          : `Unknown onDelete rule '${config.onDelete}' on '${modelName}.${name}'. Use one of: ${DELETE_RULES.join(', ')}`);
+      }
+
+      const defaultForeignKey = modelName.charAt(0).toLowerCase() + modelName.slice(1);
+      return {
+        name,
+        type,
+        model: config[type],
+        stored,
+        localField: stored ? (config.foreignKey || name) : (config.localKey || '_id'),
+        foreignField: stored ? '_id' : (config.foreignKey || defaultForeignKey),
+        required: !!config.required,
+        match: config.match || null,
+        options: config.options || null,
+        onDelete: config.onDelete || null
       };
+    });
+  }
 
-      // --- Add listeners BEFORE connect ---
-      mongoose.connection.on('connected', () => {
-        this._log('✅ MongoDB Connected Successfully!');
-        this._log(`📊 Database: ${mongoose.connection.db.databaseName}`);
+  _addRelations(schema, relations, modelName) {
+    const ultra = this;
+    schema.set('relations', relations);
+
+    for (const relation of relations) {
+      if (relation.stored && !schema.path(relation.localField)) {
+        const ref = { type: mongoose.Schema.Types.ObjectId, ref: relation.model, index: true };
+        schema.add({
+          [relation.localField]: relation.type === 'belongsTo'
+            ? { ...ref, default: null, ...(relation.required ? { required: true } : {}) }
+            : [ref]
+        });
+      }
+      if (relation.stored && relation.localField === relation.name) continue;
+
+      schema.virtual(relation.name, {
+        ref: relation.model,
+        localField: relation.localField,
+        foreignField: relation.foreignField,
+        justOne: relation.type === 'belongsTo',
+        ...(relation.match ? { match: relation.match } : {}),
+        ...(relation.options ? { options: relation.options } : {})
       });
+    }
+
+    const rules = relations.filter(relation => relation.onDelete);
+    if (rules.length === 0) return;
+    const keys = [...new Set(rules.map(rule => rule.localField))];
+
+    schema.pre('deleteOne', { document: true, query: false }, async function () {
+      this.$locals.relationKeys = ultra._relationKeys([this], keys);
+      await ultra._applyDeleteRules(modelName, rules, this.$locals.relationKeys, this.$session(), 'before');
+    });
+
+    schema.post('deleteOne', { document: true, query: false }, async function (doc) {
+      await ultra._applyDeleteRules(modelName, rules, doc.$locals.relationKeys, doc.$session(), 'after');
+    });
+
+    schema.pre(RELATION_DELETE_QUERIES, async function () {
+      const options = this.getOptions();
+      let lookup = this.model.find(this.getFilter()).setOptions({ softDeleted: 'include' }).select(keys.join(' ')).lean();
+      if (this.op !== 'deleteMany') {
+        if (options.sort) lookup = lookup.sort(options.sort);
+        lookup = lookup.limit(1);
+      }
+      if (options.session) lookup = lookup.session(options.session);
 
-      mongoose.connection.on('error', (err) => {
-        this._error('❌ MongoDB Error:', err.message);
-      });
+      this._relationKeys = ultra._relationKeys(await lookup, keys);
+      await ultra._applyDeleteRules(modelName, rules, this._relationKeys, options.session, 'before');
+    });
 
-      mongoose.connection.on('disconnected', () => {
-        this._log('🔌 MongoDB Disconnected');
-        this.isConnected = false;
-      });
+    schema.post(RELATION_DELETE_QUERIES, async function () {
+      await ultra._applyDeleteRules(modelName, rules, this._relationKeys, this.getOptions().session, 'after');
+    });
+  }
 
-      this._log('🔄 Connecting to MongoDB...');
+  // { _id: [ids of the deleted documents], slug: [...] } for every localField a rule reads
+  _relationKeys(docs, keys) {
+    return Object.fromEntries(keys.map(key => [key, docs.map(doc => doc[key]).filter(value => value != null)]));
+  }
 
-      this.connection = await mongoose.connect(uri, defaultOptions);
-      this.isConnected = true;
+  // restrict runs before the parent is deleted; cascade and nullify run after it, in the same
+  // session, and go through the target's own hooks so rules chain down the tree
+  async _applyDeleteRules(modelName, rules, keys, session, phase) {
+    for (const rule of rules) {
+      if ((rule.onDelete === 'restrict') !== (phase === 'before')) continue;
+
+      const values = (keys && keys[rule.localField]) || [];
+      if (values.length === 0) continue;
+
+      const Target = this._getModel(rule.model);
+      const filter = { [rule.foreignField]: { $in: values } };
+      // Soft-deleted rows still hold the reference, so they are cascaded and nullified too
+      const options = { softDeleted: 'include', ...(session ? { session } : {}) };
+
+      if (rule.onDelete === 'restrict') {
+        if (await Target.exists(filter).session(session || null)) {
+          throw new EasyMongooError(`Cannot delete ${modelName}: ${rule.model} documents still reference it through '${rule.name}'`, {
+            code: 'DELETE_RESTRICTED', status: 409
+          });
+        }
+        continue;
+      }
 
-      process.on('SIGINT', async () => {
-        await this.disconnect();
-        process.exit(0);
+      const result = rule.onDelete === 'cascade'
+        ? await Target.deleteMany(filter, options)
+        : await Target.updateMany(filter, rule.type === 'manyToMany'
+          ? { $pull: { [rule.foreignField]: { $in: values } } }
+          : { $set: { [rule.foreignField]: null } }, options);
+
+      this._log(`🔗 ${rule.onDelete === 'cascade' ? 'Cascaded' : 'Nullified'} '${modelName}.${rule.name}'`, {
+        operation: 'onDelete',
+        model: rule.model,
+        relation: `${modelName}.${rule.name}`,
+        count: rule.onDelete === 'cascade' ? result.deletedCount : result.modifiedCount
       });
-
-      return this.connection;
-    } catch (error) {
-      this._error('❌ Connection Failed:', error.message);
-      throw this._simplifyError(error);
     }
   }
 
-  async disconnect() {
-    if (this.isConnected) {
-      await mongoose.disconnect();
-      this.isConnected = false;
-      this._log('🔌 MongoDB Disconnected');
+  // Turns an include tree into populate options, resolving every level against its model
+  _includePopulate(Model, include) {
+    return includeEntries(include).map(([name, spec]) => {
+      const options = spec === true ? {} : spec;
+      const unknown = Object.keys(options).filter(key => !INCLUDE_OPTIONS.includes(key));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown include option(s) ${unknown.join(', ')} for '${name}'. Use: ${INCLUDE_OPTIONS.join(', ')}`);
+      }
+
+      const Target = this._relationTarget(Model, name);
+      const populate = { path: name, model: Target };
+      if (options.select) populate.select = options.select;
+      if (options.match) populate.match = options.match;
+      if (options.sort || options.limit) {
+        populate.options = {
+          ...(options.sort ? { sort: options.sort } : {}),
+          ...(options.limit ? { limit: options.limit } : {})
+        };
+      }
+      if (options.include) populate.populate = this._includePopulate(Target, options.include);
+      return populate;
+    });
+  }
+
+  // Declared relations first, then plain ref paths (userRef, ...) and hand-written virtual populates
+  _relationTarget(Model, name) {
+    const relation = (Model.schema.get('relations') || []).find(candidate => candidate.name === name);
+    const path = Model.schema.path(name);
+    const virtual = Model.schema.virtuals[name];
+    const ref = relation ? relation.model
+      : path ? (path.options.ref || (path.caster && path.caster.options.ref))
+        : virtual && virtual.options.ref;
+
+    if (!ref) {
+      const available = new Set([
+        ...(Model.schema.get('relations') || []).map(candidate => candidate.name),
+        ...Object.keys(Model.schema.paths).filter(candidate => Model.schema.path(candidate).options.ref)
+      ]);
+      throw new Error(`'${name}' is not a relation of '${Model.modelName}'. Available: ${[...available].join(', ') || 'none'}`);
     }
+    return typeof ref === 'string' ? this._getModel(ref) : ref;
   }
 
-  // ==================== ULTRA SMART SCHEMA SYSTEM ====================
+  // ==================== FIELD ENCRYPTION ====================
+
+  /**
+   * Encrypts String paths declared with the '#' (random) or '##' (deterministic) shortcut
+   * modifiers, or { encrypted: true | 'deterministic' }. Documents hold plaintext in memory
+   * and ciphertext in the database; lean reads are decrypted too.
+   */
+  _addEncryption(schema, modelName) {
+    const ultra = this;
+    const fields = [];
+
+    schema.eachPath((path, schemaType) => {
+      const mode = schemaType.options.encrypted || (schemaType.caster && schemaType.caster.options && schemaType.caster.options.encrypted);
+      if (!mode) return;
+      if (schemaType.instance !== 'String') {
+        throw new Error(`Encrypted path '${modelName}.${path}' must be a String, not ${schemaType.instance}`);
+      }
+      fields.push({ path, deterministic: mode === 'deterministic' });
 
-  schema(definition, options = {}) {
-    const processedDefinition = this._convertToFullSchema(definition);
+      // Ciphertext skips setters (lowercase, trim, ...) and validators, which run on the plaintext
+      schemaType.setters = schemaType.setters.map(setter => function (value, ...args) {
+        return isCiphertext(value) ? value : setter.call(this, value, ...args);
+      });
+      for (const validator of schemaType.validators) {
+        const check = validator.validator;
+        validator.validator = function (value, ...args) {
+          return isCiphertext(value) ? true : check.call(this, value, ...args);
+        };
+      }
+    });
 
-    const schemaOptions = {
-      timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' },
-      toJSON: {
-        virtuals: true,
-        transform: (doc, ret) => {
-          ret.id = ret._id;
-          delete ret._id;
-          delete ret.__v;
-          return ret;
-        }
-      },
-      toObject: { virtuals: true },
-      ...options
-    };
+    if (fields.length === 0) return;
+    schema.set('encryption', fields);
 
-    const schema = new mongoose.Schema(processedDefinition, schemaOptions);
+    schema.pre('save', function () {
+      const plaintext = {};
+      for (const { path, deterministic } of fields) {
+        const value = this.get(path, null, { getters: false });
+        if (!this.isModified(path) || value == null || isCiphertext(value)) continue;
+        plaintext[path] = value;
+        this.set(path, ultra._encrypt(path, value, deterministic));
+      }
+      this.$locals.plaintext = plaintext;
+    });
 
-    // Apply global plugins
-    this.globalPlugins.forEach(plugin => {
-      schema.plugin(plugin.fn, plugin.options);
+    schema.post('save', function (doc) {
+      for (const [path, value] of Object.entries(doc.$locals.plaintext || {})) {
+        doc.set(path, value);
+        doc.unmarkModified(path);
+      }
     });
 
-    this._addCommonVirtuals(schema);
-    this._addCommonMethods(schema);
+    // Remembers which key each value used, so reencrypt() can find stale ones
+    schema.post('init', function (doc) {
+      const keys = {};
+      for (const { path } of fields) {
+        const value = doc.get(path, null, { getters: false });
+        if (!isCiphertext(value)) continue;
+        keys[path] = ciphertextKeyId(value);
+        doc.set(path, decryptValue(ultra._keyProvider(), value));
+        doc.unmarkModified(path);
+      }
+      doc.$locals.encryptionKeys = keys;
+    });
 
-    return schema;
-  }
+    schema.pre('insertMany', async function (next, docs) {
+      for (const doc of Array.isArray(docs) ? docs : [docs]) {
+        await ultra._encryptValues(schema, fields, doc, true);
+      }
+    });
 
-  _convertToFullSchema(definition) {
-    const converted = {};
+    schema.post('insertMany', function (docs) {
+      for (const doc of docs) ultra._decryptDocument(fields, doc);
+    });
 
-    for (const [field, config] of Object.entries(definition)) {
-      if (typeof config === 'string') {
-        converted[field] = this._parseSmartShortcut(config);
-      } else if (Array.isArray(config)) {
-        converted[field] = config;
-      } else if (typeof config === 'object') {
-        converted[field] = this._processFieldConfig(field, config);
-      }
-    }
+    schema.pre(ENCRYPTED_FILTER_QUERIES, function () {
+      this._decrypt = this.getOptions().decrypt !== false;
+      delete this.options.decrypt;
+      this.setQuery(ultra._encryptFilter(schema, fields, this.getFilter(), modelName));
+    });
 
-    return converted;
-  }
+    schema.pre(ENCRYPTED_UPDATE_QUERIES, async function () {
+      const update = this.getUpdate();
+      if (!update || Array.isArray(update)) return;
 
-  _parseSmartShortcut(shortcut) {
-    const shortcuts = {
-      // ========== BASIC TYPES ==========
-      'string': String,
-      'number': Number,
-      'boolean': Boolean,
-      'date': Date,
-      'array': Array,
-      'object': Object,
-      'buffer': Buffer,
-      'decimal': mongoose.Schema.Types.Decimal128,
-      'map': Map,
-      'mixed': mongoose.Schema.Types.Mixed,
-
-      // ========== REQUIRED FIELDS ==========
-      'string!': { type: String, required: [true, '{PATH} is required'] },
-      'number!': { type: Number, required: [true, '{PATH} is required'] },
-      'boolean!': { type: Boolean, required: [true, '{PATH} is required'] },
-      'date!': { type: Date, required: [true, '{PATH} is required'] },
-      'array!': { type: Array, required: [true, '{PATH} is required'] },
-      'object!': { type: Object, required: [true, '{PATH} is required'] },
-
-      // ========== WITH DEFAULTS ==========
-      'string+': { type: String, default: '' },
-      'number+': { type: Number, default: 0 },
-      'boolean+': { type: Boolean, default: false },
-      'date+': { type: Date, default: Date.now },
-      'array+': { type: Array, default: [] },
-      'object+': { type: Object, default: {} },
-
-      // ========== UNIQUE FIELDS ==========
-      'string!!': { type: String, required: true, unique: true },
-      'number!!': { type: Number, required: true, unique: true },
-      'email!!': { type: String, required: true, unique: true, lowercase: true, match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email'] },
-
-      // ========== SMART TYPES ==========
-      'email': { type: String, lowercase: true, match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email'] },
-      'url': { type: String, match: [/https?:\/\/(www\.)?[-a-zA-Z0-9@:%._\+~#=]{1,256}\.[a-zA-Z0-9()]{1,6}\b([-a-zA-Z0-9()@:%_\+.~#?&//=]*)/, 'Please enter a valid URL'] },
-      'password': { type: String, minlength: 6 },
-      'phone': { type: String, match: [/^[\+]?[1-9][\d]{0,15}$/, 'Please enter a valid phone number'] },
-      'color': { type: String, match: [/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/, 'Please enter a valid hex color'] },
-
-      // ========== ID REFERENCES ==========
-      'userRef': { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-      'postRef': { type: mongoose.Schema.Types.ObjectId, ref: 'Post' },
-      'productRef': { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
-      'orderRef': { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
-      'categoryRef': { type: mongoose.Schema.Types.ObjectId, ref: 'Category' },
-
-      // ========== GEO TYPES ==========
-      'point': {
-        type: {
-          type: String,
-          enum: ['Point'],
-          default: 'Point'
-        },
-        coordinates: {
-          type: [Number],
-          default: [0, 0]
-        }
-      },
-      'location': {
-        address: String,
-        city: String,
-        country: String,
-        coordinates: {
-          type: [Number],
-          index: '2dsphere'
-        }
+      for (const target of [update, update.$set, update.$setOnInsert]) {
+        if (target) await ultra._encryptValues(schema, fields, target, !!this.getOptions().runValidators, this);
       }
-    };
+    });
 
-    return shortcuts[shortcut] || { type: String };
+    schema.post(ENCRYPTED_RESULT_QUERIES, function (result) {
+      if (!this._decrypt || !this.mongooseOptions().lean || !result) return;
+      for (const doc of Array.isArray(result) ? result : [result]) ultra._decryptDocument(fields, doc);
+    });
   }
 
-  _processFieldConfig(fieldName, config) {
-    const processed = { ...config };
-
-    if (typeof processed.type === 'string') {
-      processed.type = this._getMongooseType(processed.type);
+  _keyProvider() {
+    if (!this.keyProvider) {
+      throw new Error('Encrypted fields need a key provider. Call setKeyProvider() first');
     }
+    return this.keyProvider;
+  }
 
-    // Auto-validations
-    if (processed.enum && !processed.validate) {
-      processed.validate = {
-        validator: function (value) {
-          return processed.enum.includes(value);
-        },
-        message: `{PATH} must be one of: ${processed.enum.join(', ')}`
-      };
-    }
+  _encrypt(path, value, deterministic) {
+    return encryptValue(this._keyProvider(), path, value, deterministic);
+  }
 
-    // Auto-trim strings
-    if (processed.type === String && processed.trim === undefined) {
-      processed.trim = true;
-    }
+  // Encrypts plaintext values in a document or update, by dotted key or nested object.
+  // Query validators run after the pre hooks, so plaintext is validated here first
+  async _encryptValues(schema, fields, target, validate, context = null) {
+    for (const { path, deterministic } of fields) {
+      const dotted = Object.prototype.hasOwnProperty.call(target, path);
+      const value = dotted ? target[path] : getPathValue(target, path);
+      if (value == null || isCiphertext(value) || typeof value === 'object') continue;
+
+      if (validate) {
+        await new Promise((resolve, reject) => {
+          schema.path(path).doValidate(value, err => (err ? reject(err) : resolve()), context, { updateValidator: !!context });
+        });
+      }
 
-    // Auto-lowercase emails
-    if (fieldName.toLowerCase().includes('email')) {
-      processed.lowercase = true;
+      const encrypted = this._encrypt(path, schema.path(path).applySetters(value, context), deterministic);
+      if (dotted) target[path] = encrypted;
+      else setPathValue(target, path, encrypted);
     }
+  }
 
-    return processed;
+  // Lean results and change stream documents
+  _decryptDocument(fields, doc) {
+    const isDocument = doc instanceof mongoose.Document;
+    for (const { path } of fields) {
+      const value = isDocument ? doc.get(path, null, { getters: false }) : getPathValue(doc, path);
+      if (!isCiphertext(value)) continue;
+
+      const plaintext = decryptValue(this._keyProvider(), value);
+      if (isDocument) {
+        doc.set(path, plaintext);
+        doc.unmarkModified(path);
+      } else {
+        setPathValue(doc, path, plaintext);
+      }
+    }
+    return doc;
   }
 
-  _addCommonVirtuals(schema) {
-    schema.virtual('id').get(function () {
-      return this._id.toString();
-    });
+  // Deterministic paths support equality operators, matched under every known key
+  _encryptFilter(schema, fields, filter, modelName) {
+    const rewritten = {};
 
-    schema.virtual('createdAtFormatted').get(function () {
-      return this.createdAt?.toLocaleDateString();
-    });
+    for (const [key, value] of Object.entries(filter)) {
+      if (['$and', '$or', '$nor'].includes(key)) {
+        rewritten[key] = value.map(condition => this._encryptFilter(schema, fields, condition, modelName));
+        continue;
+      }
 
-    schema.virtual('updatedAtFormatted').get(function () {
-      return this.updatedAt?.toLocaleDateString();
-    });
+      const field = fields.find(candidate => candidate.path === key);
+      if (!field || value == null) {
+        rewritten[key] = value;
+        continue;
+      }
 
-    if (schema.paths.firstName && schema.paths.lastName) {
-      schema.virtual('fullName').get(function () {
-        return `${this.firstName} ${this.lastName}`.trim();
-      });
+      const operators = isPlainObject(value) && Object.keys(value).every(operator => operator.startsWith('$'))
+        ? value
+        : { $eq: value };
+      const unsupported = Object.keys(operators).filter(operator => !['$eq', '$ne', '$in', '$nin', '$exists'].includes(operator)
+        || [].concat(operators[operator]).some(operand => operand instanceof RegExp));
+      const needsKeys = Object.keys(operators).some(operator => operator !== '$exists');
+
+      if (unsupported.length > 0 || (needsKeys && !field.deterministic)) {
+        throw new EasyMongooError(field.deterministic
+          ? `Encrypted path '${modelName}.${key}' only supports $eq, $ne, $in, $nin and $exists`
+          : `Encrypted path '${modelName}.${key}' cannot be queried. Declare it deterministic ('##') to allow equality queries`, {
+          code: 'ENCRYPTED_FIELD_QUERY', status: 400
+        });
+      }
+
+      const ciphertexts = values => values.flatMap(plaintext => (plaintext == null || isCiphertext(plaintext)
+        ? [plaintext]
+        : deterministicCiphertexts(this._keyProvider(), key, schema.path(key).applySetters(plaintext, null))));
+      const condition = {};
+      for (const [operator, operand] of Object.entries(operators)) {
+        if (operator === '$exists') condition.$exists = operand;
+        else if (operator === '$eq' || operator === '$in') condition.$in = [...(condition.$in || []), ...ciphertexts([].concat(operand))];
+        else condition.$nin = [...(condition.$nin || []), ...ciphertexts([].concat(operand))];
+      }
+      rewritten[key] = condition;
     }
 
-    if (schema.paths.birthDate || schema.paths.dob) {
-      schema.virtual('age').get(function () {
-        const birth = this.birthDate || this.dob;
-        if (!birth) return null;
-        return Math.floor((Date.now() - birth) / (365.25 * 24 * 60 * 60 * 1000));
-      });
+    return rewritten;
+  }
+
+  /**
+   * Sets the key provider for encrypted fields: { currentKeyId(), getKey(id), keyIds() },
+   * all synchronous. Fetch keys from a KMS at startup and pass them to StaticKeyProvider.
+   */
+  setKeyProvider(provider) {
+    for (const method of ['currentKeyId', 'getKey', 'keyIds']) {
+      if (!provider || typeof provider[method] !== 'function') {
+        throw new Error(`Key provider must implement ${method}()`);
+      }
     }
+
+    this.keyProvider = provider;
+    this._log('🔐 Key provider set', { currentKey: provider.currentKeyId() });
   }
 
-  _addCommonMethods(schema) {
-    // Instance methods
-    schema.methods.toJSON = function () {
-      const obj = this.toObject();
-      obj.id = obj._id;
-      delete obj._id;
-      delete obj.__v;
-      return obj;
-    };
+  /**
+   * Re-encrypts values written with an older key under the current one, through migrate(),
+   * so batchSize, filter, after and onCheckpoint work the same. Run it after rotating keys;
+   * remove the old key from the provider once it finishes.
+   */
+  async reencrypt(modelName, options = {}) {
+    const fields = this._getRegisteredModel(modelName).schema.get('encryption');
+    if (!fields) throw new Error(`'${modelName}' has no encrypted fields`);
+
+    const current = this._keyProvider().currentKeyId();
+    let reencrypted = 0;
+
+    const processed = await this.migrate(modelName, async (doc) => {
+      const keys = doc.$locals.encryptionKeys || {};
+      const stale = fields.filter(({ path }) => keys[path] && keys[path] !== current);
+      if (stale.length === 0) return;
+
+      const update = Object.fromEntries(stale.map(({ path, deterministic }) => [path, this._encrypt(path, doc.get(path), deterministic)]));
+      await doc.constructor.updateOne({ _id: doc._id }, { $set: update }, { timestamps: false, softDeleted: 'include' });
+      reencrypted++;
+    }, { withDeleted: true, ...options });
+
+    this._log(`🔐 Re-encrypted ${reencrypted} ${modelName} documents`, { operation: 'reencrypt', model: modelName, processed, reencrypted, currentKey: current }, 'info');
+    return { processed, reencrypted };
+  }
 
-    schema.methods.updateFields = async function (fields) {
-      Object.keys(fields).forEach(key => {
-        this[key] = fields[key];
-      });
-      return await this.save();
-    };
+  // ==================== OPTIMISTIC CONCURRENCY ====================
 
-    schema.methods.softDelete = async function () {
-      this.deleted = true;
-      this.deletedAt = new Date();
-      return await this.save();
-    };
+  /**
+   * With { optimisticConcurrency: true } mongoose checks the version key on save(); this bumps
+   * it on update queries too, so every write invalidates an `expectedVersion` read before it.
+   */
+  _addVersioning(schema, modelName) {
+    const versionKey = schema.get('versionKey');
+    if (!versionKey) {
+      throw new Error(`'${modelName}' needs a versionKey for optimistic concurrency`);
+    }
 
-    // Static methods
-    schema.statics.findActive = function () {
-      return this.find({ deleted: { $ne: true } });
-    };
+    schema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function () {
+      const update = this.getUpdate();
+      if (!update) return;
 
-    schema.statics.findDeleted = function () {
-      return this.find({ deleted: true });
-    };
+      if (Array.isArray(update)) {
+        update.push({ $set: { [versionKey]: { $add: [{ $ifNull: [`$${versionKey}`, 0] }, 1] } } });
+        return;
+      }
 
-    schema.statics.restore = function (id) {
-      return this.findByIdAndUpdate(id, { deleted: false, deletedAt: null });
-    };
+      // Upserts arrive with `$setOnInsert: { __v: 0 }`, which would collide with the $inc
+      for (const target of [update, update.$set, update.$setOnInsert]) {
+        if (target) delete target[versionKey];
+      }
+      update.$inc = { ...update.$inc, [versionKey]: 1 };
+    });
+  }
 
-    schema.statics.findBySlug = function (slug) {
-      return this.findOne({ slug });
-    };
+  _assertOptimisticConcurrency(schema, modelName) {
+    if (!schema.get('optimisticConcurrency')) {
+      throw invalidRequest(`Optimistic concurrency is not enabled for '${modelName}'. Create the model with { optimisticConcurrency: true }`);
+    }
+    return schema.get('versionKey');
+  }
 
-    // Query helpers
-    schema.query.byStatus = function (status) {
-      return this.where({ status });
-    };
+  // The `_id` filter of the update helpers, plus the version condition when `expectedVersion` is given
+  _versionedFilter(modelName, id, expectedVersion) {
+    if (expectedVersion === undefined) return { _id: id };
 
-    schema.query.recent = function (days = 7) {
-      const date = new Date();
-      date.setDate(date.getDate() - days);
-      return this.where('createdAt').gte(date);
-    };
+    const versionKey = this._assertOptimisticConcurrency(this._getRegisteredModel(modelName).schema, modelName);
+    return { _id: id, [versionKey]: expectedVersion };
+  }
 
-    schema.query.popular = function (minViews = 100) {
-      return this.where('viewCount').gte(minViews);
-    };
+  // After a versioned update matched nothing: a conflict if the document exists, null if it is missing
+  async _versionConflict(Model, modelName, id, expectedVersion, session = null) {
+    if (expectedVersion === undefined) return null;
+
+    const versionKey = Model.schema.get('versionKey');
+    const current = await Model.findById(id)
+      .setOptions({ softDeleted: 'include' })
+      .select(versionKey)
+      .session(session)
+      .lean();
+    return current ? new VersionConflictError(modelName, id, expectedVersion, current[versionKey]) : null;
   }
 
-  // ==================== COMPLETE MODEL SYSTEM ====================
+  /**
+   * Calls `fn(attempt)` again whenever it fails with a version conflict, so a read-modify-write
+   * reloads the document and reapplies its change. Options: retries (default 3) and the
+   * backoff options minDelay (default 50ms), maxDelay, factor and jitter.
+   */
+  async retryOnConflict(fn, options = {}) {
+    const { retries = 3, minDelay = 50, ...backoff } = options;
 
-  model(name, schemaDef, options = {}) {
-    if (this.models.has(name)) {
-      this._log(`📝 Using existing model '${name}'`);
-      return this.models.get(name);
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await fn(attempt);
+      } catch (error) {
+        const conflict = error instanceof VersionConflictError || error.name === 'VersionError';
+        if (!conflict || attempt > retries) throw error;
+
+        const delay = backoffDelay(attempt, { minDelay, ...backoff });
+        this._log(`🔄 Version conflict, retry ${attempt}/${retries} in ${delay}ms`, { operation: 'retryOnConflict', attempt, delay, error: error.message }, 'warn');
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
     }
+  }
 
-    const schema = schemaDef instanceof mongoose.Schema ? schemaDef : this.schema(schemaDef, options);
+  // ==================== PAYLOAD VALIDATION ====================
 
-    this._addAutoIndexes(schema, schemaDef);
-    this._addAutoMiddleware(schema, name);
+  /**
+   * Runs the model's field rules against `payload` without touching the database. Resolves with
+   * { valid, errors: [{ path, message, kind, value }] }. With `partial: true` only the paths in
+   * the payload are checked, as for a PATCH body sent to updateById().
+   */
+  async validate(modelName, payload, options = {}) {
+    const Model = this._getRegisteredModel(modelName);
+    const paths = options.partial ? this._payloadPaths(Model.schema, payload) : undefined;
 
-    const model = mongoose.model(name, schema);
+    try {
+      await new Model(payload).validate(paths);
+      return { valid: true, errors: [] };
+    } catch (error) {
+      if (error.name !== 'ValidationError' || !error.errors) throw error;
 
-    this.models.set(name, model);
-    this.schemas.set(name, schema);
+      const errors = Object.entries(validationDetails(error)).map(([path, detail]) => ({ path, ...detail }));
+      return { valid: false, errors };
+    }
+  }
 
-    this._log(`📝 Model '${name}' created with auto-features`);
-    return model;
+  // Keys and dotted paths of a partial payload; a nested object replaces every path below it, as in $set
+  _payloadPaths(schema, payload) {
+    return Object.keys(payload).flatMap(key => (schema.pathType(key) === 'nested'
+      ? Object.keys(schema.paths).filter(path => path.startsWith(`${key}.`))
+      : [key]));
   }
 
-  discriminator(baseModelName, discriminatorName, schemaDef, options = {}) {
-    const baseModel = this._getModel(baseModelName);
-    const schema = this.schema(schemaDef, options);
-    const discriminatorModel = baseModel.discriminator(discriminatorName, schema);
+  // ==================== JSON SCHEMA & OPENAPI ====================
+
+  /**
+   * JSON Schema (draft 2020-12) of a registered model. `variant` picks the shape:
+   *   response  what toJSON() returns (default)
+   *   create    input for create(): no ids, versions, timestamps or soft delete paths
+   *   update    input for updateById(): like create, without top-level `required` or defaults
+   */
+  toJSONSchema(modelName, options = {}) {
+    const { variant = 'response' } = options;
+    if (!(variant in SCHEMA_VARIANTS)) {
+      throw new Error(`Unknown schema variant '${variant}'. Use ${Object.keys(SCHEMA_VARIANTS).join(', ')}`);
+    }
 
-    this.models.set(discriminatorName, discriminatorModel);
-    this._log(`🎭 Discriminator '${discriminatorName}' created from '${baseModelName}'`);
+    const Model = this._getRegisteredModel(modelName);
+    const object = this._jsonSchemaObject(Model.schema, variant, variant !== 'update');
+    const body = variant === 'response' ? this._jsonSchemaResponse(Model, object) : object;
 
-    return discriminatorModel;
+    return compactJsonSchema({ $schema: JSON_SCHEMA_DIALECT, title: modelName + SCHEMA_VARIANTS[variant], ...body });
   }
 
-  _addAutoIndexes(schema, definition) {
-    // Text search indexes
-    if (definition.name || definition.title || definition.description) {
-      schema.index({
-        name: 'text',
-        title: 'text',
-        description: 'text'
-      }, {
-        weights: {
-          name: 10,
-          title: 5,
-          description: 1
-        },
-        name: 'text_search_idx'
+  /**
+   * OpenAPI 3.1 document with the response, create and update schemas of every registered
+   * model as components ('User', 'UserCreate', 'UserUpdate'). `info` and `servers` are copied in.
+   */
+  toOpenAPI(options = {}) {
+    const schemas = {};
+    for (const modelName of this.schemas.keys()) {
+      for (const [variant, suffix] of Object.entries(SCHEMA_VARIANTS)) {
+        const { $schema, ...schema } = this.toJSONSchema(modelName, { variant });
+        schemas[modelName + suffix] = schema;
+      }
+    }
+
+    return {
+      openapi: '3.1.0',
+      info: { title: 'Easy-Mongoo API', version: '1.0.0', ...options.info },
+      ...(options.servers && { servers: options.servers }),
+      paths: {},
+      components: { schemas }
+    };
+  }
+
+  // Builds nested objects from dotted paths; `required` marks the parents of required paths too
+  _jsonSchemaObject(schema, variant, topLevelRequired = true) {
+    const root = { type: 'object', properties: {}, required: [] };
+    const managed = variant === 'response' ? [] : this._managedPaths(schema);
+
+    for (const path of Object.keys(schema.paths)) {
+      // Map values ('scores.$*') are described by the Map path itself
+      if (managed.includes(path) || path.includes('$*')) continue;
+
+      const schemaType = schema.path(path);
+      const segments = path.split('.');
+      const required = this._jsonSchemaRequired(schemaType, variant);
+      let node = root;
+
+      segments.forEach((segment, depth) => {
+        const last = depth === segments.length - 1;
+        if (required && !node.required.includes(segment) && (depth > 0 || topLevelRequired)) node.required.push(segment);
+
+        if (!last) {
+          node.properties[segment] = node.properties[segment] || { type: 'object', properties: {}, required: [] };
+          node = node.properties[segment];
+        } else {
+          node.properties[segment] = this._jsonSchemaProperty(schemaType, variant);
+        }
       });
     }
 
-    // Compound indexes for common queries
-    schema.index({ status: 1, createdAt: -1 });
-    schema.index({ category: 1, price: 1 });
-    schema.index({ userId: 1, createdAt: -1 });
+    this._jsonSchemaPoints(root);
+    return root;
+  }
 
-    // TTL indexes for expiration
-    if (definition.expiresAt) {
-      schema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+  // Paths mongoose or easy-mongoo fill in, left out of the input variants
+  _managedPaths(schema) {
+    const paths = ['_id', schema.get('versionKey')];
+    const timestamps = schema.get('timestamps');
+    if (timestamps) {
+      paths.push(timestamps.createdAt === undefined || timestamps.createdAt === true ? 'createdAt' : timestamps.createdAt);
+      paths.push(timestamps.updatedAt === undefined || timestamps.updatedAt === true ? 'updatedAt' : timestamps.updatedAt);
     }
+    if (schema.get('softDelete')) paths.push(...SOFT_DELETE_PATHS);
+    return paths.filter(Boolean);
+  }
+
+  // Conditional (function) requirements cannot be expressed, so they count as optional
+  _jsonSchemaRequired(schemaType, variant) {
+    const required = optionValue(schemaType.options.required);
+    if (!required || typeof required === 'function') return false;
+    return variant !== 'create' || schemaType.options.default === undefined;
+  }
 
-    // 2dsphere for location data
-    if (definition.location || definition.coordinates) {
-      schema.index({ 'location.coordinates': '2dsphere' });
+  _jsonSchemaProperty(schemaType, variant) {
+    if (schemaType.$isMongooseDocumentArray) {
+      return { type: 'array', items: this._jsonSchemaObject(schemaType.schema, variant) };
+    }
+    if (schemaType.$isSingleNested) return this._jsonSchemaObject(schemaType.schema, variant);
+    if (schemaType.instance === 'Array') {
+      return { type: 'array', items: schemaType.caster ? this._jsonSchemaProperty(schemaType.caster, variant) : {} };
     }
 
-    // Partial indexes
-    if (definition.isActive) {
-      schema.index({ isActive: 1 }, { partialFilterExpression: { isActive: true } });
+    const options = schemaType.options;
+    const property = this._jsonSchemaType(schemaType, variant);
+    const type = this._shortcutTypeOf(options);
+    const values = options.enum && (Array.isArray(options.enum) ? options.enum : options.enum.values);
+    const pattern = optionValue(options.match);
+    const minLength = optionValue(options.minlength ?? options.minLength);
+    const maxLength = optionValue(options.maxlength ?? options.maxLength);
+
+    if (type && type.jsonSchema) Object.assign(property, type.jsonSchema);
+    if (values) property.enum = values;
+    // JSON Schema patterns have no flags, so flagged expressions are left out
+    if (pattern instanceof RegExp && !pattern.flags) property.pattern = pattern.source;
+    if (minLength !== undefined) property.minLength = minLength;
+    if (maxLength !== undefined) property.maxLength = maxLength;
+    if (schemaType.instance === 'Number') {
+      if (options.min !== undefined) property.minimum = optionValue(options.min);
+      if (options.max !== undefined) property.maximum = optionValue(options.max);
     }
+    if (options.ref) property['x-ref'] = typeof options.ref === 'string' ? options.ref : options.ref.modelName;
+    if (options.unique) property['x-unique'] = true;
+    if (variant !== 'update' && jsonDefault(options.default) !== undefined) property.default = jsonDefault(options.default);
+
+    return property;
   }
 
-  _addAutoMiddleware(schema, modelName) {
-    // Auto-slugify
-    if (schema.paths.name || schema.paths.title) {
-      schema.pre('save', function (next) {
-        if (this.isModified('name') || this.isModified('title')) {
-          const source = this.name || this.title;
-          if (source && !this.slug) {
-            this.slug = source.toString().toLowerCase()
-              .replace(/[^a-z0-9]/g, '-')
-              .replace(/-+/g, '-')
-              .replace(/^-|-$/g, '');
-          }
-        }
-        next();
-      });
+  _jsonSchemaType(schemaType, variant) {
+    switch (schemaType.instance) {
+      case 'String': return { type: 'string' };
+      case 'Number': return { type: 'number' };
+      case 'Boolean': return { type: 'boolean' };
+      case 'Date': return { type: 'string', format: 'date-time' };
+      case 'ObjectID':
+      case 'ObjectId': return { ...OBJECT_ID_SCHEMA };
+      case 'UUID': return { type: 'string', format: 'uuid' };
+      case 'Buffer': return { type: 'string', contentEncoding: 'base64' };
+      case 'Decimal128': return variant === 'response'
+        ? { type: 'object', properties: { $numberDecimal: { type: 'string' } }, required: ['$numberDecimal'] }
+        : { type: ['string', 'number'] };
+      case 'Map': return {
+        type: 'object',
+        additionalProperties: schemaType.$__schemaType ? this._jsonSchemaProperty(schemaType.$__schemaType, variant) : {}
+      };
+      default: return {};
     }
+  }
 
-    // Auto-hash passwords
-    if (schema.paths.password) {
-      schema.pre('save', async function (next) {
-        if (!this.isModified('password')) return next();
-        this.password = `hashed_${this.password}_${Date.now()}`;
-        next();
-      });
+  // The 'point' shortcut stores a GeoJSON Point: [longitude, latitude], optionally with altitude
+  _jsonSchemaPoints(node) {
+    const { type, coordinates } = node.properties;
+    if (type && coordinates && JSON.stringify(type.enum) === '["Point"]') {
+      Object.assign(coordinates, { minItems: 2, maxItems: 3 });
     }
+    Object.values(node.properties).forEach(child => child.properties && this._jsonSchemaPoints(child));
+  }
 
-    // Auto-update timestamps on update
-    schema.pre('findOneAndUpdate', function (next) {
-      this.set({ updatedAt: new Date() });
-      next();
-    });
+  /**
+   * Applies the model's toJSON() to a probe document: paths it drops (password, __v) are
+   * removed, paths it adds (id, virtuals) are typed from their values.
+   */
+  _jsonSchemaResponse(Model, object) {
+    const probe = {};
+    for (const path of Object.keys(Model.schema.paths)) {
+      const value = this._jsonProbeValue(Model.schema.path(path));
+      if (value !== undefined && !path.includes('$*')) setPathValue(probe, path, value);
+    }
 
-    // Logging middleware
-    schema.post('save', (doc) => {
-      this._log(`💾 ${modelName} saved:`, doc._id);
-    });
+    const doc = new Model(probe);
+    const raw = doc.toObject({ transform: false, virtuals: false, getters: false });
+    const json = doc.toJSON();
+    const properties = {};
+    const required = [];
+
+    for (const [key, property] of Object.entries(object.properties)) {
+      if (key in raw && json[key] === undefined) continue;
+      properties[key] = property;
+      if (object.required.includes(key)) required.push(key);
+    }
+    for (const [key, value] of Object.entries(json)) {
+      if (key in properties || value === undefined) continue;
+      properties[key] = jsonSchemaOfValue(value);
+      if (value instanceof mongoose.Types.ObjectId && value.equals(doc._id)) required.push(key);
+    }
+
+    return { type: 'object', properties, required };
+  }
 
-    schema.post('remove', (doc) => {
-      this._log(`🗑️ ${modelName} removed:`, doc._id);
-    });
+  _jsonProbeValue(schemaType) {
+    if (schemaType.$isMongooseArray || schemaType.$isMongooseDocumentArray) return [];
+    if (schemaType.$isSingleNested) return {};
+
+    switch (schemaType.instance) {
+      case 'String': return 'probe';
+      case 'Number': return 0;
+      case 'Boolean': return false;
+      case 'Date': return new Date(0);
+      case 'ObjectID':
+      case 'ObjectId': return new mongoose.Types.ObjectId();
+      case 'Mixed':
+      case 'Map': return {};
+      default: return undefined;
+    }
+  }
 
-    // Aggregate middleware
-    schema.pre('aggregate', function (next) {
-      this.pipeline().unshift({ $match: { deleted: { $ne: true } } });
-      next();
-    });
+  // ==================== REST ROUTER ====================
+
+  /**
+   * Request handler serving a model over REST: GET / (paginated list), GET /:id, POST /,
+   * PATCH|PUT /:id and DELETE /:id. Options: prefix, routes, filters, sort and fields
+   * allowlists, limit, maxLimit, bodyLimit and authorize (a hook, or one hook per route).
+   */
+  router(modelName, options = {}) {
+    const router = new ModelRouter(this, modelName, options);
+    return (req, res, next) => router.handle(req, res, next);
   }
 
   // ==================== COMPLETE CRUD OPERATIONS ====================
@@ -430,7 +4006,11 @@ class UltraMongo {
       const doc = Array.isArray(data)
         ? await Model.insertMany(data, options)
         : await Model.create(data);
-      this._log(`✅ Created ${modelName}`, Array.isArray(data) ? `(${data.length} items)` : '');
+      this._log(`✅ Created ${modelName}`, {
+        operation: 'create',
+        model: modelName,
+        ...(Array.isArray(data) ? { count: data.length } : { id: doc._id })
+      });
       return doc;
     } catch (error) {
       throw this._handleError(`create ${modelName}`, error);
@@ -439,22 +4019,8 @@ class UltraMongo {
 
   async find(modelName, filter = {}, options = {}) {
     try {
-      const Model = this._getModel(modelName);
-      let query = Model.find(filter);
-
-      // All query options
-      const queryMethods = {
-        select: 'select', sort: 'sort', limit: 'limit', skip: 'skip',
-        populate: 'populate', lean: 'lean', collation: 'collation',
-        readPreference: 'read', maxTimeMS: 'maxTimeMS', hint: 'hint',
-        comment: 'comment', sanitizeFilter: 'sanitizeFilter'
-      };
-
-      Object.entries(queryMethods).forEach(([key, method]) => {
-        if (options[key] !== undefined) query = query[method](options[key]);
-      });
-
-      return await query.exec();
+      const query = this._readQuery(modelName, 'find', filter, options);
+      return await this._cachedRead(modelName, 'find', [filter], options, () => query.exec());
     } catch (error) {
       throw this._handleError(`find ${modelName}`, error);
     }
@@ -462,16 +4028,8 @@ class UltraMongo {
 
   async findOne(modelName, filter = {}, options = {}) {
     try {
-      const Model = this._getModel(modelName);
-      let query = Model.findOne(filter);
-
-      if (options.select) query = query.select(options.select);
-      if (options.populate) query = query.populate(options.populate);
-      if (options.lean) query = query.lean();
-      if (options.sort) query = query.sort(options.sort);
-      if (options.readPreference) query = query.read(options.readPreference);
-
-      return await query.exec();
+      const query = this._readQuery(modelName, 'findOne', filter, options);
+      return await this._cachedRead(modelName, 'findOne', [filter], options, () => query.exec());
     } catch (error) {
       throw this._handleError(`find one ${modelName}`, error);
     }
@@ -481,20 +4039,13 @@ class UltraMongo {
 
   async findById(modelName, id, options = {}) {
     try {
-      const Model = this._getModel(modelName);
-      let query = Model.findById(id);
-
-      if (options.select) query = query.select(options.select);
-      if (options.populate) query = query.populate(options.populate);
-      if (options.lean) query = query.lean();
-      if (options.session) query = query.session(options.session);
-
-      const doc = await query.exec();
+      const query = this._readQuery(modelName, 'findById', id, options);
+      const doc = await this._cachedRead(modelName, 'findById', [String(id)], options, () => query.exec());
       if (!doc && options.throwIfNotFound !== false) {
-        throw new Error(`${modelName} with ID ${id} not found`);
+        throw new NotFoundError(modelName, id);
       }
       
-      if (!doc) this._log(`🔍 ${modelName} with ID ${id} not found`);
+      if (!doc) this._log(`🔍 ${modelName} with ID ${id} not found`, { operation: 'findById', model: modelName, id });
       return doc;
     } catch (error) {
       throw this._handleError(`find ${modelName} by ID`, error);
@@ -502,17 +4053,25 @@ class UltraMongo {
   }
 
   async findByIdAndUpdate(modelName, id, data, options = {}) {
+    const { expectedVersion, ...queryOptions } = options;
+
     try {
+      const filter = this._versionedFilter(modelName, id, expectedVersion);
       const Model = this._getModel(modelName);
       const updateOptions = {
         new: true,
         runValidators: true,
-        ...options
+        ...queryOptions
       };
 
-      const doc = await Model.findByIdAndUpdate(id, data, updateOptions);
+      const doc = await Model.findOneAndUpdate(filter, data, updateOptions);
+      if (!doc) {
+        const conflict = await this._versionConflict(Model, modelName, id, expectedVersion, options.session);
+        if (conflict) throw conflict;
+      }
+
       if (!doc && options.throwIfNotFound !== false) {
-        throw new Error(`${modelName} with ID ${id} not found`);
+        throw new NotFoundError(modelName, id);
       }
 
       if (!doc) {
@@ -520,7 +4079,7 @@ class UltraMongo {
         return null;
       }
 
-      this._log(`✅ Updated ${modelName} by ID`);
+      this._log(`✅ Updated ${modelName} by ID`, { operation: 'findByIdAndUpdate', model: modelName, id });
       return doc;
     } catch (error) {
       throw this._handleError(`update ${modelName} by ID`, error);
@@ -533,7 +4092,7 @@ class UltraMongo {
       const doc = await Model.findByIdAndDelete(id, options);
       
       if (!doc && options.throwIfNotFound !== false) {
-        throw new Error(`${modelName} with ID ${id} not found`);
+        throw new NotFoundError(modelName, id);
       }
 
       if (!doc) {
@@ -541,7 +4100,7 @@ class UltraMongo {
         return null;
       }
 
-      this._log(`🗑️ Deleted ${modelName} by ID`);
+      this._log(`🗑️ Deleted ${modelName} by ID`, { operation: 'findByIdAndDelete', model: modelName, id });
       return doc;
     } catch (error) {
       throw this._handleError(`delete ${modelName} by ID`, error);
@@ -551,20 +4110,28 @@ class UltraMongo {
   // ==================== NEW CONVENIENCE METHODS ====================
 
   async updateById(modelName, id, data, options = {}) {
+    const { expectedVersion, ...queryOptions } = options;
+
     try {
+      const filter = this._versionedFilter(modelName, id, expectedVersion);
       const Model = this._getModel(modelName);
       const updateOptions = {
         runValidators: true,
-        ...options
+        ...queryOptions
       };
 
-      const result = await Model.updateOne({ _id: id }, data, updateOptions);
-      
+      const result = await Model.updateOne(filter, data, updateOptions);
+
+      if (result.matchedCount === 0) {
+        const conflict = await this._versionConflict(Model, modelName, id, expectedVersion, options.session);
+        if (conflict) throw conflict;
+      }
+
       if (result.matchedCount === 0 && options.throwIfNotFound !== false) {
-        throw new Error(`${modelName} with ID ${id} not found`);
+        throw new NotFoundError(modelName, id);
       }
 
-      this._log(`✅ Updated ${modelName} by ID - Modified: ${result.modifiedCount}`);
+      this._log(`✅ Updated ${modelName} by ID`, { operation: 'updateById', model: modelName, id, modified: result.modifiedCount });
       return result;
     } catch (error) {
       throw this._handleError(`update ${modelName} by ID`, error);
@@ -577,10 +4144,10 @@ class UltraMongo {
       const result = await Model.deleteOne({ _id: id }, options);
       
       if (result.deletedCount === 0 && options.throwIfNotFound !== false) {
-        throw new Error(`${modelName} with ID ${id} not found`);
+        throw new NotFoundError(modelName, id);
       }
 
-      this._log(`🗑️ Deleted ${modelName} by ID - Deleted: ${result.deletedCount}`);
+      this._log(`🗑️ Deleted ${modelName} by ID`, { operation: 'deleteById', model: modelName, id, deleted: result.deletedCount });
       return result;
     } catch (error) {
       throw this._handleError(`delete ${modelName} by ID`, error);
@@ -616,17 +4183,9 @@ class UltraMongo {
 
   async findByIds(modelName, ids, options = {}) {
     try {
-      const Model = this._getModel(modelName);
-      let query = Model.find({ _id: { $in: ids } });
-
-      if (options.select) query = query.select(options.select);
-      if (options.populate) query = query.populate(options.populate);
-      if (options.lean) query = query.lean();
-      if (options.sort) query = query.sort(options.sort);
-      if (options.session) query = query.session(options.session);
-
-      const docs = await query.exec();
-      this._log(`🔍 Found ${docs.length} ${modelName} documents by IDs`);
+      const query = this._readQuery(modelName, 'find', { _id: { $in: ids } }, options);
+      const docs = await this._cachedRead(modelName, 'findByIds', [ids.map(String)], options, () => query.exec());
+      this._log(`🔍 Found ${docs.length} ${modelName} documents by IDs`, { operation: 'findByIds', model: modelName, count: docs.length });
       return docs;
     } catch (error) {
       throw this._handleError(`find ${modelName} by IDs`, error);
@@ -647,7 +4206,7 @@ class UltraMongo {
         updateOptions
       );
 
-      this._log(`✅ Updated ${result.modifiedCount} ${modelName} documents by IDs`);
+      this._log(`✅ Updated ${result.modifiedCount} ${modelName} documents by IDs`, { operation: 'updateByIds', model: modelName, modified: result.modifiedCount });
       return result;
     } catch (error) {
       throw this._handleError(`update ${modelName} by IDs`, error);
@@ -662,7 +4221,7 @@ class UltraMongo {
         options
       );
 
-      this._log(`🗑️ Deleted ${result.deletedCount} ${modelName} documents by IDs`);
+      this._log(`🗑️ Deleted ${result.deletedCount} ${modelName} documents by IDs`, { operation: 'deleteByIds', model: modelName, deleted: result.deletedCount });
       return result;
     } catch (error) {
       throw this._handleError(`delete ${modelName} by IDs`, error);
@@ -672,27 +4231,34 @@ class UltraMongo {
   // ==================== UPSERT OPERATIONS ====================
 
   async findByIdAndUpsert(modelName, id, data, options = {}) {
+    const { expectedVersion, ...queryOptions } = options;
+    let Model;
+
     try {
-      const Model = this._getModel(modelName);
+      const filter = this._versionedFilter(modelName, id, expectedVersion);
+      Model = this._getModel(modelName);
       const upsertOptions = {
         new: true,
         runValidators: true,
         upsert: true,
         setDefaultsOnInsert: true,
-        ...options
+        ...queryOptions
       };
 
-      const doc = await Model.findByIdAndUpdate(
-        id, 
+      const doc = await Model.findOneAndUpdate(
+        filter,
         data, 
         upsertOptions
       );
 
       const action = doc.isNew ? 'Created' : 'Updated';
-      this._log(`✅ ${action} ${modelName} by ID (upsert)`);
+      this._log(`✅ ${action} ${modelName} by ID (upsert)`, { operation: 'findByIdAndUpsert', model: modelName, id });
       return doc;
     } catch (error) {
-      throw this._handleError(`upsert ${modelName} by ID`, error);
+      // A stale version misses the filter, so the upsert tries to insert a second document with the same _id
+      const duplicateId = error.code === 11000 && !!error.keyPattern && !!error.keyPattern._id;
+      const conflict = duplicateId && await this._versionConflict(Model, modelName, id, expectedVersion, options.session);
+      throw this._handleError(`upsert ${modelName} by ID`, conflict || error);
     }
   }
 
@@ -714,10 +4280,10 @@ class UltraMongo {
       );
 
       if (!doc && options.throwIfNotFound !== false) {
-        throw new Error(`${modelName} with ID ${id} not found`);
+        throw new NotFoundError(modelName, id);
       }
 
-      this._log(`🔢 Incremented ${field} by ${value} for ${modelName}`);
+      this._log(`🔢 Incremented ${field} by ${value} for ${modelName}`, { operation: 'findByIdAndIncrement', model: modelName, id, field });
       return doc;
     } catch (error) {
       throw this._handleError(`increment ${modelName} field`, error);
@@ -740,10 +4306,10 @@ class UltraMongo {
       );
 
       if (!doc && options.throwIfNotFound !== false) {
-        throw new Error(`${modelName} with ID ${id} not found`);
+        throw new NotFoundError(modelName, id);
       }
 
-      this._log(`📥 Pushed value to ${field} for ${modelName}`);
+      this._log(`📥 Pushed value to ${field} for ${modelName}`, { operation: 'findByIdAndPush', model: modelName, id, field });
       return doc;
     } catch (error) {
       throw this._handleError(`push to ${modelName} array`, error);
@@ -766,10 +4332,10 @@ class UltraMongo {
       );
 
       if (!doc && options.throwIfNotFound !== false) {
-        throw new Error(`${modelName} with ID ${id} not found`);
+        throw new NotFoundError(modelName, id);
       }
 
-      this._log(`📤 Pulled value from ${field} for ${modelName}`);
+      this._log(`📤 Pulled value from ${field} for ${modelName}`, { operation: 'findByIdAndPull', model: modelName, id, field });
       return doc;
     } catch (error) {
       throw this._handleError(`pull from ${modelName} array`, error);
@@ -809,25 +4375,106 @@ class UltraMongo {
   // ==================== SOFT DELETE OPERATIONS ====================
 
   async findByIdAndSoftDelete(modelName, id, options = {}) {
+    this._assertSoftDelete(modelName);
+    const { deletedBy = null, ...updateOptions } = options;
+
     return await this.findByIdAndUpdate(modelName, id, 
       { 
         deleted: true, 
         deletedAt: new Date(),
-        deletedBy: options.deletedBy || null
+        deletedBy
       }, 
-      options
+      updateOptions
     );
   }
 
   async findByIdAndRestore(modelName, id, options = {}) {
+    this._assertSoftDelete(modelName);
+
     return await this.findByIdAndUpdate(modelName, id, 
       { 
         deleted: false, 
         deletedAt: null,
         deletedBy: null
       }, 
+      { ...options, onlyDeleted: true }
+    );
+  }
+
+  async softDelete(modelName, filter, options = {}) {
+    this._assertSoftDelete(modelName);
+    const { deletedBy = null, ...updateOptions } = options;
+
+    const result = await this.update(modelName,
+      { ...filter, deleted: { $ne: true } },
+      { deleted: true, deletedAt: new Date(), deletedBy },
+      updateOptions
+    );
+
+    this._log(`🗑️ Soft deleted ${result.modifiedCount} ${modelName} documents`, { operation: 'softDelete', model: modelName, modified: result.modifiedCount });
+    return result;
+  }
+
+  async restore(modelName, filter, options = {}) {
+    this._assertSoftDelete(modelName);
+
+    const result = await this.update(modelName,
+      { ...filter, deleted: true },
+      { deleted: false, deletedAt: null, deletedBy: null },
       options
     );
+
+    this._log(`♻️ Restored ${result.modifiedCount} ${modelName} documents`, { operation: 'restore', model: modelName, modified: result.modifiedCount });
+    return result;
+  }
+
+  // Permanently removes documents soft-deleted longer than the retention window
+  async purgeDeleted(modelName, options = {}) {
+    const config = this._assertSoftDelete(modelName);
+    const retentionDays = options.retentionDays ?? config.retentionDays;
+
+    if (retentionDays == null) {
+      throw new Error(`No retention window for '${modelName}'. Pass { retentionDays } or set it in the softDelete option`);
+    }
+
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+    const result = await this.delete(modelName, { deleted: true, deletedAt: { $lt: cutoff } });
+
+    this._log(`🧹 Purged ${result.deletedCount} ${modelName} documents`, {
+      operation: 'purgeDeleted',
+      model: modelName,
+      deleted: result.deletedCount,
+      cutoff: cutoff.toISOString()
+    }, 'info');
+    return result;
+  }
+
+  /**
+   * Runs purgeDeleted() every `interval` ms for the given models (default: every
+   * soft-delete model with a retentionDays setting). Returns a function that stops the job.
+   */
+  startPurgeJob(options = {}) {
+    const interval = options.interval || 60 * 60 * 1000;
+    const modelNames = options.models || Array.from(this.models.keys()).filter(name => {
+      const config = this._getRegisteredModel(name).schema.get('softDelete');
+      return config && config.retentionDays != null;
+    });
+
+    const run = async () => {
+      for (const modelName of modelNames) {
+        try {
+          await this.purgeDeleted(modelName, { retentionDays: options.retentionDays });
+        } catch (error) {
+          this._error(`❌ Purge failed for ${modelName}`, { operation: 'purgeDeleted', model: modelName, error: error.message });
+        }
+      }
+    };
+
+    const timer = setInterval(run, interval);
+    if (timer.unref) timer.unref();
+    this._log(`⏱️ Purge job started for ${modelNames.join(', ') || 'no models'}`, { models: modelNames, interval });
+
+    return () => clearInterval(timer);
   }
 
   async findOneAndUpdate(modelName, filter, data, options = {}) {
@@ -841,7 +4488,7 @@ class UltraMongo {
       };
 
       const doc = await Model.findOneAndUpdate(filter, data, updateOptions);
-      this._log(`✅ Found and updated ${modelName}`);
+      this._log(`✅ Found and updated ${modelName}`, { operation: 'findOneAndUpdate', model: modelName, id: doc ? doc._id : null });
       return doc;
     } catch (error) {
       throw this._handleError(`findOneAndUpdate ${modelName}`, error);
@@ -857,7 +4504,7 @@ class UltraMongo {
       };
 
       const result = await Model.updateMany(filter, data, updateOptions);
-      this._log(`✅ Updated ${result.modifiedCount} ${modelName} documents`);
+      this._log(`✅ Updated ${result.modifiedCount} ${modelName} documents`, { operation: 'update', model: modelName, modified: result.modifiedCount });
       return result;
     } catch (error) {
       throw this._handleError(`update ${modelName}`, error);
@@ -868,7 +4515,7 @@ class UltraMongo {
     try {
       const Model = this._getModel(modelName);
       const doc = await Model.findOneAndDelete(filter, options);
-      this._log(`✅ Found and deleted ${modelName}`);
+      this._log(`✅ Found and deleted ${modelName}`, { operation: 'findOneAndDelete', model: modelName, id: doc ? doc._id : null });
       return doc;
     } catch (error) {
       throw this._handleError(`findOneAndDelete ${modelName}`, error);
@@ -879,7 +4526,7 @@ class UltraMongo {
     try {
       const Model = this._getModel(modelName);
       const result = await Model.deleteMany(filter, options);
-      this._log(`🗑️ Deleted ${result.deletedCount} ${modelName} documents`);
+      this._log(`🗑️ Deleted ${result.deletedCount} ${modelName} documents`, { operation: 'delete', model: modelName, deleted: result.deletedCount });
       return result;
     } catch (error) {
       throw this._handleError(`delete ${modelName}`, error);
@@ -889,8 +4536,13 @@ class UltraMongo {
   async bulkWrite(modelName, operations, options = {}) {
     try {
       const Model = this._getModel(modelName);
-      const result = await Model.bulkWrite(operations, options);
-      this._log(`📦 Bulk write completed for ${modelName}`);
+      const auditConfig = Model.schema.get('audit');
+      operations = await this._hashBulkPasswords(Model, operations);
+      const result = auditConfig
+        ? await this._auditedBulkWrite(Model, auditConfig, operations, options)
+        : await Model.bulkWrite(operations, options);
+      await this._invalidateModelCache(modelName);
+      this._log(`📦 Bulk write completed for ${modelName}`, { operation: 'bulkWrite', model: modelName, operations: operations.length });
       return result;
     } catch (error) {
       throw this._handleError(`bulkWrite ${modelName}`, error);
@@ -899,29 +4551,29 @@ class UltraMongo {
 
   // ==================== ADVANCED QUERY OPERATIONS ====================
 
-  async count(modelName, filter = {}) {
+  async count(modelName, filter = {}, options = {}) {
     try {
-      const Model = this._getModel(modelName);
-      return await Model.countDocuments(filter);
+      const query = this._readQuery(modelName, 'countDocuments', filter, options);
+      return await this._cachedRead(modelName, 'count', [filter], options, () => query.exec());
     } catch (error) {
       throw this._handleError(`count ${modelName}`, error);
     }
   }
 
-  async distinct(modelName, field, filter = {}) {
+  async distinct(modelName, field, filter = {}, options = {}) {
     try {
       const Model = this._getModel(modelName);
-      return await Model.distinct(field, filter);
+      const query = Model.distinct(field, filter).setOptions({ softDeleted: this._softDeleteScope(options) });
+      return await this._cachedRead(modelName, 'distinct', [field, filter], options, () => query.exec());
     } catch (error) {
       throw this._handleError(`distinct ${modelName}`, error);
     }
   }
 
-  async exists(modelName, filter) {
+  async exists(modelName, filter = {}, options = {}) {
     try {
-      const Model = this._getModel(modelName);
-      const doc = await Model.findOne(filter).select('_id').lean();
-      return !!doc;
+      const query = this._readQuery(modelName, 'findOne', filter, { ...options, select: '_id', lean: true });
+      return await this._cachedRead(modelName, 'exists', [filter], options, async () => !!(await query.exec()));
     } catch (error) {
       throw this._handleError(`check exists ${modelName}`, error);
     }
@@ -936,7 +4588,10 @@ class UltraMongo {
       if (options.readPreference) aggregation.read(options.readPreference);
       if (options.comment) aggregation.comment(options.comment);
 
-      return await aggregation.exec();
+      const scope = this._softDeleteScope(options);
+      if (scope) aggregation.option({ softDeleted: scope });
+
+      return await this._cachedRead(modelName, 'aggregate', [pipeline], options, () => aggregation.exec());
     } catch (error) {
       throw this._handleError(`aggregate ${modelName}`, error);
     }
@@ -944,13 +4599,14 @@ class UltraMongo {
 
   async textSearch(modelName, searchText, options = {}) {
     try {
-      const Model = this._getModel(modelName);
-      return await Model.find(
-        { $text: { $search: searchText } },
-        { score: { $meta: "textScore" } }
-      ).sort({ score: { $meta: "textScore" } })
-        .limit(options.limit || 10)
-        .skip(options.skip || 0);
+      if (options.cache) throw new Error('textSearch() results cannot be cached');
+      // trusted() keeps sanitizeFilter from wrapping the operator built here
+      const filter = { $text: mongoose.trusted({ $search: searchText }) };
+      return await this._readQuery(modelName, 'find', filter, {
+        ...options,
+        sort: options.sort || { score: { $meta: 'textScore' } },
+        limit: options.limit || 10
+      }).select({ score: { $meta: 'textScore' } });
     } catch (error) {
       throw this._handleError(`textSearch ${modelName}`, error);
     }
@@ -958,15 +4614,16 @@ class UltraMongo {
 
   async near(modelName, locationField, coordinates, maxDistance, options = {}) {
     try {
-      const Model = this._getModel(modelName);
-      return await Model.find({
-        [locationField]: {
+      if (options.cache) throw new Error('near() results cannot be cached');
+      const filter = {
+        [locationField]: mongoose.trusted({
           $near: {
-            $geometry: { type: "Point", coordinates },
+            $geometry: { type: 'Point', coordinates },
             $maxDistance: maxDistance
           }
-        }
-      }).limit(options.limit || 10);
+        })
+      };
+      return await this._readQuery(modelName, 'find', filter, { ...options, limit: options.limit || 10 });
     } catch (error) {
       throw this._handleError(`near ${modelName}`, error);
     }
@@ -974,55 +4631,261 @@ class UltraMongo {
 
   async paginate(modelName, filter = {}, options = {}) {
     try {
-      const Model = this._getModel(modelName);
       const page = options.page || 1;
       const limit = options.limit || 10;
       const skip = (page - 1) * limit;
+      const findOptions = { ...options, sort: options.sort || { createdAt: -1 }, skip, limit };
+
+      return await this._cachedRead(modelName, 'paginate', [filter], options, async () => {
+        const [docs, total] = await Promise.all([
+          this._readQuery(modelName, 'find', filter, findOptions),
+          this._readQuery(modelName, 'countDocuments', filter, options)
+        ]);
+
+        return {
+          docs,
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit),
+          hasNext: page < Math.ceil(total / limit),
+          hasPrev: page > 1
+        };
+      });
+    } catch (error) {
+      throw this._handleError(`paginate ${modelName}`, error);
+    }
+  }
+
+  /**
+   * Keyset pagination. Cursors encode the sort key values of the first/last document
+   * plus _id and are HMAC-signed, so clients cannot forge or edit them.
+   */
+  async paginateCursor(modelName, filter = {}, options = {}) {
+    const limit = options.limit || 10;
+    const sort = this._normalizeCursorSort(options.sort || { createdAt: -1 });
+    const signature = sort.map(([field, direction]) => `${field}:${direction}`).join(',');
+    const backwards = !!options.before;
+    const token = options.before || options.after;
+
+    try {
+      if (options.cache) throw new Error('paginateCursor() results cannot be cached');
+      if (options.skip !== undefined) throw new Error('paginateCursor() pages with after and before, skip is not supported');
+
+      const position = token ? this._decodeCursor(token, signature) : null;
+      const querySort = backwards ? sort.map(([field, direction]) => [field, -direction]) : sort;
+      const conditions = position ? { $and: [filter, this._keysetFilter(querySort, position)] } : filter;
+      const query = this._readQuery(modelName, 'find', conditions, {
+        ...options,
+        sort: Object.fromEntries(querySort),
+        limit: limit + 1
+      });
 
       const [docs, total] = await Promise.all([
-        Model.find(filter)
-          .sort(options.sort || { createdAt: -1 })
-          .skip(skip)
-          .limit(limit)
-          .populate(options.populate || '')
-          .lean(options.lean || false),
-        Model.countDocuments(filter)
+        query.exec(),
+        options.withTotal ? this._readQuery(modelName, 'countDocuments', filter, options).exec() : undefined
       ]);
 
+      const hasMore = docs.length > limit;
+      if (hasMore) docs.pop();
+      if (backwards) docs.reverse();
+
+      const hasNext = backwards ? !!token : hasMore;
+      const hasPrev = backwards ? hasMore : !!token;
+
       return {
         docs,
-        total,
-        page,
         limit,
-        pages: Math.ceil(total / limit),
-        hasNext: page < Math.ceil(total / limit),
-        hasPrev: page > 1
+        ...(options.withTotal ? { total } : {}),
+        hasNext,
+        hasPrev,
+        nextCursor: hasNext && docs.length ? this._encodeCursor(docs[docs.length - 1], sort, signature) : null,
+        prevCursor: hasPrev && docs.length ? this._encodeCursor(docs[0], sort, signature) : null
       };
     } catch (error) {
-      throw this._handleError(`paginate ${modelName}`, error);
+      throw this._handleError(`paginate ${modelName} by cursor`, error);
+    }
+  }
+
+  setCursorSecret(secret) {
+    this.cursorSecret = secret;
+    this._log('🔑 Cursor secret updated');
+  }
+
+  // Accepts { a: -1, b: 'asc' }, '-a b' or [['a', -1]]; always ends with _id as tiebreaker
+  _normalizeCursorSort(sort) {
+    let entries;
+    if (typeof sort === 'string') {
+      entries = sort.split(/\s+/).filter(Boolean).map(field => (
+        field.startsWith('-') ? [field.slice(1), -1] : [field.replace(/^\+/, ''), 1]
+      ));
+    } else {
+      entries = Array.isArray(sort) ? sort : Object.entries(sort);
+    }
+
+    const normalized = entries.map(([field, direction]) => (
+      [field, direction === -1 || direction === '-1' || /^desc/i.test(String(direction)) ? -1 : 1]
+    ));
+
+    if (!normalized.some(([field]) => field === '_id')) {
+      normalized.push(['_id', normalized.length ? normalized[normalized.length - 1][1] : 1]);
+    }
+    return normalized;
+  }
+
+  // (a > x) OR (a = x AND b > y) OR ... with $lt for descending fields.
+  // Null and missing values sort before everything else, as MongoDB orders them.
+  // Operators are trusted() so a sanitizeFilter option only applies to the caller's filter.
+  _keysetFilter(sort, position) {
+    const branches = [];
+
+    sort.forEach(([field, direction], index) => {
+      const value = position[field];
+      const condition = {};
+      sort.slice(0, index).forEach(([previous]) => {
+        condition[previous] = position[previous];
+      });
+
+      if (value === null) {
+        // Nothing sorts below null, so a descending page has nothing further on this field
+        if (direction === -1) return;
+        condition[field] = mongoose.trusted({ $ne: null });
+      } else if (direction === 1) {
+        condition[field] = mongoose.trusted({ $gt: value });
+      } else {
+        condition.$or = [{ [field]: mongoose.trusted({ $lt: value }) }, { [field]: null }];
+      }
+      branches.push(condition);
+    });
+
+    return { $or: branches };
+  }
+
+  _encodeCursor(doc, sort, signature) {
+    const values = {};
+    for (const [field] of sort) {
+      const value = getPathValue(doc, field);
+      if (value === undefined && typeof doc.isSelected === 'function' && !doc.isSelected(field)) {
+        throw new Error(`Cannot build cursor: '${field}' is missing from the results (is it selected?)`);
+      }
+      values[field] = value === undefined ? null : this._encodeCursorValue(value);
+    }
+
+    const payload = toBase64Url(Buffer.from(JSON.stringify({ s: signature, v: values })));
+    return `${payload}.${this._signCursor(payload)}`;
+  }
+
+  _decodeCursor(token, signature) {
+    const [payload, mac] = String(token).split('.');
+    const expected = payload ? this._signCursor(payload) : '';
+
+    if (!mac || mac.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(mac), Buffer.from(expected))) {
+      throw invalidRequest('Invalid pagination cursor');
+    }
+
+    let decoded;
+    try {
+      decoded = JSON.parse(fromBase64Url(payload).toString('utf8'));
+    } catch (error) {
+      throw invalidRequest('Invalid pagination cursor');
+    }
+    if (!isPlainObject(decoded) || !isPlainObject(decoded.v)) {
+      throw invalidRequest('Invalid pagination cursor');
+    }
+    if (decoded.s !== signature) {
+      throw invalidRequest('Pagination cursor does not match the requested sort');
+    }
+
+    const position = {};
+    for (const [field, value] of Object.entries(decoded.v)) {
+      position[field] = this._decodeCursorValue(value);
+    }
+    return position;
+  }
+
+  _signCursor(payload) {
+    if (!this.cursorSecret) {
+      this.cursorSecret = crypto.randomBytes(32);
+      this._log('⚠️ No cursor secret set: using a random one, so cursors stop working after a restart and across instances. Call setCursorSecret()', {
+        operation: 'paginateCursor'
+      }, 'warn');
+    }
+    return toBase64Url(crypto.createHmac('sha256', this.cursorSecret).update(payload).digest());
+  }
+
+  _encodeCursorValue(value) {
+    if (value instanceof Date) return { $date: value.toISOString() };
+    if (value && value._bsontype === 'ObjectId') return { $oid: value.toString() };
+    if (value && value._bsontype === 'Decimal128') return { $numberDecimal: value.toString() };
+    return value;
+  }
+
+  _decodeCursorValue(value) {
+    if (value && value.$date) return new Date(value.$date);
+    if (value && value.$oid) return new mongoose.Types.ObjectId(value.$oid);
+    if (value && value.$numberDecimal) return mongoose.Types.Decimal128.fromString(value.$numberDecimal);
+    return value;
+  }
+
+  // ==================== QUERY BUILDER ====================
+
+  from(modelName) {
+    this._getRegisteredModel(modelName);
+    return new QueryBuilder(this, modelName);
+  }
+
+  // Builds the query behind every read helper so they all accept the same options
+  _readQuery(modelName, operation, filter, options) {
+    const Model = this._getModel(modelName);
+    const keys = operation === 'countDocuments' ? COUNT_QUERY_OPTIONS : Object.keys(QUERY_OPTIONS);
+    let query = Model[operation](filter);
+
+    for (const key of keys) {
+      if (options[key] === undefined) continue;
+      // Queries have no sanitizeFilter() method, it is a mongoose option
+      query = key === 'sanitizeFilter'
+        ? query.setOptions({ sanitizeFilter: options[key] })
+        : query[QUERY_OPTIONS[key]](options[key]);
     }
+
+    const scope = this._softDeleteScope(options);
+    if (scope) query = query.setOptions({ softDeleted: scope });
+    if (options.include && operation !== 'countDocuments') query = query.populate(this._includePopulate(Model, options.include));
+
+    return query;
   }
 
   // ==================== TRANSACTIONS & SESSIONS ====================
 
-  async startSession() {
+  async startSession(options = {}) {
+    if (options.connection) {
+      return await this.getConnection(options.connection).startSession();
+    }
     if (!this.isConnected) {
-      throw new Error('Not connected to database');
+      throw new ConnectionError('Not connected to database');
     }
     return await mongoose.startSession();
   }
 
   async withTransaction(callback, options = {}) {
-    const session = await this.startSession();
+    const session = await this.startSession(options);
+    const started = Date.now();
     try {
       session.startTransaction();
       const result = await callback(session);
       await session.commitTransaction();
-      this._log('✅ Transaction committed');
+      this._log('✅ Transaction committed', { operation: 'transaction', duration: Date.now() - started });
       return result;
     } catch (error) {
-      await session.abortTransaction();
-      this._error('❌ Transaction aborted:', error.message);
+      if (session.inTransaction()) await session.abortTransaction();
+      this._log('❌ Transaction aborted', { operation: 'transaction', duration: Date.now() - started, error: error.message });
+
+      // Driver failures (write conflicts, commit errors) become TransactionError. Typed errors
+      // such as DuplicateKeyError and errors thrown by the callback itself pass through.
+      const cause = error instanceof EasyMongooError && error.code === 'DATABASE_ERROR' ? error.originalError : error;
+      if (cause instanceof mongoose.mongo.MongoError) {
+        throw new TransactionError(`Transaction failed: ${cause.message}`, cause);
+      }
       throw error;
     } finally {
       session.endSession();
@@ -1034,15 +4897,41 @@ class UltraMongo {
       try {
         return await this.withTransaction(callback);
       } catch (error) {
-        if (attempt === maxRetries || !error.writeConcernError) {
+        const retryable = error instanceof TransactionError
+          && (error.transient || !!error.originalError.writeConcernError);
+        if (attempt === maxRetries || !retryable) {
           throw error;
         }
-        this._log(`🔄 Transaction retry attempt ${attempt}/${maxRetries}`);
+        this._log(`🔄 Transaction retry attempt ${attempt}/${maxRetries}`, { operation: 'transaction', attempt, error: error.message }, 'warn');
         await new Promise(resolve => setTimeout(resolve, 100 * attempt));
       }
     }
   }
 
+  // ==================== CHANGE STREAMS ====================
+
+  /**
+   * Calls `handler(event)` for every insert, update and delete of documents matching `filter`.
+   * Options: events, fullDocument, resumeKey, tokenCollection, polling ('auto' | true | false),
+   * pollInterval, batchSize, hydrate, retry. Resolves with a Watcher; call close() to stop.
+   */
+  async watch(modelName, filter = {}, handler = null, options = {}) {
+    if (typeof filter === 'function') {
+      return await this.watch(modelName, {}, filter, handler || {});
+    }
+
+    const watcher = new Watcher(this, modelName, filter, handler, options);
+    try {
+      await watcher.start();
+    } catch (error) {
+      await watcher.close();
+      throw this._handleError(`watch ${modelName}`, error);
+    }
+
+    this.watchers.add(watcher);
+    return watcher;
+  }
+
   // ==================== SCHEMA EXTENSIONS ====================
 
   virtual(modelName, field, getter = null, setter = null) {
@@ -1069,93 +4958,369 @@ class UltraMongo {
     const schema = this.schemas.get(modelName);
     if (!schema) throw new Error(`Model '${modelName}' not found`);
 
-    schema.methods[name] = method;
-    this._log(`🎯 Instance method '${name}' added to ${modelName}`);
+    schema.methods[name] = method;
+    this._log(`🎯 Instance method '${name}' added to ${modelName}`);
+  }
+
+  query(modelName, name, helper) {
+    const schema = this.schemas.get(modelName);
+    if (!schema) throw new Error(`Model '${modelName}' not found`);
+
+    schema.query[name] = helper;
+    this._log(`🔍 Query helper '${name}' added to ${modelName}`);
+  }
+
+  pre(modelName, hook, callback) {
+    const schema = this.schemas.get(modelName);
+    if (!schema) throw new Error(`Model '${modelName}' not found`);
+
+    schema.pre(hook, callback);
+    this._log(`⏰ Pre-hook '${hook}' added to ${modelName}`);
+  }
+
+  post(modelName, hook, callback) {
+    const schema = this.schemas.get(modelName);
+    if (!schema) throw new Error(`Model '${modelName}' not found`);
+
+    schema.post(hook, callback);
+    this._log(`📨 Post-hook '${hook}' added to ${modelName}`);
+  }
+
+  plugin(modelName, plugin, options = {}) {
+    const schema = this.schemas.get(modelName);
+    if (!schema) throw new Error(`Model '${modelName}' not found`);
+
+    schema.plugin(plugin, options);
+    this._log(`🔌 Plugin added to ${modelName}`);
+  }
+
+  globalPlugin(plugin, options = {}) {
+    this.globalPlugins.push({ fn: plugin, options });
+    this._log(`🌍 Global plugin added`);
+  }
+
+  async createIndex(modelName, index, options = {}) {
+    const Model = this._getModel(modelName);
+    try {
+      await Model.createIndexes(index, options);
+      this._log(`📊 Index created for ${modelName}`, { operation: 'createIndex', model: modelName });
+    } catch (error) {
+      throw this._handleError(`create index for ${modelName}`, error);
+    }
+  }
+
+  async syncIndexes(modelName, options = {}) {
+    const Model = this._getModel(modelName);
+    try {
+      const { dryRun, ...syncOptions } = options;
+      const { toCreate, toDrop } = await Model.diffIndexes();
+
+      this._log(`📊 Index diff for ${modelName}`, { operation: 'syncIndexes', model: modelName, toCreate, toDrop });
+      if (dryRun) return { toCreate, toDrop, dropped: [], applied: false };
+
+      const dropped = await Model.syncIndexes(syncOptions);
+      this._log(`🔄 Indexes synced for ${modelName}`, { operation: 'syncIndexes', model: modelName, dropped }, 'info');
+      return { toCreate, toDrop, dropped, applied: true };
+    } catch (error) {
+      throw this._handleError(`sync indexes for ${modelName}`, error);
+    }
+  }
+
+  // ==================== DATA MIGRATION & UTILITIES ====================
+
+  // Walks documents in _id order; `after` resumes past an _id and `onCheckpoint(lastId, processed)`
+  // is called after every batch
+  async migrate(modelName, migrationFn, options = {}) {
+    try {
+      const Model = this._getModel(modelName);
+      const batchSize = options.batchSize || 100;
+      const filter = options.after
+        ? { $and: [options.filter || {}, { _id: { $gt: options.after } }] }
+        : (options.filter || {});
+      let processed = 0;
+      let lastId = null;
+      const started = Date.now();
+
+      const cursor = Model.find(filter)
+        .sort({ _id: 1 })
+        .setOptions({ softDeleted: this._softDeleteScope(options) })
+        .cursor();
+
+      for (let doc = await cursor.next(); doc != null; doc = await cursor.next()) {
+        await migrationFn(doc);
+        processed++;
+        lastId = doc._id;
+
+        if (processed % batchSize === 0) {
+          this._log(`🔄 Migrated ${processed} documents in ${modelName}`, { operation: 'migrate', model: modelName, processed, id: lastId });
+          if (options.onCheckpoint) await options.onCheckpoint(lastId, processed);
+        }
+      }
+
+      if (options.onCheckpoint && processed % batchSize !== 0) {
+        await options.onCheckpoint(lastId, processed);
+      }
+
+      this._log(`✅ Migration completed for ${modelName}`, { operation: 'migrate', model: modelName, processed, duration: Date.now() - started }, 'info');
+      return processed;
+    } catch (error) {
+      throw this._handleError(`migrate ${modelName}`, error);
+    }
+  }
+
+  // ==================== VERSIONED MIGRATIONS ====================
+
+  /**
+   * Registers a named migration. Migrations run in name order, so prefix names
+   * with a number or timestamp ('001-add-slugs').
+   *
+   *   { name, up(db), down(db) }                                    runs once
+   *   { name, model, filter, downFilter, batchSize, up(doc, db), down(doc, db) }  runs per document,
+   *                                                                 checkpointed by _id so it can resume
+   */
+  addMigration(migration) {
+    if (!migration || !migration.name || typeof migration.up !== 'function') {
+      throw new Error('A migration needs a name and an up() function');
+    }
+    if (this.migrations.has(migration.name)) {
+      throw new Error(`Migration '${migration.name}' already exists`);
+    }
+
+    this.migrations.set(migration.name, migration);
+    this._log(`🧭 Migration '${migration.name}' registered`);
+  }
+
+  async migrateUp(options = {}) {
+    const collection = this._migrationCollection(options);
+    const records = await this._migrationRecords(collection);
+
+    let pending = this._sortedMigrations().filter(migration => {
+      const record = records.get(migration.name);
+      return !record || record.status !== 'applied';
+    });
+
+    if (options.to) {
+      const index = pending.findIndex(migration => migration.name === options.to);
+      if (index === -1) throw new Error(`Migration '${options.to}' is not pending`);
+      pending = pending.slice(0, index + 1);
+    }
+
+    if (options.dryRun) {
+      return { dryRun: true, pending: await this._migrationPlan(pending, records, 'up') };
+    }
+
+    return await this._runMigrations(collection, pending, records, 'up', options);
+  }
+
+  async migrateRollback(options = {}) {
+    const collection = this._migrationCollection(options);
+    const records = await this._migrationRecords(collection);
+
+    // Applied migrations plus any rollback that was interrupted, newest first
+    const candidates = this._sortedMigrations().reverse().filter(migration => {
+      const record = records.get(migration.name);
+      return record && (record.status === 'applied' || (record.direction === 'down' && record.status !== 'rolledBack'));
+    });
+
+    let selected;
+    if (options.to) {
+      const index = candidates.findIndex(migration => migration.name === options.to);
+      if (index === -1) throw new Error(`Migration '${options.to}' is not applied`);
+      selected = candidates.slice(0, index);
+    } else {
+      selected = candidates.slice(0, options.steps || 1);
+    }
+
+    const missingDown = selected.find(migration => typeof migration.down !== 'function');
+    if (missingDown) throw new Error(`Migration '${missingDown.name}' has no down() function`);
+
+    if (options.dryRun) {
+      return { dryRun: true, pending: await this._migrationPlan(selected, records, 'down') };
+    }
+
+    return await this._runMigrations(collection, selected, records, 'down', options);
   }
 
-  query(modelName, name, helper) {
-    const schema = this.schemas.get(modelName);
-    if (!schema) throw new Error(`Model '${modelName}' not found`);
+  async migrateStatus(options = {}) {
+    const records = await this._migrationRecords(this._migrationCollection(options));
+    const status = this._sortedMigrations().map(migration => {
+      const record = records.get(migration.name) || {};
+      return {
+        name: migration.name,
+        model: migration.model || null,
+        status: record.status || 'pending',
+        processed: record.processed || 0,
+        checkpoint: record.checkpoint || null,
+        startedAt: record.startedAt || null,
+        finishedAt: record.finishedAt || null,
+        error: record.error || null
+      };
+    });
 
-    schema.query[name] = helper;
-    this._log(`🔍 Query helper '${name}' added to ${modelName}`);
+    // Recorded in the database but no longer registered in code
+    for (const [name, record] of records) {
+      if (!this.migrations.has(name)) {
+        status.push({ ...record, name, model: null, missing: true });
+      }
+    }
+
+    return status;
   }
 
-  pre(modelName, hook, callback) {
-    const schema = this.schemas.get(modelName);
-    if (!schema) throw new Error(`Model '${modelName}' not found`);
+  _sortedMigrations() {
+    return Array.from(this.migrations.values())
+      .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+  }
 
-    schema.pre(hook, callback);
-    this._log(`⏰ Pre-hook '${hook}' added to ${modelName}`);
+  _migrationCollection(options) {
+    return this.getConnection(options.connection).collection(options.collection || '_migrations');
   }
 
-  post(modelName, hook, callback) {
-    const schema = this.schemas.get(modelName);
-    if (!schema) throw new Error(`Model '${modelName}' not found`);
+  async _migrationRecords(collection) {
+    const records = await collection.find({ _id: { $ne: MIGRATION_LOCK_ID } }).toArray();
+    return new Map(records.map(({ _id, ...record }) => [_id, record]));
+  }
 
-    schema.post(hook, callback);
-    this._log(`📨 Post-hook '${hook}' added to ${modelName}`);
+  // Interrupted runs in the same direction continue from their checkpoint
+  _resumePoint(record, direction) {
+    if (!record || record.direction !== direction) return null;
+    if (record.status === 'applied' || record.status === 'rolledBack') return null;
+    return record.checkpoint ? { checkpoint: record.checkpoint, processed: record.processed || 0 } : null;
   }
 
-  plugin(modelName, plugin, options = {}) {
-    const schema = this.schemas.get(modelName);
-    if (!schema) throw new Error(`Model '${modelName}' not found`);
+  async _migrationPlan(migrations, records, direction) {
+    const plan = [];
 
-    schema.plugin(plugin, options);
-    this._log(`🔌 Plugin added to ${modelName}`);
-  }
+    for (const migration of migrations) {
+      const resume = this._resumePoint(records.get(migration.name), direction);
+      const step = { name: migration.name, model: migration.model || null, resumeFrom: resume ? resume.checkpoint : null };
 
-  globalPlugin(plugin, options = {}) {
-    this.globalPlugins.push({ fn: plugin, options });
-    this._log(`🌍 Global plugin added`);
-  }
+      if (migration.model) {
+        const filter = (direction === 'up' ? migration.filter : migration.downFilter) || {};
+        const scoped = resume ? { $and: [filter, { _id: { $gt: resume.checkpoint } }] } : filter;
+        step.documents = await this.count(migration.model, scoped, { withDeleted: true });
+      }
 
-  async createIndex(modelName, index, options = {}) {
-    const Model = this._getModel(modelName);
-    try {
-      await Model.createIndexes(index, options);
-      this._log(`📊 Index created for ${modelName}`);
-    } catch (error) {
-      throw this._handleError(`create index for ${modelName}`, error);
+      plan.push(step);
     }
+
+    return plan;
   }
 
-  async syncIndexes(modelName) {
-    const Model = this._getModel(modelName);
+  async _runMigrations(collection, migrations, records, direction, options) {
+    const run = { collection, owner: await this._acquireMigrationLock(collection, options), lockTtl: options.lockTtl || 10 * 60 * 1000 };
+    const completed = [];
+
+    // Keeps the lock alive however long a single migration runs
+    const heartbeat = setInterval(() => {
+      this._refreshMigrationLock(run).catch(error => {
+        this._log('⚠️ Could not refresh the migration lock', { operation: 'migrate', error: error.message }, 'warn');
+      });
+    }, Math.max(run.lockTtl / 3, 10));
+    heartbeat.unref();
+
     try {
-      await Model.syncIndexes();
-      this._log(`🔄 Indexes synced for ${modelName}`);
-    } catch (error) {
-      throw this._handleError(`sync indexes for ${modelName}`, error);
+      for (const migration of migrations) {
+        await this._refreshMigrationLock(run);
+        await this._runMigration(run, migration, direction, records.get(migration.name), options);
+        completed.push(migration.name);
+      }
+    } finally {
+      clearInterval(heartbeat);
+      await collection.deleteOne({ _id: MIGRATION_LOCK_ID, owner: run.owner });
     }
+
+    return direction === 'up' ? { applied: completed } : { rolledBack: completed };
   }
 
-  // ==================== DATA MIGRATION & UTILITIES ====================
+  async _runMigration(run, migration, direction, record, options) {
+    const { collection } = run;
+    const name = migration.name;
+    const resume = this._resumePoint(record, direction);
+    let processed = resume ? resume.processed : 0;
+    const started = Date.now();
+
+    this._log(`🧭 ${direction === 'up' ? 'Applying' : 'Rolling back'} migration '${name}'${resume ? ' (resuming)' : ''}`, {
+      operation: direction === 'up' ? 'migrateUp' : 'migrateRollback',
+      migration: name
+    }, 'info');
+
+    await collection.updateOne({ _id: name }, {
+      $set: {
+        status: direction === 'up' ? 'running' : 'rollingBack',
+        direction,
+        startedAt: resume ? record.startedAt : new Date(),
+        finishedAt: null,
+        error: null,
+        ...(resume ? {} : { checkpoint: null, processed: 0 })
+      }
+    }, { upsert: true });
 
-  async migrate(modelName, migrationFn, options = {}) {
     try {
-      const Model = this._getModel(modelName);
-      const batchSize = options.batchSize || 100;
-      let processed = 0;
-
-      const cursor = Model.find(options.filter || {}).cursor();
-
-      for (let doc = await cursor.next(); doc != null; doc = await cursor.next()) {
-        await migrationFn(doc);
-        processed++;
+      const fn = migration[direction];
+
+      if (migration.model) {
+        const count = await this.migrate(migration.model, doc => fn(doc, this), {
+          filter: (direction === 'up' ? migration.filter : migration.downFilter) || {},
+          batchSize: migration.batchSize || options.batchSize,
+          after: resume ? resume.checkpoint : null,
+          withDeleted: true,
+          onCheckpoint: async (lastId, done) => {
+            await collection.updateOne({ _id: name }, { $set: { checkpoint: lastId, processed: processed + done } });
+          }
+        });
+        processed += count;
+      } else {
+        await fn(this);
+      }
 
-        if (processed % batchSize === 0) {
-          this._log(`🔄 Migrated ${processed} documents in ${modelName}`);
+      await collection.updateOne({ _id: name }, {
+        $set: {
+          status: direction === 'up' ? 'applied' : 'rolledBack',
+          checkpoint: null,
+          processed,
+          finishedAt: new Date()
         }
-      }
+      });
+      this._log(`✅ Migration '${name}' ${direction === 'up' ? 'applied' : 'rolled back'}`, {
+        operation: direction === 'up' ? 'migrateUp' : 'migrateRollback',
+        migration: name,
+        processed,
+        duration: Date.now() - started
+      }, 'info');
+    } catch (error) {
+      await collection.updateOne({ _id: name }, { $set: { status: 'failed', error: error.message } });
+      throw this._handleError(`run migration ${name}`, error);
+    }
+  }
 
-      this._log(`✅ Migration completed for ${modelName}: ${processed} documents processed`);
-      return processed;
+  // One runner at a time: upserting the lock document fails with a duplicate key while it is held
+  async _acquireMigrationLock(collection, options) {
+    const owner = `${process.pid}-${crypto.randomBytes(6).toString('hex')}`;
+    const expiresAt = new Date(Date.now() + (options.lockTtl || 10 * 60 * 1000));
+
+    try {
+      await collection.updateOne(
+        { _id: MIGRATION_LOCK_ID, expiresAt: { $lt: new Date() } },
+        { $set: { owner, expiresAt } },
+        { upsert: true }
+      );
     } catch (error) {
-      throw this._handleError(`migrate ${modelName}`, error);
+      if (error.code === 11000) throw new Error('Migrations are locked by another process');
+      throw error;
     }
+
+    return owner;
+  }
+
+  async _refreshMigrationLock(run) {
+    await run.collection.updateOne(
+      { _id: MIGRATION_LOCK_ID, owner: run.owner },
+      { $set: { expiresAt: new Date(Date.now() + run.lockTtl) } }
+    );
   }
 
+  // `data` is an array of documents, or a count of documents to generate with factory(modelName)
   async seed(modelName, data, options = {}) {
     try {
       const Model = this._getModel(modelName);
@@ -1163,11 +5328,17 @@ class UltraMongo {
 
       if (clearFirst) {
         await Model.deleteMany({});
-        this._log(`🧹 Cleared existing ${modelName} data`);
+        this._log(`🧹 Cleared existing ${modelName} data`, { operation: 'seed', model: modelName });
+      }
+
+      if (typeof data === 'number') {
+        const docs = await this.factory(modelName).create(data);
+        this._log(`🌱 Seeded ${docs.length} ${modelName} documents`, { operation: 'seed', model: modelName, count: docs.length });
+        return docs;
       }
 
       const result = await Model.insertMany(data, { ordered: false });
-      this._log(`🌱 Seeded ${result.length} ${modelName} documents`);
+      this._log(`🌱 Seeded ${result.length} ${modelName} documents`, { operation: 'seed', model: modelName, count: result.length });
       return result;
     } catch (error) {
       throw this._handleError(`seed ${modelName}`, error);
@@ -1194,13 +5365,223 @@ class UltraMongo {
         ...options
       });
 
-      this._log(`📥 Imported ${result.length} ${modelName} documents`);
+      this._log(`📥 Imported ${result.length} ${modelName} documents`, { operation: 'importData', model: modelName, count: result.length });
       return result;
     } catch (error) {
       throw this._handleError(`import ${modelName}`, error);
     }
   }
 
+  // ==================== FACTORIES ====================
+
+  /**
+   * Returns the factory registered for a model, creating a schema-only one on first use.
+   * Passing a definition (per-field values) or options ({ seed }) registers a new factory.
+   */
+  factory(modelName, definition, options) {
+    this._getRegisteredModel(modelName);
+
+    if (definition === undefined && options === undefined && this.factories.has(modelName)) {
+      return this.factories.get(modelName);
+    }
+
+    const factory = new Factory(this, modelName, definition || {}, options || {});
+    this.factories.set(modelName, factory);
+    return factory;
+  }
+
+  // ==================== STREAMING EXPORT & IMPORT ====================
+
+  /**
+   * Streams a collection to a file path or writable stream.
+   * Formats: 'ndjson' (plain JSON lines), 'ejson' (Extended JSON lines, keeps ObjectId/Date/Decimal128)
+   * and 'csv' (`columns`: array of paths or { header: path }).
+   */
+  async exportDataStream(modelName, destination, options = {}) {
+    try {
+      const Model = this._getModel(modelName);
+      const format = options.format || 'ndjson';
+      if (!['ndjson', 'ejson', 'csv'].includes(format)) {
+        throw new Error(`Unsupported export format '${format}'. Use ndjson, ejson or csv`);
+      }
+
+      const columns = format === 'csv' ? this._csvColumns(Model, options.columns) : null;
+      const started = Date.now();
+      const output = typeof destination === 'string' ? fs.createWriteStream(destination) : destination;
+
+      let query = Model.find(options.filter || {}).lean();
+      if (options.fields) query = query.select(options.fields);
+      if (options.sort) query = query.sort(options.sort);
+
+      const cursor = query.cursor({ batchSize: options.batchSize || 500 });
+      let exported = 0;
+
+      const lines = async function* () {
+        if (columns) yield `${columns.map(([header]) => csvEscape(header)).join(',')}\n`;
+
+        for await (const doc of cursor) {
+          exported++;
+          if (columns) {
+            yield `${columns.map(([, path]) => csvEscape(getPathValue(doc, path))).join(',')}\n`;
+          } else if (format === 'ejson') {
+            yield `${EJSON.stringify(doc, { relaxed: true })}\n`;
+          } else {
+            yield `${JSON.stringify(doc)}\n`;
+          }
+        }
+      };
+
+      await pipeline(stream.Readable.from(lines()), output);
+
+      this._log(`📤 Exported ${exported} ${modelName} documents as ${format}`, {
+        operation: 'exportDataStream',
+        model: modelName,
+        count: exported,
+        duration: Date.now() - started
+      });
+      return { exported, format };
+    } catch (error) {
+      throw this._handleError(`export ${modelName}`, error);
+    }
+  }
+
+  /**
+   * Streams documents from a file path or readable stream into a model in batches.
+   * Invalid rows are collected in `errors` ({ row, error }) instead of aborting the import.
+   */
+  async importDataStream(modelName, source, options = {}) {
+    const Model = this._getModel(modelName);
+    const format = options.format || 'ndjson';
+    const batchSize = options.batchSize || 500;
+    const input = typeof source === 'string' ? fs.createReadStream(source) : source;
+    const stats = { processed: 0, inserted: 0, failed: 0, errors: [] };
+    const started = Date.now();
+    let batch = [];
+
+    if (!['ndjson', 'ejson', 'csv'].includes(format)) {
+      throw new Error(`Unsupported import format '${format}'. Use ndjson, ejson or csv`);
+    }
+
+    const fail = (row, error) => {
+      stats.failed++;
+      stats.errors.push({ row, error: error.message || String(error) });
+    };
+
+    const flush = async () => {
+      if (batch.length === 0) return;
+      const pending = batch;
+      batch = [];
+
+      const valid = [];
+      for (const { row, data } of pending) {
+        try {
+          const doc = new Model(data);
+          await doc.validate();
+          valid.push({ row, doc });
+        } catch (error) {
+          fail(row, error);
+        }
+      }
+
+      if (valid.length > 0) {
+        try {
+          await Model.insertMany(valid.map(item => item.doc), { ordered: false });
+          stats.inserted += valid.length;
+        } catch (error) {
+          const writeErrors = error.writeErrors || [];
+          if (writeErrors.length === 0) throw error;
+
+          writeErrors.forEach(writeError => {
+            const item = valid[writeError.index];
+            fail(item ? item.row : null, { message: writeError.errmsg || writeError.message });
+          });
+          stats.inserted += valid.length - writeErrors.length;
+        }
+      }
+
+      if (options.onProgress) {
+        options.onProgress({ processed: stats.processed, inserted: stats.inserted, failed: stats.failed });
+      }
+    };
+
+    try {
+      for await (const { row, data, error } of this._importRecords(input, format, options.columns)) {
+        stats.processed++;
+        if (error) fail(row, error);
+        else batch.push({ row, data });
+
+        if (batch.length >= batchSize) await flush();
+      }
+      await flush();
+
+      this._log(`📥 Imported ${stats.inserted}/${stats.processed} ${modelName} documents (${stats.failed} failed)`, {
+        operation: 'importDataStream',
+        model: modelName,
+        processed: stats.processed,
+        inserted: stats.inserted,
+        failed: stats.failed,
+        duration: Date.now() - started
+      });
+      return stats;
+    } catch (error) {
+      throw this._handleError(`import ${modelName}`, error);
+    }
+  }
+
+  async* _importRecords(input, format, columns) {
+    if (format === 'csv') {
+      let headers = null;
+      let row = 0;
+
+      for await (const cells of parseCsv(input)) {
+        row++;
+        if (!headers) {
+          headers = cells.map(header => header.trim());
+          continue;
+        }
+        if (cells.length === 1 && cells[0] === '') continue;
+
+        const data = {};
+        headers.forEach((header, index) => {
+          const path = columns ? this._csvColumnPath(columns, header) : header;
+          if (path && cells[index] !== undefined && cells[index] !== '') setPathValue(data, path, cells[index]);
+        });
+        yield { row, data };
+      }
+      return;
+    }
+
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    let row = 0;
+
+    for await (const line of lines) {
+      row++;
+      if (!line.trim()) continue;
+
+      try {
+        const data = format === 'ejson' ? EJSON.parse(line, { relaxed: true }) : JSON.parse(line);
+        yield { row, data };
+      } catch (error) {
+        yield { row, error: new Error(`Invalid JSON on line ${row}: ${error.message}`) };
+      }
+    }
+  }
+
+  // [[header, path], ...] from an array of paths, a { header: path } map or the schema
+  _csvColumns(Model, columns) {
+    if (Array.isArray(columns)) return columns.map(path => [path, path]);
+    if (columns) return Object.entries(columns);
+
+    return Object.keys(Model.schema.paths)
+      .filter(path => path !== '__v')
+      .map(path => [path, path]);
+  }
+
+  _csvColumnPath(columns, header) {
+    if (Array.isArray(columns)) return columns.includes(header) ? header : null;
+    return columns[header] || null;
+  }
+
   // ==================== PERFORMANCE & OPTIMIZATION ====================
 
   async explain(modelName, operation, ...args) {
@@ -1226,38 +5607,206 @@ class UltraMongo {
   }
 
   async cache(modelName, key, dataFn, ttl = 3600) {
-    // Simple in-memory cache (in production, use Redis)
-    if (!this._cache) this._cache = new Map();
+    const cacheKey = await this._cacheEntryKey(modelName, key);
+    const cached = await this.cacheAdapter.get(cacheKey);
 
-    const cacheKey = `${modelName}:${key}`;
-    const cached = this._cache.get(cacheKey);
-
-    if (cached && Date.now() - cached.timestamp < ttl * 1000) {
-      this._log(`💾 Cache hit: ${cacheKey}`);
-      return cached.data;
+    if (cached !== undefined) {
+      this._log(`💾 Cache hit: ${modelName}:${key}`, { operation: 'cache', model: modelName, key }, 'trace');
+      return cached;
     }
 
-    this._log(`🔄 Cache miss: ${cacheKey}`);
+    this._log(`🔄 Cache miss: ${modelName}:${key}`, { operation: 'cache', model: modelName, key }, 'trace');
     const data = await dataFn();
-    this._cache.set(cacheKey, { data, timestamp: Date.now() });
+    await this.cacheAdapter.set(cacheKey, data, ttl);
 
     return data;
   }
 
-  clearCache(pattern = null) {
-    if (!this._cache) return;
+  /**
+   * clearCache()              clears everything
+   * clearCache('User')        invalidates every cached entry for the model
+   * clearCache('User:my-key') removes a single entry
+   */
+  async clearCache(pattern = null) {
+    if (!pattern) {
+      await this.cacheAdapter.clear();
+    } else if (pattern.includes(':')) {
+      const separator = pattern.indexOf(':');
+      const modelName = pattern.slice(0, separator);
+      await this.cacheAdapter.delete(await this._cacheEntryKey(modelName, pattern.slice(separator + 1)));
+    } else {
+      await this._invalidateModelCache(pattern);
+    }
 
-    if (pattern) {
-      for (const key of this._cache.keys()) {
-        if (key.includes(pattern)) {
-          this._cache.delete(key);
-        }
+    this._log('🧹 Cache cleared', { operation: 'clearCache', pattern });
+  }
+
+  setCacheAdapter(adapter) {
+    for (const method of ['get', 'set', 'delete', 'clear']) {
+      if (!adapter || typeof adapter[method] !== 'function') {
+        throw new Error(`Cache adapter must implement ${method}()`);
       }
-    } else {
-      this._cache.clear();
     }
 
-    this._log('🧹 Cache cleared', pattern ? `for pattern: ${pattern}` : '');
+    this.cacheAdapter = adapter;
+    this._log('💾 Cache adapter set');
+  }
+
+  // Read helpers accept `cache: true | { ttl, key }`. The adapter stores plain objects, so reads
+  // that return documents must ask for lean results; they would otherwise change type on a hit.
+  async _cachedRead(modelName, operation, parts, options, fetch) {
+    if (!options.cache) return await fetch();
+    if (DOCUMENT_READS.includes(operation) && !options.lean) {
+      throw new Error(`${operation}() with cache needs lean: true, cached results are plain objects`);
+    }
+    // Entries are invalidated by writes to `modelName` only, so related documents would go stale
+    if (options.populate || options.include) {
+      throw new Error(`${operation}() cannot cache populated or included relations, writes to the related models would not invalidate the entry`);
+    }
+    if (options.session) return await fetch();
+
+    const config = options.cache === true ? {} : options.cache;
+    const { cache, session, ...queryOptions } = options;
+    const key = config.key || `${operation}:${crypto.createHash('sha1')
+      .update(EJSON.stringify([parts, queryOptions], { relaxed: false }))
+      .digest('hex')}`;
+
+    return await this.cache(modelName, key, fetch, config.ttl ?? 3600);
+  }
+
+  // Every model has a generation token stored in the adapter; invalidating swaps the token,
+  // which orphans old entries for all processes sharing the adapter until they expire
+  async _cacheEntryKey(modelName, key) {
+    const tokenKey = `${modelName}:__generation`;
+    let generation = await this.cacheAdapter.get(tokenKey);
+
+    if (generation === undefined) {
+      generation = crypto.randomBytes(6).toString('hex');
+      await this.cacheAdapter.set(tokenKey, generation);
+    }
+
+    const tenant = this.currentTenant();
+    return `${modelName}:${generation}:${tenant != null ? `${tenant}:` : ''}${key}`;
+  }
+
+  async _invalidateModelCache(modelName) {
+    try {
+      await this.cacheAdapter.set(`${modelName}:__generation`, crypto.randomBytes(6).toString('hex'));
+    } catch (error) {
+      this._log(`❌ Cache invalidation failed for ${modelName}`, { operation: 'clearCache', model: modelName, error: error.message }, 'warn');
+    }
+  }
+
+  // ==================== METRICS & SLOW QUERIES ====================
+
+  /**
+   * Logs (and emits 'slowQuery' for) operations taking at least `ms` milliseconds; null disables.
+   * With `explain: true` the filter is explained in the background and the winning plan is
+   * attached to the log entry.
+   */
+  setSlowQueryThreshold(ms, options = {}) {
+    this.slowQuery = { threshold: ms, explain: !!options.explain };
+    this._log('🐢 Slow query threshold updated', { threshold: ms, explain: !!options.explain });
+  }
+
+  // Prometheus text exposition format, ready to serve from a /metrics endpoint
+  metrics() {
+    return this.metricsRegistry.toPrometheus();
+  }
+
+  resetMetrics() {
+    this.metricsRegistry.reset();
+  }
+
+  // Calls made from inside another instrumented method (findByIdAndActivate -> findByIdAndUpdate)
+  // are only counted once; operations inside a transaction callback are still recorded.
+  // Top-level calls are tracked in _inFlight so shutdown() can drain them.
+  async _instrument(operation, args, run) {
+    const spec = INSTRUMENTED_OPERATIONS[operation];
+    const parent = this._operationStorage.getStore();
+    if (parent && !parent.transaction && !spec.transaction) return await run();
+    if (this.shuttingDown && !parent) {
+      throw new ConnectionError(`Cannot ${operation} while shutting down`);
+    }
+
+    const started = process.hrtime.bigint();
+    const pending = this._operationStorage.run({ operation, transaction: !!spec.transaction }, run);
+    if (!parent) this._inFlight.add(pending);
+
+    let result;
+    let failure = null;
+    try {
+      result = await pending;
+    } catch (error) {
+      failure = error;
+    } finally {
+      this._inFlight.delete(pending);
+    }
+
+    const duration = Number(process.hrtime.bigint() - started) / 1e6;
+    try {
+      this._recordOperation(operation, spec, args, duration, result, failure);
+    } catch (error) {
+      this._log('❌ Operation listener failed', { operation, error: error.message }, 'warn');
+    }
+
+    if (failure) throw failure;
+    return result;
+  }
+
+  _recordOperation(operation, spec, args, duration, result, error) {
+    const { threshold } = this.slowQuery;
+    const event = {
+      operation,
+      model: spec.transaction ? null : args[0],
+      duration,
+      outcome: error ? 'error' : 'success',
+      count: error || spec.transaction ? undefined : resultCount(result),
+      filter: this._operationShape(spec, args),
+      slow: threshold != null && duration >= threshold,
+      ...(error ? { error } : {})
+    };
+
+    this.metricsRegistry.record(event);
+    this.events.emit('operation', event);
+
+    if (event.slow) {
+      this._reportSlowQuery(event, spec, args).catch(reportError => {
+        this._log('❌ Slow query report failed', { operation, error: reportError.message }, 'warn');
+      });
+    }
+  }
+
+  _operationShape(spec, args) {
+    if (spec.shape) return spec.shape;
+    if (spec.filter !== undefined) return filterShape(args[spec.filter] || {});
+    if (spec.pipeline !== undefined) {
+      return (args[spec.pipeline] || []).map(stage => {
+        const [name] = Object.keys(stage);
+        return name === '$match' ? { $match: filterShape(stage.$match) } : name;
+      });
+    }
+    return null;
+  }
+
+  async _reportSlowQuery(event, spec, args) {
+    let plan;
+    if (this.slowQuery.explain && spec.explain && !event.error) {
+      try {
+        const Model = this._getModel(args[0]);
+        const explanation = spec.explain === 'aggregate'
+          ? await Model.aggregate(args[spec.pipeline] || []).explain()
+          : await Model.find(args[spec.filter] || {}).explain();
+        plan = planSummary(explanation);
+      } catch (error) {
+        plan = { error: error.message };
+      }
+    }
+
+    const { operation, model, duration, count, filter } = event;
+    const report = { operation, model, duration: Math.round(duration), count, filter, threshold: this.slowQuery.threshold, plan };
+    this._log(`🐢 Slow ${operation}${model ? ` on ${model}` : ''}`, report, 'warn');
+    this.events.emit('slowQuery', report);
   }
 
   // ==================== COMPREHENSIVE TEMPLATES ====================
@@ -1374,98 +5923,113 @@ class UltraMongo {
 
   // ==================== UTILITY METHODS ====================
 
-  _getMongooseType(typeString) {
-    const typeMap = {
-      'string': String,
-      'number': Number,
-      'boolean': Boolean,
-      'date': Date,
-      'array': Array,
-      'object': Object,
-      'buffer': Buffer,
-      'decimal': mongoose.Schema.Types.Decimal128,
-      'map': Map,
-      'mixed': mongoose.Schema.Types.Mixed,
-      'objectid': mongoose.Schema.Types.ObjectId
-    };
-    return typeMap[typeString] || String;
+  // Resolves to the current tenant's copy of the model inside withTenant()
+  _getModel(name) {
+    return this._tenantModel(name, this._getRegisteredModel(name));
   }
 
-  _getModel(name) {
+  _getRegisteredModel(name) {
     if (!this.models.has(name)) {
       throw new Error(`Model '${name}' not found. Create it first with .model()`);
     }
     return this.models.get(name);
   }
 
+  // Maps mongoose and driver errors onto the EasyMongooError hierarchy
   _handleError(operation, error) {
-    let message = `Failed to ${operation}`;
-
-    if (error.code === 11000) {
-      const field = Object.keys(error.keyValue || {})[0];
-      message = `${field} already exists. Please use a different value.`;
-    } else if (error.name === 'ValidationError') {
-      const errors = Object.values(error.errors).map(e => e.message);
-      message = `Validation failed: ${errors.join(', ')}`;
+    let typed;
+
+    if (error instanceof EasyMongooError) {
+      typed = error;
+    } else if (error.code === 11000) {
+      typed = new DuplicateKeyError(this._duplicateKeyFields(error), error);
+    } else if (error.name === 'ValidationError' && error.errors) {
+      typed = new ValidationError(validationDetails(error), error);
     } else if (error.name === 'CastError') {
-      message = `Invalid ID format`;
+      typed = new CastError(error.path, error.value, error.kind, error);
+    } else if (error.name === 'VersionError') {
+      typed = new VersionConflictError('Document', null, error.version, null, error);
     } else if (error.name === 'DivergentArrayError') {
-      message = 'Array modification error';
+      typed = new EasyMongooError('Array modification error', { code: 'DIVERGENT_ARRAY', originalError: error });
     } else if (error.name === 'MissingSchemaError') {
-      message = 'Schema not found';
+      typed = new EasyMongooError('Schema not found', { code: 'MISSING_SCHEMA', originalError: error });
     } else if (error.name === 'OverwriteModelError') {
-      message = 'Model already exists';
+      typed = new EasyMongooError('Model already exists', { code: 'MODEL_EXISTS', originalError: error });
+    } else {
+      typed = new EasyMongooError(`Failed to ${operation}`, { originalError: error });
+    }
+
+    this._log(`❌ ${typed.message}`, { operation, code: typed.code, error: error.message });
+    return typed;
+  }
+
+  // insertMany/bulkWrite report one duplicate per write error
+  _duplicateKeyFields(error) {
+    const fields = { ...error.keyValue };
+    for (const writeError of error.writeErrors || []) {
+      Object.assign(fields, (writeError.err || writeError).keyValue);
     }
+    return fields;
+  }
 
-    this._error(`❌ ${message}`);
+  // ==================== LOGGING ====================
 
-    const simpleError = new Error(message);
-    simpleError.originalError = error;
-    return simpleError;
+  _log(message, fields = {}, level = 'debug') {
+    if (LOG_LEVELS[level] < LOG_LEVELS[this.logLevel]) return;
+    this.logger[level](message, fields);
   }
 
-  _simplifyError(error) {
-    if (error.code === 11000) return new Error('Data already exists. Please use unique values.');
-    if (error.name === 'ValidationError') return new Error('Please check your input data.');
-    return error;
+  _error(message, fields = {}) {
+    this._log(message, fields, 'error');
   }
 
-  _log(message, data = null) {
-    if (this.debug) {
-      console.log(message, data || '');
+  setLogger(logger) {
+    for (const level of ['trace', 'debug', 'info', 'warn', 'error']) {
+      if (!logger || typeof logger[level] !== 'function') {
+        throw new Error(`Logger must implement ${level}()`);
+      }
     }
+
+    this.logger = logger;
   }
 
-  _error(message, data = null) {
-    console.error(message, data || '');
+  setLogLevel(level) {
+    if (!(level in LOG_LEVELS)) {
+      throw new Error(`Unknown log level '${level}'. Use ${Object.keys(LOG_LEVELS).join(', ')}`);
+    }
+
+    this.logLevel = level;
+    this.debug = LOG_LEVELS[level] <= LOG_LEVELS.debug;
   }
 
+  // Shorthand for setLogLevel('debug') / setLogLevel('warn')
   setDebug(debug) {
-    this.debug = debug;
-    this._log('🔧 Debug mode:', debug ? 'ON' : 'OFF');
+    this.setLogLevel(debug ? 'debug' : 'warn');
+    this._log('🔧 Debug mode: ON');
   }
 
   status() {
     const state = mongoose.connection.readyState;
-    const states = ['disconnected', 'connected', 'connecting', 'disconnecting'];
 
     return {
       connected: this.isConnected,
-      readyState: states[state] || state,
+      readyState: READY_STATES[state] || state,
       database: this.isConnected ? mongoose.connection.db.databaseName : null,
       host: this.isConnected ? mongoose.connection.host : null,
       port: this.isConnected ? mongoose.connection.port : null,
       models: Array.from(this.models.keys()),
+      connections: Array.from(this.connections.keys()),
+      tenant: this.currentTenant(),
       collections: this.isConnected ? Object.keys(mongoose.connection.collections) : [],
       plugins: this.globalPlugins.length,
-      cache: this._cache ? this._cache.size : 0
+      cache: this.cacheAdapter.size ?? null
     };
   }
 
   async dropDatabase() {
     if (this.isConnected) {
       await mongoose.connection.db.dropDatabase();
-      this._log('🗑️ Database dropped');
+      this._log('🗑️ Database dropped', { operation: 'dropDatabase' }, 'info');
     }
   }
 
@@ -1474,7 +6038,7 @@ class UltraMongo {
       for (const [modelName] of this.models) {
         await this.delete(modelName, {});
       }
-      this._log('🧹 Cleared all collections');
+      this._log('🧹 Cleared all collections', { operation: 'clearAll' }, 'info');
     }
   }
 
@@ -1482,6 +6046,58 @@ class UltraMongo {
     return mongoose;
   }
 
+  get MemoryCache() {
+    return MemoryCache;
+  }
+
+  get StaticKeyProvider() {
+    return StaticKeyProvider;
+  }
+
+  get EnvKeyProvider() {
+    return EnvKeyProvider;
+  }
+
+  get ConsoleLogger() {
+    return ConsoleLogger;
+  }
+
+  get JsonLogger() {
+    return JsonLogger;
+  }
+
+  get EasyMongooError() {
+    return EasyMongooError;
+  }
+
+  get DuplicateKeyError() {
+    return DuplicateKeyError;
+  }
+
+  get ValidationError() {
+    return ValidationError;
+  }
+
+  get NotFoundError() {
+    return NotFoundError;
+  }
+
+  get VersionConflictError() {
+    return VersionConflictError;
+  }
+
+  get CastError() {
+    return CastError;
+  }
+
+  get ConnectionError() {
+    return ConnectionError;
+  }
+
+  get TransactionError() {
+    return TransactionError;
+  }
+
   get ObjectId() {
     return mongoose.Types.ObjectId;
   }
@@ -1495,6 +6111,13 @@ class UltraMongo {
   }
 }
 
+for (const operation of Object.keys(INSTRUMENTED_OPERATIONS)) {
+  const method = UltraMongo.prototype[operation];
+  UltraMongo.prototype[operation] = function (...args) {
+    return this._instrument(operation, args, () => method.apply(this, args));
+  };
+}
+
 // Create and export instance
 const ultraMongo = new UltraMongo();
 module.exports = ultraMongo;
\ No newline at end of file
@@ -6,7 +6,7 @@ async function basicExample() {
     await mongoo.connect('mongodb://localhost:27017/testdb');
     
     // Create user model
-    const User = mongoo.model('User', mongoo.schemasTemplates.user);
+    const User = mongoo.model('User', mongoo.templates.user);
     
     // Create product model with custom schema
     const Product = mongoo.model('Product', {
@@ -0,0 +1,42 @@
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const mongoo = require('easy-mongoo');
+
+// Change streams need a replica set; mongodb-memory-server starts a single-node one locally
+async function watchExample() {
+  const replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+
+  try {
+    await mongoo.connect(replSet.getUri('shop'));
+
+    mongoo.model('Order', {
+      number: 'string!',
+      status: 'enum:pending|paid|shipped+',
+      total: 'number'
+    });
+
+    // Only paid orders; the position is saved under 'order-emails' so a restart resumes
+    const watcher = await mongoo.watch('Order', { status: 'paid' }, async event => {
+      console.log(`${event.type} ${event.id} via ${event.source}`, event.document);
+    }, { resumeKey: 'order-emails' });
+
+    watcher.on('delete', event => console.log('Order removed:', event.id));
+    watcher.on('error', error => console.error('Watch error:', error.message));
+
+    const order = await mongoo.create('Order', { number: 'A-1', total: 42 });
+    await mongoo.updateById('Order', order._id, { status: 'paid' });
+    await mongoo.deleteById('Order', order._id);
+
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    await watcher.close();
+
+    // Standalone servers (and { polling: true }) poll updatedAt instead
+    console.log('Watcher mode:', watcher.mode);
+  } catch (error) {
+    console.error('Example error:', error);
+  } finally {
+    await mongoo.disconnect();
+    await replSet.stop();
+  }
+}
+
+watchExample();
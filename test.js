@@ -1,4 +1,6 @@
     // Simple test to verify the package works
+    const crypto = require('crypto');
+    const { PassThrough, Readable } = require('stream');
     const easyMongoo = require('./easy-mongoo');
 
     async function test() {
@@ -20,11 +22,969 @@
         });
         
         console.log('✅ Model creation test passed');
+
+        // Test shortcut grammar
+        const grammarSchema = easyMongoo.schema({ title: 'string!<50', publishedAt: 'date?', status: 'enum:draft|published+' });
+        const titlePath = grammarSchema.path('title');
+        if (titlePath.instance !== 'String' || !titlePath.isRequired || titlePath.options.maxlength !== 50) {
+        throw new Error('string!<50 parsed incorrectly');
+        }
+        if (grammarSchema.path('publishedAt').instance !== 'Date') {
+        throw new Error('date? should be a Date');
+        }
+        if (grammarSchema.path('status').options.default !== 'draft') {
+        throw new Error('enum default should be the first value');
+        }
+        let unknownThrew = false;
+        try { easyMongoo.schema({ title: 'strng' }); } catch (e) { unknownThrew = true; }
+        if (!unknownThrew) throw new Error('Unknown shortcut should throw');
+
+        Object.entries(easyMongoo.templates).forEach(([name, template]) => {
+        easyMongoo.schema(template);
+        });
+
+        console.log('✅ Shortcut grammar test passed');
+
+        // Test custom shortcut types
+        easyMongoo.registerType('sku', { validate: /^[A-Z0-9-]{4,20}$/, set: v => v && v.toUpperCase() });
+        const SkuModel = easyMongoo.model('SkuModel', { code: 'sku!', alt: { type: 'sku' } });
+        const skuDoc = new SkuModel({ code: 'ab-12', alt: 'no!' });
+        const skuErrors = skuDoc.validateSync();
+        if (skuDoc.code !== 'AB-12' || !skuErrors || !skuErrors.errors.alt || skuErrors.errors.code) {
+        throw new Error('Custom sku type not applied');
+        }
+        if (!easyMongoo.listTypes().some(type => type.name === 'sku' && !type.builtIn)) {
+        throw new Error('listTypes should include sku');
+        }
+
+        console.log('✅ Custom shortcut type test passed');
+
+        // Test password hashing
+        const hash = await easyMongoo.hashPassword('secret123');
+        if (!hash.startsWith('scrypt$') || hash.includes('secret123')) {
+        throw new Error('Password was not hashed');
+        }
+        if (!(await easyMongoo.verifyPassword('secret123', hash)) || await easyMongoo.verifyPassword('wrong', hash)) {
+        throw new Error('Password verification failed');
+        }
+
+        console.log('✅ Password hashing test passed');
+
+        // Test auto-index policy
+        const IndexedModel = easyMongoo.model('IndexedModel', { title: 'string', price: 'number' });
+        const indexes = IndexedModel.schema.indexes().map(([fields]) => Object.keys(fields).join(','));
+        if (indexes.join('|') !== 'title') {
+        throw new Error(`Unexpected auto-indexes: ${indexes.join('|')}`);
+        }
+        const NoIndexModel = easyMongoo.model('NoIndexModel', { title: 'string', status: 'string' }, { indexPolicy: false });
+        if (NoIndexModel.schema.indexes().length !== 0) {
+        throw new Error('indexPolicy: false should disable auto-indexes');
+        }
+
+        console.log('✅ Auto-index policy test passed');
+
+        // Test tenant routing
+        easyMongoo.model('SharedModel', { name: 'string' }, { shared: true });
+        easyMongoo.setTenantResolver(async tenantId => `tenant_${tenantId}`);
+        await easyMongoo.withTenant('acme', async () => {
+        if (easyMongoo.currentTenant() !== 'acme') throw new Error('Tenant context lost');
+        });
+        if (easyMongoo.currentTenant() !== null) {
+        throw new Error('Tenant context leaked outside withTenant');
+        }
+
+        console.log('✅ Tenant routing test passed');
+
+        // Test soft delete filtering
+        const SoftModel = easyMongoo.model('SoftModel', { title: 'string' }, { softDelete: true });
+        if (!SoftModel.schema.path('deleted') || !SoftModel.schema.path('deletedAt')) {
+        throw new Error('Soft delete fields missing');
+        }
+
+        console.log('✅ Soft delete test passed');
+
+        // Test cursor tokens
+        const cursorWarnings = [];
+        const cursorLogger = easyMongoo.logger;
+        easyMongoo.setLogger({ trace() {}, debug() {}, info() {}, warn: message => cursorWarnings.push(message), error() {} });
+        for (let i = 0; i < 2; i++) {
+        await easyMongoo.paginateCursor('TestModel', {}, { after: 'forged.cursor' }).catch(() => {});
+        }
+        easyMongoo.setLogger(cursorLogger);
+        if (cursorWarnings.length !== 1 || !cursorWarnings[0].includes('setCursorSecret()')) {
+        throw new Error('Signing cursors without a secret should warn once');
+        }
+        easyMongoo.setCursorSecret('test-secret');
+        const signCursor = text => {
+        const payload = Buffer.from(text).toString('base64url');
+        return `${payload}.${crypto.createHmac('sha256', 'test-secret').update(payload).digest('base64url')}`;
+        };
+        const cursorErrors = [];
+        const otherSort = signCursor('{"s":"title:1,_id:1","v":{"title":"a","_id":{"$oid":"507f1f77bcf86cd799439011"}}}');
+        for (const after of [`x${otherSort}`, otherSort, signCursor('not json')]) {
+        try { await easyMongoo.paginateCursor('TestModel', {}, { after, sort: { createdAt: 1 } }); } catch (e) { cursorErrors.push(`${e.status}:${e.code}`); }
+        }
+        if (cursorErrors.join(',') !== '400:INVALID_REQUEST,400:INVALID_REQUEST,400:INVALID_REQUEST') {
+        throw new Error(`Bad cursors should be rejected as invalid requests, got ${cursorErrors}`);
+        }
+        const unsupportedReadErrors = await Promise.all([
+        easyMongoo.paginateCursor('TestModel', {}, { skip: 20 }),
+        easyMongoo.paginateCursor('TestModel', {}, { lean: true, cache: true }),
+        easyMongoo.textSearch('TestModel', 'hello', { lean: true, cache: true }),
+        easyMongoo.near('TestModel', 'location', [0, 0], 100, { lean: true, cache: true })
+        ].map(attempt => attempt.then(() => null, error => error.originalError && error.originalError.message)));
+        if (unsupportedReadErrors.some(message => !message || !/skip is not supported|cannot be cached/.test(message))) {
+        throw new Error(`Read helpers should reject options they cannot apply, got ${unsupportedReadErrors}`);
+        }
+
+        console.log('✅ Cursor pagination test passed');
+
+        // Test import parsing and row errors (no row is valid, so nothing reaches the server)
+        easyMongoo.model('ImportCheckModel', { name: 'string!', address: { city: 'string' }, at: 'date' });
+        const rejectedCsv = await easyMongoo.importDataStream('ImportCheckModel', Readable.from(['Name,City\r\n,"New\nYork"\r\n', ',Paris\n']), {
+        format: 'csv',
+        columns: { Name: 'name', City: 'address.city' }
+        });
+        const rejectedLines = await easyMongoo.importDataStream('ImportCheckModel', Readable.from(['{"name":"Ada","at":"someday"}\nbroken\n']));
+        if (rejectedCsv.processed !== 2 || rejectedCsv.inserted !== 0 || rejectedCsv.errors.map(error => error.row).join(',') !== '2,3'
+        || rejectedLines.errors.map(error => error.row).sort().join(',') !== '1,2' || !rejectedLines.errors.some(error => error.error.includes('Invalid JSON on line 2'))) {
+        throw new Error(`Import should report every invalid row, got ${JSON.stringify([rejectedCsv.errors, rejectedLines.errors])}`);
+        }
+        const formatErrors = await Promise.all([
+        easyMongoo.importDataStream('ImportCheckModel', Readable.from([]), { format: 'xml' }),
+        easyMongoo.exportDataStream('ImportCheckModel', new PassThrough(), { format: 'xml' })
+        ].map(attempt => attempt.then(() => null, error => (error.originalError || error).message)));
+        if (formatErrors.some(message => !message || !message.includes('Unsupported'))) {
+        throw new Error(`Unknown formats should be rejected, got ${formatErrors}`);
+        }
+
+        console.log('✅ Import row errors test passed');
+
+        // Test cache adapter and invalidation
+        const lru = new easyMongoo.MemoryCache({ maxEntries: 2 });
+        await lru.set('a', 1);
+        await lru.set('b', 2);
+        await lru.get('a');
+        await lru.set('c', 3);
+        if (await lru.get('b') !== undefined || await lru.get('a') !== 1) {
+        throw new Error('LRU eviction failed');
+        }
+        let loads = 0;
+        const load = async () => ++loads;
+        await easyMongoo.cache('TestModel', 'key', load);
+        await easyMongoo.cache('TestModel', 'key', load);
+        await easyMongoo.clearCache('TestModel');
+        await easyMongoo.cache('TestModel', 'key', load);
+        if (loads !== 2) throw new Error('Cache hit/invalidation mismatch');
+        let cacheLeanMessage = null;
+        try { await easyMongoo.find('TestModel', {}, { cache: true }); } catch (e) { cacheLeanMessage = e.originalError && e.originalError.message; }
+        if (!cacheLeanMessage || !cacheLeanMessage.includes('lean: true')) {
+        throw new Error('Cached document reads should require lean: true');
+        }
+        const cachePopulateErrors = await Promise.all([
+        easyMongoo.find('TestModel', {}, { lean: true, cache: true, populate: 'title' }),
+        easyMongoo.from('TestModel').lean().cache(60).populate('title').first()
+        ].map(attempt => attempt.then(() => null, error => error.originalError && error.originalError.message)));
+        if (cachePopulateErrors.some(message => !message || !message.includes('cannot cache populated or included relations'))) {
+        throw new Error('Cached reads should reject populate and include');
+        }
+
+        console.log('✅ Cache test passed');
+
+        // Test query builder
+        const builder = easyMongoo.from('TestModel')
+        .where('count').gte(18).lte(65)
+        .sort('-createdAt')
+        .select('title')
+        .page(2, 20);
+        if (JSON.stringify(builder.filter) !== '{"count":{"$gte":18,"$lte":65}}' || builder.options.skip !== 20) {
+        throw new Error('Query builder state incorrect');
+        }
+
+        console.log('✅ Query builder test passed');
+
+        // Test error mapping
+        const invalid = await easyMongoo.create('TestModel', {}).catch(error => error);
+        if (!(invalid instanceof easyMongoo.ValidationError) || invalid.code !== 'VALIDATION_FAILED' || invalid.details.title.kind !== 'required') {
+        throw new Error('Validation errors should keep per-path details');
+        }
+        const notFound = new easyMongoo.NotFoundError('TestModel', 42);
+        if (notFound.toJSON().status !== 404 || notFound.toJSON().code !== 'NOT_FOUND') {
+        throw new Error('Typed errors should serialize their status and code');
+        }
+        const badId = await easyMongoo.findById('TestModel', 'not-an-id').catch(error => error);
+        if (!(badId instanceof easyMongoo.CastError) || badId.code !== 'INVALID_VALUE' || badId.status !== 400) {
+        throw new Error('Cast errors should map to INVALID_VALUE');
+        }
+        // A save hook fails the way the driver would, so the mapping runs without a server
+        const probeSchema = easyMongoo.schema({ email: 'string' });
+        probeSchema.pre('save', function () {
+        if (this.email === 'missing') throw notFound;
+        throw Object.assign(new Error('E11000 duplicate key error'), {
+            code: 11000,
+            keyValue: { email: this.email },
+            writeErrors: [{ err: { keyValue: { username: 'bob' } } }]
+        });
+        });
+        easyMongoo.model('ErrorProbeModel', probeSchema);
+        const duplicate = await easyMongoo.create('ErrorProbeModel', { email: 'a@b.c' }).catch(error => error);
+        if (!(duplicate instanceof easyMongoo.DuplicateKeyError) || duplicate.status !== 409 || Object.keys(duplicate.fields).sort().join(',') !== 'email,username') {
+        throw new Error('Duplicate key errors should list every field');
+        }
+        if (await easyMongoo.create('ErrorProbeModel', { email: 'missing' }).catch(error => error) !== notFound) {
+        throw new Error('Typed errors should pass through unchanged');
+        }
+
+        console.log('✅ Error mapping test passed');
+
+        // Test structured logger
+        const logOutput = new PassThrough();
+        const logLines = [];
+        logOutput.on('data', chunk => logLines.push(JSON.parse(chunk)));
+        const defaultLogger = easyMongoo.logger;
+        const jsonLogger = new easyMongoo.JsonLogger({ stream: logOutput, fields: { service: 'test' } });
+        easyMongoo.setLogger(jsonLogger);
+        easyMongoo.setLogLevel('info');
+        easyMongoo.enableGracefulShutdown({ signals: ['SIGUSR2'] }); // logged at debug
+        await easyMongoo.shutdown({ signal: 'SIGUSR2' }); // logged at info
+        jsonLogger.error('failed', { model: 'TestModel' });
+        if (logLines.length !== 2 || logLines[0].msg !== '🛑 Shutting down' || logLines[0].signal !== 'SIGUSR2' || logLines[0].inFlight !== 0
+        || logLines[0].service !== 'test' || logLines[1].level !== 'error' || logLines[1].model !== 'TestModel') {
+        throw new Error('Log levels or structured fields incorrect');
+        }
+        let badLoggerThrew = false;
+        try { easyMongoo.setLogger({ info() {} }); } catch (e) { badLoggerThrew = true; }
+        if (!badLoggerThrew) throw new Error('Incomplete logger should be rejected');
+        easyMongoo.setLogger(defaultLogger);
+        easyMongoo.setLogLevel('warn');
+
+        console.log('✅ Logger test passed');
+
+        // Test operation metrics
+        const operations = [];
+        const recordOperation = event => operations.push(event);
+        easyMongoo.events.on('operation', recordOperation);
+        try { await easyMongoo.findByIdOrFail('TestModel', 'not-an-id'); } catch (e) { /* cast error expected */ }
+        try { await easyMongoo.find('TestModel', { count: { $gte: 'adult' }, $or: [{ title: 'x' }], _id: { $in: [1, 2] } }); } catch (e) { /* cast error expected */ }
+        easyMongoo.events.off('operation', recordOperation);
+        if (operations.length !== 2 || operations[0].operation !== 'findByIdOrFail' || operations[0].outcome !== 'error') {
+        throw new Error('Nested operations should be recorded once with their outcome');
+        }
+        if (JSON.stringify(operations[1].filter) !== '{"count":{"$gte":"?"},"$or":[{"title":"?"}],"_id":{"$in":"?"}}') {
+        throw new Error('Filter shape should hide values');
+        }
+        const metricsText = easyMongoo.metrics();
+        if (!metricsText.includes('easy_mongoo_operations_total{operation="findByIdOrFail",model="TestModel",outcome="error"} 1')
+        || !metricsText.includes('easy_mongoo_operation_duration_seconds_count{operation="findByIdOrFail",model="TestModel"} 1')) {
+        throw new Error('Prometheus metrics missing operation');
+        }
+        easyMongoo.resetMetrics();
+
+        console.log('✅ Metrics test passed');
+
+        // Test connection retries and lifecycle
+        const connectLogs = [];
+        const capture = level => (message, fields) => connectLogs.push({ level, message, fields });
+        easyMongoo.setLogger({ trace: capture('trace'), debug: capture('debug'), info: capture('info'), warn: capture('warn'), error: capture('error') });
+        const disconnectListeners = easyMongoo.mongoose.connection.listenerCount('disconnected');
+        for (let i = 0; i < 2; i++) {
+        try {
+            await easyMongoo.connect('mongodb://127.0.0.1:1/easy_mongoo_test', { serverSelectionTimeoutMS: 50, retry: { retries: 1, minDelay: 5 } });
+            throw new Error('Unreachable server should not connect');
+        } catch (e) {
+            if (!(e instanceof easyMongoo.ConnectionError)) throw e;
+        }
+        }
+        await new Promise(resolve => setTimeout(resolve, 20)); // the driver reports the last failure asynchronously
+        easyMongoo.setLogger(defaultLogger);
+        if (connectLogs.filter(log => log.level === 'warn' && log.fields.operation === 'connect').length !== 2) {
+        throw new Error('Connect should retry once per call');
+        }
+        if (easyMongoo.mongoose.connection.listenerCount('disconnected') !== Math.max(disconnectListeners, 1) || process.listenerCount('SIGINT') !== 0) {
+        throw new Error('connect() should register listeners once and no signal handlers');
+        }
+        const health = await easyMongoo.healthCheck();
+        if (health.ok || health.status !== 'disconnected') throw new Error('healthCheck should report the disconnected state');
+        easyMongoo.enableGracefulShutdown({ signals: ['SIGTERM'] });
+        easyMongoo.enableGracefulShutdown({ signals: ['SIGTERM'] });
+        if (process.listenerCount('SIGTERM') !== 1) throw new Error('Shutdown handlers should not stack');
+        easyMongoo.disableGracefulShutdown();
+
+        console.log('✅ Connection lifecycle test passed');
+
+        // Test audit configuration and actor context
+        const AuditCheckModel = easyMongoo.model('AuditCheckModel', { title: 'string' }, { audit: { collection: 'check_audit', exclude: ['password', 'secret'] } });
+        const auditConfig = AuditCheckModel.schema.get('audit');
+        if (auditConfig.collection !== 'check_audit' || auditConfig.exclude.join(',') !== 'password,secret' || auditConfig.model !== 'AuditCheckModel') {
+        throw new Error('Audit options should be kept on the schema');
+        }
+        const actor = await easyMongoo.withActor('ada', async () => {
+        await new Promise(resolve => setImmediate(resolve));
+        return easyMongoo.currentActor();
+        });
+        if (actor !== 'ada' || easyMongoo.currentActor() !== null) {
+        throw new Error('withActor should scope the actor to its callback');
+        }
+        const unaudited = await easyMongoo.history('TestModel', '507f1f77bcf86cd799439011').catch(error => error);
+        if (!unaudited.originalError || !unaudited.originalError.message.includes('Audit is not enabled')) {
+        throw new Error('history() should require an audited model');
+        }
+
+        console.log('✅ Audit configuration test passed');
+
+        // Test watch lifecycle
+        const watcher = await easyMongoo.watch('SoftModel', { title: 'a' }, () => {}, { polling: true });
+        await watcher.close();
+        if (watcher.mode !== 'polling' || easyMongoo.watchers.size !== 0) throw new Error('Closed watcher should be released');
+
+        console.log('✅ Watch test passed');
+
+        // Test relations and include
+        easyMongoo.model('RelAuthor', { name: 'string' }, {
+        relations: { posts: { hasMany: 'RelPost', foreignKey: 'author', onDelete: 'cascade' } }
+        });
+        const RelPost = easyMongoo.model('RelPost', { title: 'string' }, {
+        relations: { author: { belongsTo: 'RelAuthor' }, tags: { manyToMany: 'SoftModel' } }
+        });
+        if (RelPost.schema.path('author').options.ref !== 'RelAuthor' || !RelPost.schema.path('tags')) {
+        throw new Error('Stored relations should add reference paths');
+        }
+        const relationErrors = await Promise.all([
+        easyMongoo.find('RelPost', {}, { include: 'comments' }),
+        (async () => easyMongoo.model('BadRelPost', { title: 'string' }, { relations: { author: { belongsTo: 'RelAuthor', onDelete: 'cascade' } } }))()
+        ].map(attempt => attempt.then(() => null, error => (error.originalError || error).message)));
+        if (relationErrors[0] !== "'comments' is not a relation of 'RelPost'. Available: author, tags"
+        || !/^onDelete on 'BadRelPost.author'/.test(relationErrors[1]) || easyMongoo.models.has('BadRelPost')) {
+        throw new Error('Invalid relations and includes should throw');
+        }
+
+        console.log('✅ Relations test passed');
+
+        // Test factories
+        easyMongoo.model('FactoryUser', { name: 'string!', email: 'email!!', phone: 'phone', color: 'color', role: 'enum:user|admin', age: 'number>18<99' });
+        easyMongoo.model('FactoryPost', { title: 'string!<12', author: 'ref:FactoryUser!' });
+        const userFactory = easyMongoo.factory('FactoryUser', { email: ({ n }) => `user${n}@test.dev` }, { seed: 7 });
+        const firstRun = await userFactory.attributes(3, { role: 'admin' });
+        const secondRun = await userFactory.seed().attributes(3, { role: 'admin' });
+        if (JSON.stringify(firstRun) !== JSON.stringify(secondRun) || firstRun[2].email !== 'user3@test.dev' || firstRun[0].role !== 'admin') {
+        throw new Error('Factories should be deterministic and apply overrides and sequences');
+        }
+        const builtUsers = await userFactory.build(5);
+        if (builtUsers.some(doc => doc.validateSync()) || builtUsers.some(doc => doc.age < 18 || doc.age > 99)) {
+        throw new Error('Built documents should pass schema validation');
+        }
+        const builtPost = await easyMongoo.factory('FactoryPost').build();
+        if (Array.isArray(builtPost) || builtPost.validateSync() || !builtPost.author) {
+        throw new Error('Factories should resolve required references');
+        }
+
+        console.log('✅ Factory test passed');
+
+        // Test field encryption
+        easyMongoo.setKeyProvider(new easyMongoo.StaticKeyProvider({ keys: { main: crypto.randomBytes(32) }, current: 'main' }));
+        const SecretModel = easyMongoo.model('SecretModel', { email: 'email!##', phone: 'phone#', note: 'string' });
+        if (SecretModel.schema.get('encryption').map(field => `${field.path}:${field.deterministic}`).join(',') !== 'email:true,phone:false') {
+        throw new Error('Encrypted shortcut modifiers not parsed');
+        }
+
+        console.log('✅ Field encryption test passed');
+
+        // Test optimistic concurrency
+        const TicketModel = easyMongoo.model('TicketModel', { title: 'string!', seats: 'number' }, { optimisticConcurrency: true });
+        const ticket = TicketModel.hydrate({ _id: new easyMongoo.ObjectId(), title: 'Show', __v: 3 });
+        const staleError = await ticket.updateFields({ seats: 1 }, { expectedVersion: 2 }).catch(error => error);
+        if (!(staleError instanceof easyMongoo.VersionConflictError) || staleError.status !== 409 || staleError.actualVersion !== 3) {
+        throw new Error('A stale expectedVersion should raise VersionConflictError');
+        }
+        const misuseErrors = await Promise.all([
+        easyMongoo.updateById('TestModel', ticket._id, { count: 1 }, { expectedVersion: 1 }),
+        easyMongoo.findByIdAndUpdate('TestModel', ticket._id, { count: 1 }, { expectedVersion: 1 }),
+        easyMongoo.findByIdAndUpsert('TestModel', ticket._id, { count: 1 }, { expectedVersion: 1 }),
+        easyMongoo.updateById('MissingModel', ticket._id, { count: 1 }, { expectedVersion: 1 })
+        ].map(attempt => attempt.then(() => null, error => error)));
+        if (misuseErrors.slice(0, 3).some(error => !/not enabled/.test(error.message) || error.code !== 'INVALID_REQUEST' || error.status !== 400)
+        || !(misuseErrors[3] instanceof easyMongoo.EasyMongooError) || !/not found/.test(misuseErrors[3].originalError.message)) {
+        throw new Error('expectedVersion misuse should fail with typed errors');
+        }
+        const conflictAttempts = await easyMongoo.retryOnConflict(async (attempt) => {
+        if (attempt < 3) throw new easyMongoo.VersionConflictError('TicketModel', ticket._id, attempt, attempt + 1);
+        return attempt;
+        }, { minDelay: 1 });
+        const exhausted = await easyMongoo.retryOnConflict(() => { throw staleError; }, { retries: 1, minDelay: 1 }).catch(error => error);
+        if (conflictAttempts !== 3 || exhausted !== staleError) {
+        throw new Error('retryOnConflict should retry conflicts and rethrow once retries run out');
+        }
+
+        console.log('✅ Optimistic concurrency test passed');
+
+        // Test payload validation
+        const PayloadModel = easyMongoo.model('PayloadModel', {
+        name: 'string!', email: 'email!', age: { type: Number, min: 18 },
+        address: { city: 'string!', zip: { type: String, match: /^\d{5}$/ } }
+        });
+        const fullPayload = await easyMongoo.validate('PayloadModel', { name: 'Ada', age: 'old' });
+        const fullErrors = fullPayload.errors.map(error => `${error.path}:${error.kind}`).sort().join(',');
+        if (fullPayload.valid || fullErrors !== 'address.city:required,age:Number,email:required') {
+        throw new Error(`Full validation should report every failing path, got ${fullErrors}`);
+        }
+        const patchPayload = await easyMongoo.validate('PayloadModel', { age: 12, 'address.zip': '123' }, { partial: true });
+        if (patchPayload.valid || patchPayload.errors.map(error => error.path).sort().join(',') !== 'address.zip,age') {
+        throw new Error('Partial validation should only check the given paths');
+        }
+        const nestedPatch = await easyMongoo.validate('PayloadModel', { address: { zip: '12345' } }, { partial: true });
+        const validPatch = await easyMongoo.validate('PayloadModel', { name: 'Grace' }, { partial: true });
+        if (nestedPatch.errors[0].path !== 'address.city' || !validPatch.valid || validPatch.errors.length !== 0) {
+        throw new Error('Partial validation should treat nested objects as replacements');
+        }
+
+        console.log('✅ Payload validation test passed');
+
+        // Test JSON Schema and OpenAPI export
+        easyMongoo.model('SchemaExportModel', {
+        email: 'email!!', website: 'url', color: 'color', status: 'enum:draft|published+', owner: 'ref:User!',
+        password: 'password', place: 'point', address: { city: 'string!', zip: 'string' }, rating: 'number>1<5'
+        });
+        const responseSchema = easyMongoo.toJSONSchema('SchemaExportModel');
+        const createSchema = easyMongoo.toJSONSchema('SchemaExportModel', { variant: 'create' });
+        const updateSchema = easyMongoo.toJSONSchema('SchemaExportModel', { variant: 'update' });
+        const exported = responseSchema.properties;
+        if (responseSchema.$schema !== 'https://json-schema.org/draft/2020-12/schema' || exported.email.format !== 'email' || !exported.email['x-unique']
+        || exported.website.format !== 'uri' || !exported.color.pattern || exported.status.default !== 'draft' || exported.owner['x-ref'] !== 'User'
+        || exported.place.properties.coordinates.minItems !== 2 || exported.rating.minimum !== 1 || exported.address.required[0] !== 'city') {
+        throw new Error('Shortcut types, enums, defaults, refs and nested objects should map to JSON Schema');
+        }
+        if (exported.password || exported._id || exported.__v || !exported.id || !responseSchema.required.includes('id')) {
+        throw new Error('Response schemas should follow the toJSON transform');
+        }
+        if (createSchema.properties._id || createSchema.properties.createdAt || !createSchema.properties.password
+        || createSchema.required.join(',') !== 'email,owner,address' || updateSchema.required || updateSchema.properties.status.default) {
+        throw new Error('Create and update schemas should describe input payloads');
+        }
+        const openApi = easyMongoo.toOpenAPI({ info: { title: 'Test API' } });
+        const component = openApi.components.schemas.SchemaExportModelCreate;
+        if (openApi.openapi !== '3.1.0' || openApi.info.title !== 'Test API' || component.$schema || component.title !== 'SchemaExportModelCreate'
+        || !openApi.components.schemas.SecretModel || Object.keys(openApi.components.schemas).length !== easyMongoo.schemas.size * 3) {
+        throw new Error('toOpenAPI should export every registered model');
+        }
+
+        console.log('✅ JSON Schema export test passed');
+
+        // Test REST router
+        easyMongoo.model('RouterModel', { name: 'string!', price: 'number', status: 'enum:draft|live+', secret: { type: String, select: false } });
+        const itemsRouter = easyMongoo.router('RouterModel', {
+        prefix: '/items', filters: ['status', 'price'], sort: ['price'],
+        authorize: { delete: () => false, create: (req, context) => { context.body.status = 'draft'; return true; } }
+        });
+        const routerErrors = await Promise.all([
+        ['GET', '/items?secret=1'], ['GET', '/items?sort=name'], ['PATCH', '/items'], ['DELETE', '/items/abc'],
+        ['POST', '/items', '{"$where":"1"}'], ['GET', '/other'], ['GET', '/items?status=live&status=draft'],
+        ['GET', '/items?fields=name,secret'], ['GET', '/items/abc?fields=%2Bsecret']
+        ].map(([method, url, body]) => callRouter(itemsRouter, method, url, body)));
+        const summary = routerErrors.map(response => `${response.status}:${response.body.error.code}`).join(',');
+        if (summary !== '400:INVALID_REQUEST,400:INVALID_REQUEST,405:METHOD_NOT_ALLOWED,403:FORBIDDEN,400:INVALID_REQUEST,404:NOT_FOUND,'
+        + '400:INVALID_REQUEST,400:INVALID_REQUEST,400:INVALID_REQUEST'
+        || routerErrors[2].headers.Allow !== 'GET, POST') {
+        throw new Error(`Router should map errors to HTTP statuses, got ${summary}`);
+        }
+
+        console.log('✅ REST router test passed');
+
+        // Test against a real server (skipped when mongodb-memory-server cannot start one, a failure under CI)
+        const mongoServer = await startMongoServer();
+        if (mongoServer) await testDatabase(mongoServer);
+
         console.log('✅ All basic tests passed!');
-        console.log('📦 Package is ready for publishing!');
+        if (!process.exitCode) console.log('📦 Package is ready for publishing!');
         
     } catch (error) {
         console.error('❌ Test failed:', error);
+        process.exitCode = 1;
+    }
+    }
+
+    // Sends one request through a router handler and resolves with the parsed response
+    function callRouter(handler, method, url, body) {
+    return new Promise(resolve => {
+        const req = Object.assign(Readable.from(body === undefined ? [] : [Buffer.from(body)]), { method, url, headers: {} });
+        const res = {
+        headers: {},
+        setHeader(name, value) { this.headers[name] = value; },
+        end(text) { resolve({ status: this.statusCode, headers: this.headers, body: text && JSON.parse(text) }); }
+        };
+        handler(req, res);
+    });
+    }
+
+    async function startMongoServer() {
+    try {
+        const { MongoMemoryServer } = require('mongodb-memory-server');
+        return await MongoMemoryServer.create();
+    } catch (error) {
+        const reason = error.message.split('\n')[0];
+        // A CI run that cannot reach a server must not pass on the non-database checks alone
+        if (process.env.CI) {
+        console.error(`❌ Database tests did not run: ${reason}`);
+        process.exitCode = 1;
+        } else {
+        console.log(`⚠️ Skipping database tests: ${reason}`);
+        }
+        return null;
+    }
+    }
+
+    async function testDatabase(mongoServer) {
+    await easyMongoo.connect(mongoServer.getUri());
+    try {
+        // Test health check on a live connection
+        const health = await easyMongoo.healthCheck();
+        if (!health.ok || health.status !== 'connected' || typeof health.latency !== 'number') {
+        throw new Error('healthCheck should ping a connected server');
+        }
+
+        console.log('✅ Health check test passed');
+
+        // Test tenant routing against MongoDB
+        await easyMongoo.withTenant('acme', async () => {
+        await easyMongoo.create('TestModel', { title: 'tenant' });
+        await easyMongoo.create('SharedModel', { name: 'shared' });
+        });
+        const tenantDb = easyMongoo.mongoose.connection.useDb('tenant_acme');
+        const tenantCounts = [
+        await tenantDb.collection('testmodels').countDocuments(),
+        await easyMongoo.count('TestModel', { title: 'tenant' }),
+        await tenantDb.collection('sharedmodels').countDocuments(),
+        await easyMongoo.count('SharedModel')
+        ].join(',');
+        if (tenantCounts !== '1,0,0,1') {
+        throw new Error(`Tenant models should write to the tenant database and shared models to the default one, got ${tenantCounts}`);
+        }
+
+        console.log('✅ Tenant routing against MongoDB test passed');
+
+        // Test error mapping against MongoDB
+        easyMongoo.model('MemberModel', { email: 'email!!', username: 'string!!' });
+        await easyMongoo.syncIndexes('MemberModel');
+        await easyMongoo.create('MemberModel', { email: 'ada@example.com', username: 'ada' });
+        const duplicate = await easyMongoo.create('MemberModel', [
+        { email: 'ada@example.com', username: 'grace' },
+        { email: 'grace@example.com', username: 'ada' }
+        ], { ordered: false }).catch(error => error);
+        if (!(duplicate instanceof easyMongoo.DuplicateKeyError) || duplicate.status !== 409 || Object.keys(duplicate.fields).sort().join(',') !== 'email,username') {
+        throw new Error('Duplicate key errors should list every field');
+        }
+        const missingMember = await easyMongoo.findById('MemberModel', new easyMongoo.ObjectId()).catch(error => error);
+        if (!(missingMember instanceof easyMongoo.NotFoundError) || missingMember.status !== 404) {
+        throw new Error('Typed errors should pass through unchanged');
+        }
+
+        console.log('✅ Error mapping against MongoDB test passed');
+
+        // Test streaming import
+        const ImportModel = easyMongoo.model('ImportModel', { name: 'string!', address: { city: 'string' }, at: 'date' });
+        const csvBytes = Buffer.from('Name,City\r\n"Doe, Jane","New\nYork"\r\nRené,Orléans\r\n,Nowhere\n');
+        const splitAt = csvBytes.indexOf(Buffer.from('é')) + 1;
+        const csvStats = await easyMongoo.importDataStream('ImportModel', Readable.from([csvBytes.subarray(0, splitAt), csvBytes.subarray(splitAt)]), {
+        format: 'csv',
+        columns: { Name: 'name', City: 'address.city' }
+        });
+        const csvDocs = await ImportModel.find().sort({ name: 1 }).lean();
+        if (csvStats.inserted !== 2 || csvStats.failed !== 1 || csvDocs.map(doc => `${doc.name}|${doc.address.city}`).join(';') !== 'Doe, Jane|New\nYork;René|Orléans') {
+        throw new Error('CSV import should handle quoted cells, column mapping and characters split across chunks');
+        }
+        const ejsonLines = '{"_id":{"$oid":"507f1f77bcf86cd799439011"},"name":"Ada","at":{"$date":"2020-01-01T00:00:00Z"}}\nbroken\n';
+        const ejsonStats = await easyMongoo.importDataStream('ImportModel', Readable.from([ejsonLines]), { format: 'ejson' });
+        const ejsonDoc = await ImportModel.findById('507f1f77bcf86cd799439011').lean();
+        if (ejsonStats.inserted !== 1 || ejsonStats.errors[0].row !== 2 || !(ejsonDoc.at instanceof Date)) {
+        throw new Error('Extended JSON import should restore types and report broken lines');
+        }
+
+        console.log('✅ Import test passed');
+
+        // Test versioned migrations
+        const MigratedModel = easyMongoo.model('MigratedModel', { title: 'string', slug: 'string' });
+        await MigratedModel.insertMany([{ title: 'A' }, { title: 'B' }, { title: 'C' }]);
+        const migrationLog = [];
+        const step = (name, direction) => async () => { migrationLog.push(`${direction}:${name}`); };
+        easyMongoo.addMigration({ name: '10-second', up: step('10', 'up'), down: step('10', 'down') });
+        easyMongoo.addMigration({ name: '2-first', up: step('2', 'up'), down: step('2', 'down') });
+        const migrationPlan = await easyMongoo.migrateUp({ dryRun: true });
+        if (migrationPlan.pending.map(planned => planned.name).join(',') !== '2-first,10-second' || migrationLog.length !== 0) {
+        throw new Error('dryRun should list pending migrations in numeric order without running them');
+        }
+        const firstRun = await easyMongoo.migrateUp();
+        if (firstRun.applied.join(',') !== '2-first,10-second' || migrationLog.join(',') !== 'up:2,up:10') {
+        throw new Error('Migrations should apply in name order');
+        }
+
+        let failOn = 'C';
+        const slugged = [];
+        easyMongoo.addMigration({
+        name: '20-slugs',
+        model: 'MigratedModel',
+        batchSize: 1,
+        up: async doc => {
+            if (doc.title === failOn) throw new Error(`Cannot slug ${doc.title}`);
+            slugged.push(doc.title);
+            doc.slug = doc.title.toLowerCase();
+            await doc.save();
+        },
+        down: async doc => {
+            doc.slug = undefined;
+            await doc.save();
+        }
+        });
+        const migrationLocks = easyMongoo.mongoose.connection.collection('_migrations');
+        await migrationLocks.insertOne({ _id: '__lock__', owner: 'other-process', expiresAt: new Date(Date.now() + 60000) });
+        let lockedMessage = null;
+        try { await easyMongoo.migrateUp(); } catch (e) { lockedMessage = e.message; }
+        if (lockedMessage !== 'Migrations are locked by another process' || slugged.length !== 0) {
+        throw new Error('A held lock should reject a second run');
+        }
+        await migrationLocks.deleteOne({ _id: '__lock__' });
+
+        let interrupted = false;
+        try { await easyMongoo.migrateUp(); } catch (e) { interrupted = true; }
+        const failedStatus = (await easyMongoo.migrateStatus()).find(status => status.name === '20-slugs');
+        if (!interrupted || failedStatus.status !== 'failed' || failedStatus.processed !== 2 || !failedStatus.checkpoint) {
+        throw new Error('A failed model migration should keep its checkpoint');
+        }
+        failOn = null;
+        const resumed = await easyMongoo.migrateUp();
+        if (resumed.applied.join(',') !== '20-slugs' || slugged.join(',') !== 'A,B,C' || await MigratedModel.countDocuments({ slug: { $exists: true } }) !== 3) {
+        throw new Error('A rerun should resume after the checkpoint');
+        }
+
+        let concurrentMessage = null;
+        easyMongoo.addMigration({
+        name: '30-slow',
+        up: async () => {
+            await new Promise(resolve => setTimeout(resolve, 80));
+            try { await easyMongoo.migrateUp({ lockTtl: 20 }); } catch (e) { concurrentMessage = e.message; }
+        },
+        down: step('30', 'down')
+        });
+        await easyMongoo.migrateUp({ lockTtl: 20 });
+        if (concurrentMessage !== 'Migrations are locked by another process') {
+        throw new Error('The lock should stay held while a migration outlives lockTtl');
+        }
+
+        const rollback = await easyMongoo.migrateRollback({ steps: 3 });
+        const statuses = (await easyMongoo.migrateStatus()).map(status => `${status.name}:${status.status}`).join(',');
+        if (rollback.rolledBack.join(',') !== '30-slow,20-slugs,10-second' || migrationLog.join(',') !== 'up:2,up:10,down:30,down:10'
+        || await MigratedModel.countDocuments({ slug: { $exists: true } }) !== 0
+        || statuses !== '2-first:applied,10-second:rolledBack,20-slugs:rolledBack,30-slow:rolledBack') {
+        throw new Error('Rollback should undo the newest migrations first');
+        }
+
+        console.log('✅ Migrations test passed');
+
+        // Test cursor pagination over a sort field that can be null or missing
+        const RankedModel = easyMongoo.model('RankedModel', { rank: 'number' });
+        await RankedModel.insertMany([{ rank: 2 }, {}, { rank: 1 }, { rank: null }, { rank: 3 }, {}, { rank: 2 }]);
+        for (const direction of [1, -1]) {
+        const forward = [];
+        let page = {};
+        do {
+            page = await easyMongoo.paginateCursor('RankedModel', {}, { limit: 2, sort: { rank: direction }, after: page.nextCursor });
+            forward.push(...page.docs.map(doc => `${doc.rank ?? null}`));
+        } while (page.hasNext);
+        const backward = [];
+        while (page.hasPrev) {
+            page = await easyMongoo.paginateCursor('RankedModel', {}, { limit: 2, sort: { rank: direction }, before: page.prevCursor });
+            backward.unshift(...page.docs.map(doc => `${doc.rank ?? null}`));
+        }
+        const expected = direction === 1 ? 'null,null,null,1,2,2,3' : '3,2,2,1,null,null,null';
+        if (forward.join(',') !== expected || `${backward},${forward.slice(-1)}` !== expected) {
+        throw new Error(`Cursor pages should include null and missing sort values, got ${forward} / ${backward}`);
+        }
+        }
+
+        const byDate = [];
+        let datePage = {};
+        do {
+        datePage = await easyMongoo.paginateCursor('RankedModel', {}, { limit: 3, after: datePage.nextCursor });
+        byDate.push(...datePage.docs.map(doc => String(doc._id)));
+        } while (datePage.hasNext);
+        if (byDate.length !== 7 || new Set(byDate).size !== 7) {
+        throw new Error('Cursors over the default createdAt sort should visit every document once');
+        }
+
+        const sanitizedPages = [];
+        let sanitizedPage = {};
+        do {
+        sanitizedPage = await easyMongoo.paginateCursor('RankedModel', {}, { limit: 3, sort: { rank: 1 }, sanitizeFilter: true, after: sanitizedPage.nextCursor });
+        sanitizedPages.push(...sanitizedPage.docs);
+        } while (sanitizedPage.hasNext);
+        const injected = await easyMongoo.paginateCursor('RankedModel', { rank: { $gt: 0 } }, { sanitizeFilter: true, withTotal: true });
+        if (sanitizedPages.length !== 7 || injected.docs.length || injected.total !== 0) {
+        throw new Error('sanitizeFilter should apply to the caller filter only, not to the keyset conditions');
+        }
+        const hintErrors = await Promise.all([
+        easyMongoo.exists('RankedModel', {}, { hint: { missing: 1 } }),
+        easyMongoo.paginateCursor('RankedModel', {}, { hint: { missing: 1 } }),
+        easyMongoo.paginateCursor('RankedModel', {}, { withTotal: true, maxTimeMS: 1000, comment: 'keyset', hint: { _id: 1 } })
+        ].map(attempt => attempt.then(() => null, error => error.originalError && error.originalError.message)));
+        if (!hintErrors[0] || !hintErrors[1] || hintErrors[2]) {
+        throw new Error(`exists() and paginateCursor() should pass read options to the query, got ${hintErrors}`);
+        }
+
+        console.log('✅ Keyset pagination test passed');
+
+        // Test cached reads
+        const cachedRanks = await easyMongoo.find('RankedModel', { rank: 2 }, { lean: true, cache: true });
+        await easyMongoo.mongoose.connection.collection('rankedmodels').insertOne({ rank: 2 });
+        const cachedAgain = await easyMongoo.find('RankedModel', { rank: 2 }, { lean: true, cache: true });
+        await RankedModel.create({ rank: 2 });
+        const afterWrite = await easyMongoo.find('RankedModel', { rank: 2 }, { lean: true, cache: true });
+        if (cachedRanks.length !== 2 || cachedAgain.length !== 2 || afterWrite.length !== 4 || afterWrite[0] instanceof easyMongoo.mongoose.Document) {
+        throw new Error('Lean cached reads should hit until a write invalidates them');
+        }
+
+        console.log('✅ Cached reads test passed');
+
+        // Test query builder against MongoDB
+        await easyMongoo.create('TestModel', [10, 20, 30, 40, 50, 70].map(count => ({ title: `builder-${count}`, count })));
+        const adults = easyMongoo.from('TestModel').where('count').gte(18).lte(65).sort('count').select('title').page(2, 2);
+        const adultTitles = (await adults.all()).map(doc => doc.title).join(',');
+        const firstAdult = await adults.hint({ _id: 1 }).maxTimeMS(1000).first();
+        if (adultTitles !== 'builder-40,builder-50' || firstAdult.title !== 'builder-40' || await adults.count() !== 4) {
+        throw new Error('Builder queries should apply filters, sort, paging and read options');
+        }
+
+        console.log('✅ Query builder against MongoDB test passed');
+
+        // Test soft delete scope on reads, updates and deletes
+        const ArchivedModel = easyMongoo.model('ArchivedModel', { title: 'string' }, { softDelete: true });
+        const [, trashed] = await ArchivedModel.create([{ title: 'kept' }, { title: 'trashed' }]);
+        await easyMongoo.findByIdAndSoftDelete('ArchivedModel', trashed._id);
+        const scopedReads = [
+        (await easyMongoo.find('ArchivedModel')).length,
+        (await easyMongoo.find('ArchivedModel', {}, { withDeleted: true })).length,
+        await easyMongoo.count('ArchivedModel', {}, { onlyDeleted: true }),
+        await ArchivedModel.countDocuments().withDeleted(),
+        await easyMongoo.findById('ArchivedModel', trashed._id, { throwIfNotFound: false })
+        ];
+        if (scopedReads.join(',') !== '1,2,1,2,') {
+        throw new Error(`Reads should hide soft-deleted documents unless asked, got ${scopedReads}`);
+        }
+        const scopedUpdate = await easyMongoo.update('ArchivedModel', {}, { title: 'renamed' });
+        const scopedDelete = await easyMongoo.delete('ArchivedModel', { title: 'trashed' });
+        const hiddenUpdate = await easyMongoo.findByIdAndUpdate('ArchivedModel', trashed._id, { title: 'edited' }, { throwIfNotFound: false });
+        if (scopedUpdate.modifiedCount !== 1 || scopedDelete.deletedCount !== 0 || hiddenUpdate !== null) {
+        throw new Error('Updates and deletes should skip soft-deleted documents');
+        }
+        const includedUpdate = await easyMongoo.update('ArchivedModel', {}, { title: 'all' }, { withDeleted: true });
+        const restoredDoc = await easyMongoo.findByIdAndRestore('ArchivedModel', trashed._id);
+        await ArchivedModel.restore(trashed._id);
+        await easyMongoo.findByIdAndSoftDelete('ArchivedModel', trashed._id);
+        await new Promise(resolve => setTimeout(resolve, 5)); // deletedAt must be strictly before the cutoff
+        const purged = await easyMongoo.purgeDeleted('ArchivedModel', { retentionDays: 0 });
+        if (includedUpdate.modifiedCount !== 2 || restoredDoc.deleted || purged.deletedCount !== 1 || await ArchivedModel.countDocuments().withDeleted() !== 1) {
+        throw new Error('withDeleted, restore and purgeDeleted should still reach soft-deleted documents');
+        }
+
+        console.log('✅ Soft delete scope test passed');
+
+        // Test password hashing on save and update
+        const AccountModel = easyMongoo.model('AccountModel', { login: { type: String, unique: true }, password: 'password' });
+        await AccountModel.init();
+        const lookalike = await easyMongoo.hashPassword('other');
+        const account = await easyMongoo.create('AccountModel', { login: 'ada', password: lookalike });
+        const storedAccount = await AccountModel.findById(account._id).select('+password');
+        if (storedAccount.password === lookalike || !(await storedAccount.comparePassword(lookalike))) {
+        throw new Error('Input that looks like a hash should still be hashed');
+        }
+        await easyMongoo.updateById('AccountModel', account._id, { password: lookalike });
+        if (!(await (await AccountModel.findById(account._id).select('+password')).comparePassword(lookalike))) {
+        throw new Error('Updates should hash input that looks like a hash');
+        }
+        const retried = new AccountModel({ login: 'ada', password: 'secret123' });
+        let duplicateFailed = false;
+        try { await retried.save(); } catch (e) { duplicateFailed = e.code === 11000; }
+        retried.login = 'grace';
+        await retried.save();
+        if (!duplicateFailed || !(await retried.comparePassword('secret123'))) {
+        throw new Error('Retrying a failed save should not hash the password twice');
+        }
+        await easyMongoo.create('AccountModel', [{ login: 'linus', password: 'bulk-secret' }, { login: 'barbara', password: 'bulk-secret' }]);
+        await easyMongoo.bulkWrite('AccountModel', [
+        { insertOne: { document: { login: 'ken', password: 'bulk-secret' } } },
+        { replaceOne: { filter: { login: 'linus' }, replacement: { login: 'linus', password: 'new-secret' } } }
+        ]);
+        await AccountModel.findOneAndReplace({ login: 'barbara' }, { login: 'barbara', password: 'new-secret' });
+        const bulkAccounts = await AccountModel.find({ login: { $in: ['barbara', 'ken', 'linus'] } }).select('+password').sort({ login: 1 });
+        const bulkChecks = await Promise.all(bulkAccounts.map(async doc => (
+        `${doc.login}:${doc.password.startsWith('scrypt$')}:${await doc.comparePassword(doc.login === 'ken' ? 'bulk-secret' : 'new-secret')}`
+        )));
+        if (bulkChecks.join(',') !== 'barbara:true:true,ken:true:true,linus:true:true') {
+        throw new Error(`insertMany, bulkWrite and replacements should hash passwords, got ${bulkChecks.join(',')}`);
+        }
+
+        console.log('✅ Password hashing against MongoDB test passed');
+
+        // Test audit trail
+        easyMongoo.model('AuditedModel', { title: 'string', password: 'string', meta: { city: 'string', zip: 'string' } }, {
+        audit: { exclude: ['password', 'meta.city.name'] }
+        });
+        const audited = await easyMongoo.withActor('admin', async () => {
+        const doc = await easyMongoo.create('AuditedModel', { title: 'a', password: 'secret-one', meta: { city: 'Paris' } });
+        await easyMongoo.updateById('AuditedModel', doc._id, { title: 'b', password: 'secret-two', meta: { city: 'Paris', zip: '75' } });
+        await easyMongoo.updateById('AuditedModel', doc._id, { title: 'b' });
+        return doc;
+        });
+        const auditEntries = await easyMongoo.history('AuditedModel', audited._id, { snapshots: true });
+        if (auditEntries.map(entry => `${entry.version}:${entry.action}:${entry.actor}`).join(',') !== '1:create:admin,2:update:admin' || easyMongoo.currentActor() !== null) {
+        throw new Error('Audit entries should be versioned per document, skip no-op updates and record the actor');
+        }
+        if (JSON.stringify(auditEntries[1].changes) !== '[{"path":"title","before":"a","after":"b"},{"path":"meta.zip","after":"75"}]'
+        || auditEntries.some(entry => 'password' in entry.snapshot || entry.snapshot.meta.city !== 'Paris')) {
+        throw new Error('Audit entries should list changed paths and leave excluded ones out');
+        }
+        const reverted = await easyMongoo.revertTo('AuditedModel', audited._id, 1);
+        const revertEntry = (await easyMongoo.history('AuditedModel', audited._id))[2];
+        if (reverted.title !== 'a' || reverted.meta.zip !== undefined || !revertEntry || revertEntry.meta.revertedTo !== 1) {
+        throw new Error('revertTo() should restore the snapshot and record the revert');
+        }
+
+        console.log('✅ Audit trail test passed');
+
+        // Test watch events from real writes (polling, memory servers are standalone)
+        easyMongoo.model('WatchedModel', { title: 'string', status: 'string' }, { softDelete: true });
+        const watchEvents = [];
+        const watchedModel = await easyMongoo.watch('WatchedModel', { status: 'live' }, event => watchEvents.push(`${event.type}:${event.document.title}`), {
+        polling: true,
+        pollInterval: 10,
+        events: ['insert', 'delete']
+        });
+        const settle = () => new Promise(resolve => setTimeout(resolve, 100));
+        const watched = await easyMongoo.create('WatchedModel', { title: 'a', status: 'live' });
+        await settle();
+        await easyMongoo.updateById('WatchedModel', watched._id, { title: 'b' });
+        await easyMongoo.create('WatchedModel', { title: 'c', status: 'draft' });
+        await settle();
+        await easyMongoo.softDelete('WatchedModel', { _id: watched._id });
+        await settle();
+        await watchedModel.close();
+        if (watchEvents.join(',') !== 'insert:a,delete:b') {
+        throw new Error(`Watch should deliver matching inserts and deletes only, got ${watchEvents.join(',')}`);
+        }
+
+        console.log('✅ Watch events test passed');
+
+        // Test relations against MongoDB
+        const relTag = await easyMongoo.create('SoftModel', { title: 'news' });
+        const relAuthor = await easyMongoo.create('RelAuthor', { name: 'Ada' });
+        await easyMongoo.create('RelPost', { title: 'first', author: relAuthor._id, tags: [relTag._id] });
+        await new Promise(resolve => setTimeout(resolve, 5)); // distinct createdAt values for the sort
+        await easyMongoo.create('RelPost', { title: 'second', author: relAuthor._id, tags: [relTag._id] });
+        const [loadedAuthor] = await easyMongoo.find('RelAuthor', { _id: relAuthor._id }, {
+        include: { posts: { include: 'author tags', sort: '-createdAt' } }
+        });
+        const loadedPosts = loadedAuthor.posts.map(post => `${post.title}:${post.author.name}:${post.tags[0].title}`).join(',');
+        if (loadedPosts !== 'second:Ada:news,first:Ada:news') {
+        throw new Error(`Nested include should populate every level, got ${loadedPosts}`);
+        }
+        await easyMongoo.deleteById('RelAuthor', relAuthor._id);
+        if (await easyMongoo.count('RelPost', { author: relAuthor._id }) !== 0) {
+        throw new Error('onDelete: cascade should delete the related documents');
+        }
+
+        console.log('✅ Relations against MongoDB test passed');
+
+        // Test field encryption and key rotation against MongoDB
+        const encryptionKeys = { old: crypto.randomBytes(32), new: crypto.randomBytes(32).toString('base64') };
+        const secretCollection = easyMongoo.models.get('SecretModel').collection;
+        easyMongoo.setKeyProvider(new easyMongoo.StaticKeyProvider({ keys: encryptionKeys, current: 'old' }));
+        const oldSecret = await easyMongoo.create('SecretModel', { email: 'Ada@Example.com', phone: '+15550100' });
+        easyMongoo.setKeyProvider(new easyMongoo.StaticKeyProvider({ keys: encryptionKeys, current: 'new' }));
+        const newSecret = await easyMongoo.create('SecretModel', { email: 'Grace@Example.com', phone: '+15550101' });
+        const storedSecrets = await secretCollection.find().sort({ _id: 1 }).toArray();
+        if (storedSecrets.map(doc => `${doc.email.split(':')[2]}:${doc.phone.split(':')[2]}`).join(',') !== 'old:old,new:new' || newSecret.email !== 'grace@example.com') {
+        throw new Error('Values should be stored encrypted under the current key');
+        }
+        const emailIv = storedSecrets[1].email.split(':')[3];
+        const rawKeyIv = crypto.createHmac('sha256', Buffer.from(encryptionKeys.new, 'base64')).update('email\0grace@example.com').digest().subarray(0, 12);
+        if (emailIv === rawKeyIv.toString('base64')) throw new Error('Deterministic IVs should use a subkey, not the encryption key');
+        const foundSecret = await easyMongoo.findOne('SecretModel', { email: 'ADA@example.com' });
+        if (!foundSecret || !foundSecret._id.equals(oldSecret._id) || foundSecret.phone !== '+15550100' || foundSecret.isModified()) {
+        throw new Error('Deterministic filters should match values written under older keys');
+        }
+        const encryptionErrors = await Promise.all([{ phone: '+15550100' }, { email: /ada/ }].map(filter => (
+        easyMongoo.find('SecretModel', filter).then(() => null, error => error.code)
+        )));
+        if (encryptionErrors.join(',') !== 'ENCRYPTED_FIELD_QUERY,ENCRYPTED_FIELD_QUERY') {
+        throw new Error('Unsupported encrypted queries should throw');
+        }
+        const rotation = await easyMongoo.reencrypt('SecretModel');
+        const rotatedSecret = await secretCollection.findOne({ _id: oldSecret._id });
+        if (rotation.processed !== 2 || rotation.reencrypted !== 1 || !rotatedSecret.email.startsWith('enc:v1:new:') || !rotatedSecret.phone.startsWith('enc:v1:new:')) {
+        throw new Error('reencrypt() should rewrite values written with older keys');
+        }
+        await secretCollection.updateOne({ _id: newSecret._id }, { $set: { email: `${storedSecrets[1].email.slice(0, -4)}AAAA` } });
+        const tamperError = await easyMongoo.findById('SecretModel', newSecret._id).then(() => null, error => error.code);
+        if (tamperError !== 'DECRYPTION_FAILED') throw new Error('Tampered values should fail to decrypt');
+
+        console.log('✅ Field encryption against MongoDB test passed');
+
+        // Test optimistic concurrency against MongoDB
+        const seated = await easyMongoo.create('TicketModel', { title: 'Show', seats: 10 });
+        await easyMongoo.updateById('TicketModel', seated._id, { seats: 9 }, { expectedVersion: 0 });
+        const rebooked = await easyMongoo.findByIdAndUpdate('TicketModel', seated._id, { seats: 8 }, { expectedVersion: 1 });
+        const lateBooking = await easyMongoo.findByIdAndUpdate('TicketModel', seated._id, { seats: 7 }, { expectedVersion: 1 }).catch(error => error);
+        if (rebooked.__v !== 2 || rebooked.seats !== 8 || !(lateBooking instanceof easyMongoo.VersionConflictError) || lateBooking.actualVersion !== 2) {
+        throw new Error('Update helpers should bump the version and reject a stale expectedVersion');
+        }
+        const upsertedTicket = await easyMongoo.findByIdAndUpsert('TicketModel', new easyMongoo.ObjectId(), { title: 'Matinee', seats: 2 });
+        const missingTicket = await easyMongoo.updateById('TicketModel', new easyMongoo.ObjectId(), { seats: 1 }, { expectedVersion: 0 }).catch(error => error);
+        if (upsertedTicket.__v !== 1 || !(missingTicket instanceof easyMongoo.NotFoundError)) {
+        throw new Error('Upserts should start versioned and missing documents should not be reported as conflicts');
+        }
+        const retriedSeats = await easyMongoo.retryOnConflict(async (attempt) => {
+        const current = await easyMongoo.findById('TicketModel', seated._id);
+        if (attempt === 1) await easyMongoo.updateById('TicketModel', seated._id, { seats: current.seats - 1 });
+        return (await current.updateFields({ seats: current.seats - 1 }, { expectedVersion: current.__v })).seats;
+        }, { minDelay: 1 });
+        if (retriedSeats !== 6) throw new Error('retryOnConflict should reload and reapply a conflicting change');
+
+        console.log('✅ Optimistic concurrency against MongoDB test passed');
+
+        // Test REST router against MongoDB
+        const storeRouter = easyMongoo.router('RouterModel', {
+        prefix: '/items', filters: ['status', 'price'], sort: ['price'],
+        authorize: { create: (req, context) => { context.body.status = 'draft'; return true; } }
+        });
+        const [lamp] = await easyMongoo.create('RouterModel', [
+        { name: 'Lamp', price: 5, status: 'live', secret: 'hidden' },
+        { name: 'Desk', price: 15, status: 'live' },
+        { name: 'Chair', price: 25, status: 'live' },
+        { name: 'Shelf', price: 30, status: 'draft' }
+        ]);
+        const listed = await callRouter(storeRouter, 'GET', '/items?status=live&price[gte]=10&sort=-price&limit=500&fields=name');
+        if (listed.status !== 200 || listed.body.data.map(item => item.name).join(',') !== 'Chair,Desk'
+        || listed.body.data.some(item => item.price !== undefined) || listed.body.pagination.limit !== 100 || listed.body.pagination.total !== 2) {
+        throw new Error('List route should apply filters, sort, projection and the limit cap');
+        }
+        const secondPage = await callRouter(storeRouter, 'GET', '/items?sort=price&limit=1&page=2');
+        if (secondPage.body.data[0].name !== 'Desk' || !secondPage.body.pagination.hasPrev || secondPage.body.pagination.pages !== 4) {
+        throw new Error('List route should paginate');
+        }
+        const created = await callRouter(storeRouter, 'POST', '/items', '{"name":"Stool","status":"live"}');
+        const stored = await easyMongoo.findOne('RouterModel', { name: 'Stool' });
+        if (created.status !== 201 || created.body.data.status !== 'draft' || !stored || stored.status !== 'draft') {
+        throw new Error('Create route should apply authorize hooks and store the document');
+        }
+        const fetched = await callRouter(storeRouter, 'GET', `/items/${lamp._id}`);
+        const missing = await callRouter(storeRouter, 'GET', `/items/${new easyMongoo.ObjectId()}`);
+        const malformed = await callRouter(storeRouter, 'GET', '/items/abc');
+        if (fetched.status !== 200 || fetched.body.data.name !== 'Lamp' || 'secret' in fetched.body.data
+        || `${missing.status}:${missing.body.error.code},${malformed.status}:${malformed.body.error.code}` !== '404:NOT_FOUND,400:INVALID_VALUE') {
+        throw new Error('Get route should return the document without hidden paths and map lookup errors');
+        }
+
+        console.log('✅ REST router against MongoDB test passed');
+    } finally {
+        await easyMongoo.disconnect();
+        await mongoServer.stop();
     }
     }
 